@@ -4,47 +4,20 @@ require('dotenv').config();
 // Tournament Schema (same as in server.js)
 const tournamentSchema = new mongoose.Schema({
   tournamentId: { type: String, required: true, unique: true },
+  game: { type: String, default: 'free_fire' },
   map: { type: String, required: true },
-  mode: {
-    type: String,
-    required: true,
-    enum: ['clash_squad', 'battle_royal', 'lone_wolf'],
-    validate: {
-      validator: function(value) {
-        if (value === 'battle_royal' && this.maxSlots !== 48) {
-          return false;
-        }
-        return true;
-      },
-      message: 'Battle Royal tournaments must have exactly 48 slots'
-    }
-  },
-  teamSize: {
-    type: String,
-    enum: ['1vs1', '2v2', '4v4', '6v6'],
-    required: function() {
-      return this.mode === 'clash_squad' || this.mode === 'lone_wolf';
-    }
-  },
+  mode: { type: String, required: true },
+  teamSize: { type: String, enum: ['1vs1', '2v2', '4v4', '6v6'] },
   entryFee: { type: Number, required: true, min: 0 },
   winningFee: { type: Number, required: true, min: 0 },
-  maxSlots: {
-    type: Number,
-    required: true,
-    min: 1,
-    validate: {
-      validator: function(value) {
-        if (this.mode === 'battle_royal') {
-          return value === 48;
-        }
-        return true;
-      },
-      message: 'Battle Royal tournaments must have exactly 48 slots'
-    }
-  },
+  maxSlots: { type: Number, required: true, min: 1 },
   registeredPlayers: { type: Number, default: 0 },
   startTime: { type: Date, required: true },
-  status: { type: String, enum: ['upcoming', 'active', 'completed'], default: 'upcoming' },
+  status: {
+    type: String,
+    enum: ['upcoming', 'registration_closed', 'live', 'results_pending', 'completed', 'cancelled'],
+    default: 'upcoming'
+  },
   banner: { type: String, default: 'default.jpg' },
   roomId: { type: String, default: '' },
   roomPassword: { type: String, default: '' },
@@ -59,16 +32,26 @@ const tournamentSchema = new mongoose.Schema({
 
 const Tournament = mongoose.model('Tournament', tournamentSchema);
 
-// Test data
-const maps = ['Erangel', 'Miramar', 'Sanhok', 'Vikendi', 'Karakin', 'Livik'];
-const modes = ['clash_squad', 'battle_royal', 'lone_wolf'];
-const teamSizes = ['1vs1', '2v2', '4v4', '6v6'];
+// Test data (matches the built-in games in server.js)
+const games = {
+  free_fire: {
+    maps: ['Bermuda', 'Purgatory', 'Kalahari', 'Alpine', 'NeXTerra'],
+    modes: { clash_squad: ['1vs1', '2v2', '4v4', '6v6'], battle_royal: 48, lone_wolf: ['1vs1', '2v2', '4v4', '6v6'] },
+    banners: ['ff1.jpg', 'ff2.webp', 'ff-duo.jpg', 'ff-lone_wolf.jpg', 'ff-squard.webp']
+  },
+  pubg: {
+    maps: ['Erangel', 'Miramar', 'Sanhok', 'Vikendi', 'Karakin', 'Livik'],
+    modes: { battle_royal: 100, team_deathmatch: ['4v4'] },
+    banners: ['pubg.png', 'pubg_1.png']
+  }
+};
 
 function generateTournamentId(mode, index) {
   const prefixes = {
     'clash_squad': 'CSQ',
     'battle_royal': 'BR',
-    'lone_wolf': 'LW'
+    'lone_wolf': 'LW',
+    'team_deathmatch': 'TDM'
   };
   return `${prefixes[mode]}-${new Date().toISOString().slice(0, 10).replace(/-/g, '')}-${String(index).padStart(3, '0')}`;
 }
@@ -78,16 +61,19 @@ function getRandomElement(array) {
 }
 
 function generateRandomTournament(index) {
-  const mode = getRandomElement(modes);
+  const game = getRandomElement(Object.keys(games));
+  const { maps, modes, banners } = games[game];
+  const mode = getRandomElement(Object.keys(modes));
   const map = getRandomElement(maps);
 
+  // Modes list either their team sizes or a fixed lobby size
   let maxSlots, teamSize;
-  if (mode === 'battle_royal') {
-    maxSlots = 48;
+  if (typeof modes[mode] === 'number') {
+    maxSlots = modes[mode];
     teamSize = undefined;
   } else {
     maxSlots = Math.floor(Math.random() * 95) + 10; // 10-100 slots
-    teamSize = getRandomElement(teamSizes);
+    teamSize = getRandomElement(modes[mode]);
   }
 
   const entryFee = Math.floor(Math.random() * 50) + 5; // $5-55
@@ -107,6 +93,7 @@ function generateRandomTournament(index) {
 
   return {
     tournamentId: generateTournamentId(mode, index),
+    game,
     map,
     mode,
     teamSize,
@@ -115,7 +102,7 @@ function generateRandomTournament(index) {
     maxSlots,
     startTime,
     status: 'upcoming',
-    banner: `ff${Math.floor(Math.random() * 6) + 1}.jpg`,
+    banner: getRandomElement(banners),
     prizes
   };
 }
@@ -134,7 +121,7 @@ async function generateTestTournaments(count = 10) {
     console.log(`Generated ${result.length} test tournaments:`);
 
     result.forEach(tournament => {
-      console.log(`- ${tournament.tournamentId}: ${tournament.mode} on ${tournament.map}, $${tournament.entryFee} entry, ${tournament.maxSlots} slots`);
+      console.log(`- ${tournament.tournamentId}: ${tournament.game} ${tournament.mode} on ${tournament.map}, $${tournament.entryFee} entry, ${tournament.maxSlots} slots`);
     });
 
     process.exit(0);
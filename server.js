@@ -10,13 +10,29 @@ require('dotenv').config();
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a load balancer or reverse proxy, set TRUST_PROXY (e.g. 1 for one hop) so req.ip - and with
+// it every per-IP rate limit - is the client's address rather than the proxy's
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY === 'true' || process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({
+  // Keep the raw body around for webhook signature verification
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Serve static files (images)
 app.use('/img', express.static('img'));
+// Uploads are user content: never let the browser guess a different content type
+app.use('/uploads', express.static('uploads', {
+  setHeaders: (res) => res.set('X-Content-Type-Options', 'nosniff')
+}));
 
 // Nodemailer transporter
 const transporter = nodemailer.createTransport({
@@ -34,11 +50,102 @@ const razorpay = new Razorpay({
   key_secret: process.env.RAZORPAY_KEY_SECRET
 });
 
-// Temporary OTP storage (in production, use Redis or database)
-const otpStorage = new Map();
+// Work out an image's type from its magic bytes. The file name and claimed mimetype come from the
+// client, so they never decide the stored extension. Returns null for anything but PNG, JPEG or WebP.
+function detectImageExtension(buffer) {
+  if (!buffer || buffer.length < 12) {
+    return null;
+  }
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return '.png';
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return '.jpg';
+  }
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return '.webp';
+  }
+  return null;
+}
+
+// Upload storage. Any implementation of { save(file) -> { key, url }, remove(key) } can be
+// swapped in here (e.g. S3); the default keeps files on local disk, served from /uploads.
+function createLocalFileStorage(baseDir, publicPath) {
+  const fs = require('fs');
+  const path = require('path');
+
+  return {
+    async save({ buffer }) {
+      const extension = detectImageExtension(buffer);
+      if (!extension) {
+        throw new Error('Refusing to store a file that is not a PNG, JPEG or WebP image');
+      }
+
+      await fs.promises.mkdir(baseDir, { recursive: true });
+      const key = `${Date.now()}_${crypto.randomBytes(8).toString('hex')}${extension}`;
+      await fs.promises.writeFile(path.join(baseDir, key), buffer);
+      return { key, url: `${publicPath}/${key}` };
+    },
+    async remove(key) {
+      await fs.promises.rm(path.join(baseDir, path.basename(key)), { force: true });
+    }
+  };
+}
+
+const proofStorage = createLocalFileStorage(require('path').join(__dirname, 'uploads', 'proofs'), '/uploads/proofs');
+const teamLogoStorage = createLocalFileStorage(require('path').join(__dirname, 'uploads', 'team-logos'), '/uploads/team-logos');
+const gameAccountStorage = createLocalFileStorage(require('path').join(__dirname, 'uploads', 'game-accounts'), '/uploads/game-accounts');
+
+// Image uploads are held in memory and handed to one of the storages above
+const multer = require('multer');
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    cb(null, /^image\/(png|jpe?g|webp)$/.test(file.mimetype));
+  }
+});
+
+// Accept a single image in `field`, turning upload errors into 400 responses
+function acceptImageUpload(field, label) {
+  return (req, res, next) => {
+    imageUpload.single(field)(req, res, (err) => {
+      if (err) {
+        const message = err.code === 'LIMIT_FILE_SIZE' ? `${label} must be 5MB or smaller` : 'Invalid upload';
+        return res.status(400).json({ message });
+      }
+      if (req.file && !detectImageExtension(req.file.buffer)) {
+        return res.status(400).json({ message: `${label} must be a PNG, JPEG or WebP image` });
+      }
+      next();
+    });
+  };
+}
+
+// Verify an access token and, for users, the server-side session it is tied to (sessions can be
+// revoked). Resolves to the token payload; throws an httpError when the token can't be used.
+async function verifyAccessToken(token) {
+  let user;
+  try {
+    user = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    throw httpError(403, 'Invalid or expired token');
+  }
+
+  if (user.userId) {
+    const session = user.sessionId
+      ? await Session.findById(user.sessionId).select('userId revokedAt expiresAt')
+      : null;
+    if (!session || session.revokedAt || session.expiresAt <= new Date() || session.userId.toString() !== user.userId) {
+      throw httpError(401, 'Session has expired. Please log in again.');
+    }
+  }
+
+  return user;
+}
 
 // Authentication middleware
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
@@ -46,24 +153,58 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ message: 'Access token required' });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({ message: 'Invalid or expired token' });
+  try {
+    req.user = await verifyAccessToken(token);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
     }
-    req.user = user;
-    next();
-  });
+    console.error('Token validation error:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+
+  next();
 };
 
-// Connect to MongoDB
-mongoose.connect(process.env.MONGODB_URI, {
-  useNewUrlParser: true,
-  useUnifiedTopology: true
-}).then(() => {
-  console.log('Connected to MongoDB');
-}).catch(err => {
-  console.error('MongoDB connection error:', err);
-});
+// Like authenticateToken for public routes: a missing, expired or revoked token just means the
+// caller is treated as anonymous
+const optionalAuthenticateToken = async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (token) {
+    try {
+      req.user = await verifyAccessToken(token);
+    } catch (error) {
+      if (!error.status) {
+        console.error('Token validation error:', error);
+      }
+    }
+  }
+
+  next();
+};
+
+// Connect to MongoDB (only when run directly; tests require this file for its helpers)
+if (require.main === module) {
+  mongoose.connect(process.env.MONGODB_URI, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true
+  }).then(async () => {
+    console.log('Connected to MongoDB');
+
+    // Wallet and registration writes run in multi-document transactions, which a standalone mongod
+    // doesn't support. Refuse to run rather than fail every money-moving request.
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    if (!hello.setName && hello.msg !== 'isdbgrid') {
+      console.error('MongoDB must run as a replica set (or sharded cluster) because transactions are required. ' +
+        'Start mongod with --replSet and run rs.initiate(), or use a hosted replica set. See README.md.');
+      process.exit(1);
+    }
+  }).catch(err => {
+    console.error('MongoDB connection error:', err);
+  });
+}
 
 // User Schema
 const userSchema = new mongoose.Schema({
@@ -74,62 +215,268 @@ const userSchema = new mongoose.Schema({
   age: { type: Number, default: null },
   state: { type: String, default: '' },
   winningAmount: { type: Number, default: 0 },
-  depositAmount: { type: Number, default: 0 }
+  depositAmount: { type: Number, default: 0 },
+  ledgerOpened: { type: Boolean, default: false }, // Set once the opening balances have been posted to the ledger
+  passwordResetTokenHash: { type: String, default: null },
+  passwordResetExpires: { type: Date, default: null },
+  moderation: {
+    status: { type: String, enum: ['active', 'suspended', 'banned'], default: 'active' },
+    reason: { type: String, default: '' },
+    suspendedUntil: { type: Date, default: null },
+    updatedAt: { type: Date, default: null },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', default: null }
+  }
 });
 
 const User = mongoose.model('User', userSchema);
 
+// Token lifetimes
+const ACCESS_TOKEN_TTL = '15m';
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Login Session Schema - one document per device/refresh token
+const sessionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  refreshTokenHash: { type: String, required: true },
+  userAgent: { type: String, default: '' },
+  ip: { type: String, default: '' },
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null },
+  revokedReason: { type: String, default: null }
+});
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+// TTL index - expired sessions are cleaned up automatically
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+// Moderation audit trail - one document per suspend/ban/unban action
+const moderationActionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  adminId: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', required: true },
+  action: { type: String, enum: ['suspend', 'ban', 'unban'], required: true },
+  reason: { type: String, required: true },
+  suspendedUntil: { type: Date, default: null },
+  voidedRegistrations: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Registration' }],
+  refundedAmount: { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now }
+});
+
+moderationActionSchema.index({ userId: 1, createdAt: -1 });
+
+const ModerationAction = mongoose.model('ModerationAction', moderationActionSchema);
+
+// Admin roles and the permissions each role grants
+const ADMIN_ROLES = ['superadmin', 'tournament_manager', 'finance', 'support'];
+const ADMIN_ROLE_PERMISSIONS = {
+  superadmin: ['*'],
+  tournament_manager: ['dashboard:read', 'users:read', 'tournaments:read', 'tournaments:write', 'registrations:read', 'disputes:manage'],
+  finance: ['dashboard:read', 'users:read', 'tournaments:read', 'transactions:read', 'transactions:write'],
+  support: ['dashboard:read', 'users:read', 'users:moderate', 'tournaments:read', 'registrations:read', 'transactions:read', 'disputes:manage']
+};
+
+// Admin Schema
+const adminSchema = new mongoose.Schema({
+  username: { type: String, required: true, unique: true, trim: true },
+  email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  password: { type: String, required: true },
+  role: { type: String, enum: ADMIN_ROLES, required: true },
+  status: { type: String, enum: ['active', 'disabled'], default: 'active' },
+  invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', default: null },
+  disabledAt: { type: Date, default: null },
+  lastLoginAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+const Admin = mongoose.model('Admin', adminSchema);
+
+function hasAdminPermission(role, permission) {
+  const permissions = ADMIN_ROLE_PERMISSIONS[role] || [];
+  return permissions.includes('*') || permissions.includes(permission);
+}
+
+// Admin authorization middleware (use after authenticateToken).
+// Reloads the admin on every request so disabling or re-roling takes effect immediately.
+const requireAdmin = (permission) => async (req, res, next) => {
+  try {
+    if (req.user.role !== 'admin' || !req.user.adminId) {
+      return res.status(403).json({ message: 'Admin access required' });
+    }
+
+    const admin = await Admin.findById(req.user.adminId);
+    if (!admin || admin.status !== 'active') {
+      return res.status(403).json({ message: 'Admin account is disabled' });
+    }
+
+    if (permission && !hasAdminPermission(admin.role, permission)) {
+      return res.status(403).json({ message: 'You do not have permission to perform this action' });
+    }
+
+    req.admin = admin;
+    next();
+  } catch (error) {
+    console.error('Admin authorization error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Tournament lifecycle. Each status maps to the statuses it may move to next.
+const TOURNAMENT_STATUSES = ['upcoming', 'registration_closed', 'live', 'results_pending', 'completed', 'cancelled'];
+const TOURNAMENT_TRANSITIONS = {
+  upcoming: ['registration_closed', 'live', 'cancelled'],
+  registration_closed: ['upcoming', 'live', 'cancelled'],
+  live: ['results_pending', 'cancelled'],
+  results_pending: ['completed'],
+  completed: [],
+  cancelled: []
+};
+
+// Largest page the public tournament list returns
+const TOURNAMENT_PAGE_MAX = 50;
+
+// Room credentials and the registered user list stay out of public tournament responses
+const PUBLIC_TOURNAMENT_EXCLUDED_FIELDS = '-roomId -roomPassword -customUrl -roomNotes -registeredUsers';
+
+// Registration closes this many minutes before startTime unless the tournament overrides it
+const DEFAULT_REGISTRATION_CUTOFF_MINUTES = parseInt(process.env.REGISTRATION_CUTOFF_MINUTES) || 15;
+
+// Default withdrawal refund policy: full refund until 2 hours before start, 50% until 30 minutes before
+const DEFAULT_REFUND_POLICY = [
+  { minutesBeforeStart: 120, refundPercent: 100 },
+  { minutesBeforeStart: 30, refundPercent: 50 }
+];
+
+// Default multi-match scoring (Free Fire esports): placement points for 1st-12th plus 1 point per kill
+const DEFAULT_SCORING = {
+  placementPoints: [12, 9, 8, 7, 6, 5, 4, 3, 2, 1, 0, 0],
+  pointsPerKill: 1
+};
+
+// Built-in games, created on startup if missing. Admins can edit them or add more through /admin/games.
+const DEFAULT_GAMES = [
+  {
+    key: 'free_fire',
+    name: 'Free Fire',
+    modes: [
+      { key: 'clash_squad', name: 'Clash Squad', teamSizes: ['1vs1', '2v2', '4v4', '6v6'] },
+      { key: 'battle_royal', name: 'Battle Royale', teamSizes: [], maxSlots: 48 },
+      { key: 'lone_wolf', name: 'Lone Wolf', teamSizes: ['1vs1', '2v2', '4v4', '6v6'] }
+    ],
+    maps: ['Bermuda', 'Purgatory', 'Kalahari', 'Alpine', 'NeXTerra'],
+    playerIdLabel: 'Free Fire ID',
+    playerIdPattern: '^\\d+$',
+    playerIdHint: 'must contain only numbers',
+    prizeSplit: { top5: [30, 20, 15, 10, 5], top10: [4, 3.5, 3, 2.5, 2], perKill: 1 },
+    scoring: DEFAULT_SCORING
+  },
+  {
+    key: 'pubg',
+    name: 'PUBG Mobile',
+    modes: [
+      { key: 'battle_royal', name: 'Battle Royale', teamSizes: [], maxSlots: 100, slotGroupSize: 4 },
+      { key: 'team_deathmatch', name: 'Team Deathmatch', teamSizes: ['4v4'] }
+    ],
+    maps: ['Erangel', 'Miramar', 'Sanhok', 'Vikendi', 'Karakin', 'Livik'],
+    playerIdLabel: 'Character ID',
+    playerIdPattern: '^\\d{5,15}$',
+    playerIdHint: 'must be 5-15 digits',
+    prizeSplit: { top5: [30, 20, 15, 10, 5], top10: [4, 3.5, 3, 2.5, 2], perKill: 1 },
+    // PUBG Mobile esports points: placement points for 1st-16th plus 1 point per kill
+    scoring: { placementPoints: [10, 6, 5, 4, 3, 2, 1, 1, 0, 0, 0, 0, 0, 0, 0, 0], pointsPerKill: 1 }
+  }
+];
+
+// Game catalog: modes, team sizes, maps, player ID format and default prize/scoring rules per game
+const gameSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true, match: /^[a-z0-9_]+$/ },
+  name: { type: String, required: true, trim: true },
+  modes: [{
+    _id: false,
+    key: { type: String, required: true, match: /^[a-z0-9_]+$/ },
+    name: { type: String, required: true },
+    teamSizes: [{ type: String, enum: ['1vs1', '2v2', '4v4', '6v6'] }], // empty when the mode has no team size
+    maxSlots: { type: Number, default: null, min: 1 }, // fixed lobby size, if any
+    slotGroupSize: { type: Number, default: 1, min: 1 }
+  }],
+  maps: [String],
+  playerIdLabel: { type: String, default: 'Player ID' },
+  playerIdPattern: { type: String, required: true }, // regular expression source
+  playerIdHint: { type: String, default: 'is not valid' },
+  // Prize split as percentages of the prize pool, used when a tournament doesn't set its own prizes
+  prizeSplit: {
+    top5: { type: [Number], default: [] },
+    top10: { type: [Number], default: [] },
+    perKill: { type: Number, default: 0 }
+  },
+  scoring: {
+    placementPoints: { type: [Number], default: () => [...DEFAULT_SCORING.placementPoints] },
+    pointsPerKill: { type: Number, default: DEFAULT_SCORING.pointsPerKill, min: 0 }
+  },
+  status: { type: String, enum: ['active', 'archived'], default: 'active' },
+  createdAt: { type: Date, default: Date.now }
+});
+
+const Game = mongoose.model('Game', gameSchema);
+
 // Tournament Schema
 const tournamentSchema = new mongoose.Schema({
   tournamentId: { type: String, required: true, unique: true },
+  game: { type: String, default: 'free_fire', index: true }, // Game catalog key
+  // Map, mode, team size and lobby size are checked against the game's catalog entry on creation
   map: { type: String, required: true },
-  mode: {
-    type: String,
-    required: true,
-    enum: ['clash_squad', 'battle_royal', 'lone_wolf'],
-    validate: {
-      validator: function(value) {
-        // For battle_royal, maxSlots must be exactly 48
-        if (value === 'battle_royal' && this.maxSlots !== 48) {
-          return false;
-        }
-        return true;
-      },
-      message: 'Battle Royal tournaments must have exactly 48 slots'
-    }
-  },
-  teamSize: {
-    type: String,
-    enum: ['1vs1', '2v2', '4v4', '6v6'],
-    required: function() {
-      return this.mode === 'clash_squad' || this.mode === 'lone_wolf';
-    }
-  },
+  mode: { type: String, required: true },
+  teamSize: { type: String, enum: ['1vs1', '2v2', '4v4', '6v6'] },
   entryFee: { type: Number, required: true, min: 0 },
   winningFee: { type: Number, required: true, min: 0 },
-  maxSlots: {
-    type: Number,
-    required: true,
-    min: 1,
-    validate: {
-      validator: function(value) {
-        // Battle Royal must have exactly 48 slots
-        if (this.mode === 'battle_royal') {
-          return value === 48;
-        }
-        return true;
-      },
-      message: 'Battle Royal tournaments must have exactly 48 slots'
-    }
-  },
+  maxSlots: { type: Number, required: true, min: 1 },
   registeredPlayers: { type: Number, default: 0 },
+  // Seat teams together in blocks of this many lobby slots (e.g. 4 for Battle Royale squads)
+  slotGroupSize: { type: Number, default: 1, min: 1 },
+  // Duo/squad sides: seats taken on each side and the team, if any, that owns it
+  sidePlayers: {
+    team_a: { type: Number, default: 0 },
+    team_b: { type: Number, default: 0 }
+  },
+  teams: {
+    team_a: { type: mongoose.Schema.Types.ObjectId, ref: 'TournamentTeam', default: null },
+    team_b: { type: mongoose.Schema.Types.ObjectId, ref: 'TournamentTeam', default: null }
+  },
   startTime: { type: Date, required: true },
-  status: { type: String, enum: ['upcoming', 'active', 'completed'], default: 'upcoming' },
+  status: { type: String, enum: TOURNAMENT_STATUSES, default: 'upcoming' },
+  registrationCutoffMinutes: { type: Number, default: DEFAULT_REGISTRATION_CUTOFF_MINUTES, min: 0 },
+  statusHistory: [{
+    _id: false,
+    from: { type: String, default: null },
+    to: { type: String, required: true },
+    at: { type: Date, default: Date.now },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', default: null }, // null for automatic transitions
+    reason: { type: String, default: '' }
+  }],
+  cancellationReason: { type: String, default: '' },
+  cancelledAt: { type: Date, default: null },
+  cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', default: null },
   banner: { type: String, default: 'default.jpg' }, // Banner image filename
   roomId: { type: String, default: '' }, // Room ID for the tournament
   roomPassword: { type: String, default: '' }, // Room password for the tournament
   customUrl: { type: String, default: '' }, // Custom lobby URL for the tournament
   roomNotes: { type: String, default: '' }, // Additional room notes/instructions
+  // Refund tiers for players who withdraw: the best tier whose cutoff hasn't passed applies, otherwise no refund
+  refundPolicy: {
+    type: [{
+      _id: false,
+      minutesBeforeStart: { type: Number, required: true, min: 0 },
+      refundPercent: { type: Number, required: true, min: 0, max: 100 }
+    }],
+    default: () => DEFAULT_REFUND_POLICY.map(tier => ({ ...tier }))
+  },
+  // Points table for multi-match series
+  scoring: {
+    placementPoints: { type: [Number], default: () => [...DEFAULT_SCORING.placementPoints] },
+    pointsPerKill: { type: Number, default: DEFAULT_SCORING.pointsPerKill, min: 0 }
+  },
   prizes: {
     top5: [Number], // Array of prizes for top 5
     top10: [Number], // Array of prizes for positions 6-10
@@ -139,6 +486,9 @@ const tournamentSchema = new mongoose.Schema({
   createdAt: { type: Date, default: Date.now }
 });
 
+// Public tournament listing (ordered by start time, paged by cursor)
+tournamentSchema.index({ status: 1, startTime: 1, _id: 1 });
+
 const Tournament = mongoose.model('Tournament', tournamentSchema);
 
 // Transaction Schema
@@ -147,7 +497,7 @@ const transactionSchema = new mongoose.Schema({
   type: {
     type: String,
     required: true,
-    enum: ['deposit', 'winning', 'entry_fee', 'withdrawal']
+    enum: ['deposit', 'winning', 'entry_fee', 'withdrawal', 'refund', 'deposit_refund']
   },
   amount: { type: Number, required: true },
   description: { type: String, required: true },
@@ -155,7 +505,7 @@ const transactionSchema = new mongoose.Schema({
   referenceType: {
     type: String,
     required: true,
-    enum: ['payment_id', 'tournament_id', 'withdrawal_id']
+    enum: ['payment_id', 'tournament_id', 'withdrawal_id', 'refund_id']
   },
   status: {
     type: String,
@@ -166,7 +516,10 @@ const transactionSchema = new mongoose.Schema({
     tournamentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tournament' },
     paymentId: String,
     razorpayOrderId: String,
-    razorpayPaymentId: String
+    razorpayPaymentId: String,
+    withdrawalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Withdrawal' },
+    payoutReference: String,
+    position: Number
   },
   createdAt: { type: Date, default: Date.now }
 });
@@ -176,6 +529,153 @@ transactionSchema.index({ userId: 1, reference: 1, referenceType: 1 }, { unique:
 
 const Transaction = mongoose.model('Transaction', transactionSchema);
 
+// Ledger accounts. user_* accounts hold each user's wallet buckets; the rest belong to the platform.
+// Line amounts are signed and every entry sums to zero, so summing an account's lines gives its balance.
+const LEDGER_ACCOUNTS = [
+  'user_deposit',
+  'user_winning',
+  'payment_gateway', // Money in/out through Razorpay
+  'platform_revenue', // Entry fees collected
+  'prize_pool', // Winnings paid out to users
+  'payouts', // Withdrawals leaving the platform
+  'opening_balance' // Balances that existed before the ledger
+];
+
+// Counter-account used for each transaction type unless the caller overrides it
+const LEDGER_COUNTER_ACCOUNTS = {
+  deposit: 'payment_gateway',
+  deposit_refund: 'payment_gateway',
+  entry_fee: 'platform_revenue',
+  refund: 'platform_revenue',
+  winning: 'prize_pool',
+  withdrawal: 'payouts'
+};
+
+// Double-entry Ledger Schema - one entry per money movement
+const ledgerEntrySchema = new mongoose.Schema({
+  transactionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction', default: null },
+  description: { type: String, required: true },
+  lines: [{
+    _id: false,
+    account: { type: String, enum: LEDGER_ACCOUNTS, required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    amount: { type: Number, required: true }
+  }],
+  createdAt: { type: Date, default: Date.now }
+});
+
+ledgerEntrySchema.pre('validate', function(next) {
+  const total = this.lines.reduce((sum, line) => sum + line.amount, 0);
+  if (this.lines.length < 2 || Math.abs(total) > 1e-6) {
+    return next(new Error('Ledger entry is not balanced'));
+  }
+  if (this.lines.some(line => line.account.startsWith('user_') && !line.userId)) {
+    return next(new Error('User ledger lines require a userId'));
+  }
+  next();
+});
+
+ledgerEntrySchema.index({ 'lines.userId': 1, 'lines.account': 1 });
+ledgerEntrySchema.index({ transactionId: 1 });
+
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
+
+// Reconciliation Report Schema - output of the nightly ledger vs. wallet balance check
+const reconciliationReportSchema = new mongoose.Schema({
+  status: { type: String, enum: ['running', 'completed', 'failed'], default: 'running' },
+  trigger: { type: String, enum: ['scheduled', 'manual'], default: 'scheduled' },
+  usersChecked: { type: Number, default: 0 },
+  openingBalancesPosted: { type: Number, default: 0 },
+  ledgerImbalance: { type: Number, default: 0 }, // Sum of every ledger line; anything but 0 is a bug
+  mismatchCount: { type: Number, default: 0 },
+  mismatches: [{
+    _id: false,
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    bucket: { type: String, enum: ['deposit', 'winning'] },
+    ledgerBalance: Number,
+    walletBalance: Number,
+    difference: Number
+  }],
+  error: { type: String, default: '' },
+  startedAt: { type: Date, default: Date.now },
+  completedAt: { type: Date, default: null }
+});
+
+reconciliationReportSchema.index({ startedAt: -1 });
+
+const ReconciliationReport = mongoose.model('ReconciliationReport', reconciliationReportSchema);
+
+// Razorpay Payment Order Schema - every order from /create-payment-order, so payments can be matched later
+const paymentOrderSchema = new mongoose.Schema({
+  orderId: { type: String, required: true, unique: true }, // Razorpay order id
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  amount: { type: Number, required: true }, // In rupees
+  currency: { type: String, default: 'INR' },
+  receipt: { type: String, default: '' },
+  status: {
+    type: String,
+    enum: ['created', 'paid', 'failed', 'refunded'],
+    default: 'created'
+  },
+  paymentId: { type: String, default: null },
+  failureReason: { type: String, default: '' },
+  paidAt: { type: Date, default: null },
+  refundedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+paymentOrderSchema.index({ paymentId: 1 });
+paymentOrderSchema.index({ userId: 1, createdAt: -1 });
+
+const PaymentOrder = mongoose.model('PaymentOrder', paymentOrderSchema);
+
+// Withdrawal limits (configurable via environment)
+const WITHDRAWAL_MIN_AMOUNT = parseFloat(process.env.WITHDRAWAL_MIN_AMOUNT) || 100;
+const WITHDRAWAL_DAILY_LIMIT = parseFloat(process.env.WITHDRAWAL_DAILY_LIMIT) || 10000;
+
+// Running total each user has requested per day, so the daily cap can be checked and updated
+// atomically together with the withdrawal itself. Rejected withdrawals are taken back off.
+const withdrawalDailyTotalSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  day: { type: String, required: true }, // YYYY-MM-DD in server time
+  amount: { type: Number, default: 0 }
+});
+
+withdrawalDailyTotalSchema.index({ userId: 1, day: 1 }, { unique: true });
+
+const WithdrawalDailyTotal = mongoose.model('WithdrawalDailyTotal', withdrawalDailyTotalSchema);
+
+// Withdrawal Request Schema
+const withdrawalSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  amount: { type: Number, required: true, min: 0 },
+  method: { type: String, enum: ['bank', 'upi'], required: true },
+  bankAccount: {
+    accountHolderName: String,
+    accountNumber: String,
+    ifsc: String,
+    bankName: String
+  },
+  upiId: { type: String, default: '' },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'paid'],
+    default: 'pending'
+  },
+  adminNote: { type: String, default: '' },
+  rejectionReason: { type: String, default: '' },
+  payoutReference: { type: String, default: '' },
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', default: null },
+  reviewedAt: { type: Date, default: null },
+  paidAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+withdrawalSchema.index({ status: 1, createdAt: 1 });
+withdrawalSchema.index({ userId: 1, createdAt: -1 });
+
+const Withdrawal = mongoose.model('Withdrawal', withdrawalSchema);
+
 // Tournament Registration Schema
 const registrationSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
@@ -188,11 +688,19 @@ const registrationSchema = new mongoose.Schema({
     default: 'registered'
   },
   entryFee: { type: Number, required: true },
+  // How the entry fee was split across wallet buckets, so refunds can go back where they came from
+  paidFromDeposit: { type: Number, default: 0 },
+  paidFromWinning: { type: Number, default: 0 },
   paymentMethod: {
     type: String,
-    enum: ['wallet', 'direct'],
+    enum: ['wallet', 'direct', 'captain'], // captain: the team captain paid for this seat
     default: 'wallet'
   },
+  teamId: { type: mongoose.Schema.Types.ObjectId, ref: 'TournamentTeam', default: null },
+  // Tournament seats this registration holds. A captain paying for the whole team holds every seat,
+  // and the teammates who join hold none.
+  seats: { type: Number, default: 1 },
+  slotNumber: { type: Number, default: null }, // Lobby slot, assigned automatically after registering
   // New fields for enhanced registration
   freeFireId: { type: String, required: true },
   termsAccepted: { type: Boolean, required: true, default: false },
@@ -229,11 +737,24 @@ const registrationSchema = new mongoose.Schema({
   }
 });
 
-// Compound index to prevent duplicate registrations
-registrationSchema.index({ userId: 1, tournamentId: 1 }, { unique: true });
-
-// Index to prevent duplicate Free Fire IDs within same tournament
-registrationSchema.index({ tournamentId: 1, freeFireId: 1 }, { unique: true });
+// Compound index to prevent duplicate registrations. Only active registrations count,
+// so a player who withdrew can register again.
+registrationSchema.index(
+  { userId: 1, tournamentId: 1 },
+  { unique: true, partialFilterExpression: { status: 'registered' }, name: 'active_user_tournament' }
+);
+
+// Index to prevent duplicate Free Fire IDs within same tournament (released when a registration is cancelled)
+registrationSchema.index(
+  { tournamentId: 1, freeFireId: 1 },
+  { unique: true, partialFilterExpression: { status: 'registered' }, name: 'active_freefire_id_tournament' }
+);
+
+// One active player per lobby slot
+registrationSchema.index(
+  { tournamentId: 1, slotNumber: 1 },
+  { unique: true, partialFilterExpression: { status: 'registered', slotNumber: { $type: 'number' } }, name: 'active_slot_tournament' }
+);
 
 // Index for efficient sorting and querying
 registrationSchema.index({ registrationDate: -1 });
@@ -242,1664 +763,7668 @@ registrationSchema.index({ tournamentIdString: 1 });
 
 const Registration = mongoose.model('Registration', registrationSchema);
 
-// Generate 5-digit OTP
-function generateOTP() {
-  return Math.floor(10000 + Math.random() * 90000).toString();
-}
+// Persistent team (clan) rosters: a duo/squad lineup plus substitutes
+const TEAM_MAX_MEMBERS = 8;
+
+// Team Schema - a squad that plays together across tournaments. Rosters hold players, not game accounts:
+// each member plays under their verified account for the tournament's game, looked up at registration.
+const teamSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 30 },
+  nameKey: { type: String, required: true }, // Lowercased name, for uniqueness
+  tag: { type: String, required: true, match: /^[A-Z0-9]{2,5}$/ },
+  logo: { type: String, default: '' },
+  logoKey: { type: String, default: '' }, // Storage key of the uploaded logo
+  bio: { type: String, default: '', maxlength: 500 },
+  captainId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  members: [{
+    _id: false,
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    role: { type: String, enum: ['captain', 'member'], default: 'member' },
+    joinedAt: { type: Date, default: Date.now }
+  }],
+  invites: [{
+    _id: false,
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    createdAt: { type: Date, default: Date.now }
+  }],
+  status: { type: String, enum: ['active', 'disbanded'], default: 'active' },
+  disbandedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
 
-// Auto-complete tournaments that have passed their start time
-async function autoCompleteTournaments() {
-  try {
-    const now = new Date();
-    const result = await Tournament.updateMany(
-      {
-        startTime: { $lt: now },
-        status: { $in: ['upcoming', 'active'] }
-      },
-      { status: 'completed' }
-    );
+// Names and tags are unique among active teams, and a player can only be on one active team
+teamSchema.index({ nameKey: 1 }, { unique: true, partialFilterExpression: { status: 'active' } });
+teamSchema.index({ tag: 1 }, { unique: true, partialFilterExpression: { status: 'active' } });
+teamSchema.index({ 'members.userId': 1 }, { unique: true, partialFilterExpression: { status: 'active' } });
+teamSchema.index({ 'invites.userId': 1 });
 
-    if (result.modifiedCount > 0) {
-      console.log(`Auto-completed ${result.modifiedCount} tournaments`);
-    }
-  } catch (error) {
-    console.error('Error auto-completing tournaments:', error);
-  }
-}
+const Team = mongoose.model('Team', teamSchema);
 
-// Routes
-app.post('/signup', async (req, res) => {
-  try {
-    const { fullname, email, password } = req.body;
+// Tournament Team Schema - a duo/squad registered together on one side of a tournament
+const tournamentTeamSchema = new mongoose.Schema({
+  tournamentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tournament', required: true },
+  name: { type: String, required: true, trim: true, maxlength: 30 },
+  side: { type: String, enum: ['team_a', 'team_b'], required: true },
+  captainId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  clanId: { type: mongoose.Schema.Types.ObjectId, ref: 'Team', default: null }, // Set when registered as an existing team
+  inviteCode: { type: String, required: true, unique: true },
+  // captain: the captain paid for every seat up front; split: each member pays their own entry fee
+  paymentMode: { type: String, enum: ['captain', 'split'], required: true },
+  maxMembers: { type: Number, required: true }, // Players per side, from the tournament's teamSize
+  members: [{
+    _id: false,
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }, // null until the player joins
+    freeFireId: { type: String, required: true },
+    registrationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Registration', default: null },
+    joinedAt: { type: Date, default: null }
+  }],
+  status: { type: String, enum: ['active', 'disbanded'], default: 'active' },
+  disbandedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
 
-    // Check if user already exists
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
-      return res.status(400).json({ message: 'Email already exists' });
-    }
+// One active team per side
+tournamentTeamSchema.index(
+  { tournamentId: 1, side: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
 
-    // Generate OTP
-    const otp = generateOTP();
+const TournamentTeam = mongoose.model('TournamentTeam', tournamentTeamSchema);
 
-    // Store OTP temporarily
-    otpStorage.set(email, { otp, userData: { fullname, email, password }, timestamp: Date.now() });
+// Waitlist Schema - players queued for a full tournament. Nothing is charged until they are promoted.
+const waitlistEntrySchema = new mongoose.Schema({
+  tournamentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tournament', required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  freeFireId: { type: String, required: true },
+  teamSelection: { type: String, enum: ['team_a', 'team_b', null], default: null },
+  status: {
+    type: String,
+    enum: ['waiting', 'promoted', 'skipped', 'left', 'expired'],
+    default: 'waiting'
+  },
+  skipReason: { type: String, default: '' },
+  registrationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Registration', default: null },
+  promotedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
 
-    // Send OTP email
-    const mailOptions = {
-      from: process.env.EMAIL_USER,
-      to: email,
-      subject: 'Your OTP for Signup Verification',
-      text: `Your OTP is: ${otp}. It will expire in 10 minutes.`
-    };
+// One place in the queue per player
+waitlistEntrySchema.index(
+  { tournamentId: 1, userId: 1 },
+  { unique: true, partialFilterExpression: { status: 'waiting' } }
+);
+waitlistEntrySchema.index({ tournamentId: 1, status: 1, createdAt: 1 });
+
+const WaitlistEntry = mongoose.model('WaitlistEntry', waitlistEntrySchema);
+
+// Tournament Result Schema - entered as a draft, then confirmed once and paid out
+const tournamentResultSchema = new mongoose.Schema({
+  tournamentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tournament', required: true, unique: true },
+  status: { type: String, enum: ['draft', 'confirmed'], default: 'draft' },
+  entries: [{
+    _id: false,
+    registrationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Registration', required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    freeFireId: { type: String, required: true },
+    playerName: { type: String, default: '' },
+    placement: { type: Number, required: true, min: 1 },
+    kills: { type: Number, default: 0, min: 0 },
+    placementPrize: { type: Number, default: 0 },
+    killPrize: { type: Number, default: 0 },
+    totalPrize: { type: Number, default: 0 }
+  }],
+  totalPayout: { type: Number, default: 0 },
+  submittedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', default: null },
+  submittedAt: { type: Date, default: Date.now },
+  confirmedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', default: null },
+  confirmedAt: { type: Date, default: null }
+});
 
-    await transporter.sendMail(mailOptions);
+const TournamentResult = mongoose.model('TournamentResult', tournamentResultSchema);
+
+// Knockout Bracket Schema - single or double elimination for clash_squad tournaments
+const bracketSchema = new mongoose.Schema({
+  tournamentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tournament', required: true, unique: true },
+  type: { type: String, enum: ['single_elimination', 'double_elimination'], required: true },
+  seeding: { type: String, enum: ['random', 'seeded'], required: true },
+  status: { type: String, enum: ['in_progress', 'completed'], default: 'in_progress' },
+  // Teams play as one entrant; players without a team enter on their own
+  entrants: [{
+    registrationIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Registration' }], // Captain first
+    teamId: { type: mongoose.Schema.Types.ObjectId, ref: 'TournamentTeam', default: null },
+    name: { type: String, required: true },
+    seed: { type: Number, required: true }
+  }],
+  matches: [{
+    _id: false,
+    matchId: { type: String, required: true }, // e.g. W1-3 (winners round 1, match 3), L2-1, GF1-1
+    bracket: { type: String, enum: ['winners', 'losers', 'grand_final'], required: true },
+    round: { type: Number, required: true },
+    position: { type: Number, required: true },
+    entrantA: { type: mongoose.Schema.Types.ObjectId, default: null },
+    entrantB: { type: mongoose.Schema.Types.ObjectId, default: null },
+    feedsRemaining: { type: Number, default: 0 }, // Feeder matches that haven't delivered an entrant yet
+    winnerToMatch: { type: String, default: null },
+    winnerToSlot: { type: String, enum: ['a', 'b', null], default: null },
+    loserToMatch: { type: String, default: null },
+    loserToSlot: { type: String, enum: ['a', 'b', null], default: null },
+    status: { type: String, enum: ['pending', 'ready', 'completed', 'bye', 'skipped'], default: 'pending' },
+    stage: { type: Number, default: 0 }, // Losing in a later stage ranks higher in the standings
+    winner: { type: mongoose.Schema.Types.ObjectId, default: null },
+    loser: { type: mongoose.Schema.Types.ObjectId, default: null },
+    reportedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', default: null },
+    completedAt: { type: Date, default: null }
+  }],
+  standings: [{
+    _id: false,
+    entrantId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    place: { type: Number, required: true }
+  }],
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', default: null },
+  createdAt: { type: Date, default: Date.now },
+  completedAt: { type: Date, default: null }
+}, { optimisticConcurrency: true });
+
+const Bracket = mongoose.model('Bracket', bracketSchema);
+
+// Tournament Match Schema - one game of a multi-match series, with its own room and results
+const tournamentMatchSchema = new mongoose.Schema({
+  tournamentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tournament', required: true },
+  matchNumber: { type: Number, required: true, min: 1 },
+  map: { type: String, default: '' },
+  startTime: { type: Date, default: null },
+  roomId: { type: String, default: '' },
+  roomPassword: { type: String, default: '' },
+  status: { type: String, enum: ['scheduled', 'live', 'completed'], default: 'scheduled' },
+  // Teams score as one entrant; players without a team score on their own
+  results: [{
+    _id: false,
+    entrantKey: { type: String, required: true }, // Team id, or registration id for solo players
+    registrationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Registration', required: true }, // Captain for teams
+    teamId: { type: mongoose.Schema.Types.ObjectId, ref: 'TournamentTeam', default: null },
+    name: { type: String, default: '' },
+    placement: { type: Number, required: true, min: 1 },
+    kills: { type: Number, default: 0, min: 0 },
+    placementPoints: { type: Number, default: 0 },
+    killPoints: { type: Number, default: 0 },
+    totalPoints: { type: Number, default: 0 }
+  }],
+  submittedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', default: null },
+  submittedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
 
-    res.status(200).json({ message: 'OTP sent to your email. Please verify to complete signup.' });
-  } catch (error) {
-    console.error('Signup error:', error);
-    res.status(500).json({ message: 'Server error' });
-  }
+tournamentMatchSchema.index({ tournamentId: 1, matchNumber: 1 }, { unique: true });
+
+const TournamentMatch = mongoose.model('TournamentMatch', tournamentMatchSchema);
+
+// Result Proof Schema - match screenshots uploaded by players
+const resultProofSchema = new mongoose.Schema({
+  tournamentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tournament', required: true },
+  registrationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Registration', required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  storageKey: { type: String, required: true },
+  url: { type: String, required: true },
+  mimeType: { type: String, required: true },
+  size: { type: Number, required: true },
+  note: { type: String, default: '' },
+  createdAt: { type: Date, default: Date.now }
 });
 
-app.post('/verify-otp', async (req, res) => {
-  try {
-    const { email, otp } = req.body;
+resultProofSchema.index({ tournamentId: 1, userId: 1 });
 
-    const storedData = otpStorage.get(email);
-    if (!storedData) {
-      return res.status(400).json({ message: 'OTP not found or expired' });
-    }
+const ResultProof = mongoose.model('ResultProof', resultProofSchema);
 
-    // Check if OTP is expired (10 minutes)
-    if (Date.now() - storedData.timestamp > 10 * 60 * 1000) {
-      otpStorage.delete(email);
-      return res.status(400).json({ message: 'OTP expired' });
-    }
+// Results Dispute Schema
+const disputeSchema = new mongoose.Schema({
+  tournamentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tournament', required: true },
+  registrationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Registration', required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  reason: { type: String, required: true },
+  proofIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'ResultProof' }],
+  status: {
+    type: String,
+    enum: ['open', 'under_review', 'resolved', 'rejected'],
+    default: 'open'
+  },
+  assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', default: null },
+  resolution: { type: String, default: '' },
+  payoutAdjustment: { type: Number, default: 0 },
+  resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', default: null },
+  resolvedAt: { type: Date, default: null },
+  // Audit log of every action taken on the dispute
+  history: [{
+    _id: false,
+    action: { type: String, enum: ['opened', 'review_started', 'note', 'resolved', 'rejected'], required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    adminId: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', default: null },
+    note: { type: String, default: '' },
+    amount: { type: Number, default: 0 },
+    at: { type: Date, default: Date.now }
+  }],
+  createdAt: { type: Date, default: Date.now }
+});
 
-    if (storedData.otp !== otp) {
-      return res.status(400).json({ message: 'Invalid OTP' });
-    }
+// One open dispute per player per tournament
+disputeSchema.index(
+  { tournamentId: 1, userId: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ['open', 'under_review'] } } }
+);
+disputeSchema.index({ status: 1, createdAt: 1 });
 
-    // OTP verified, hash password and save user
-    const { fullname, email: userEmail, password } = storedData.userData;
-    const hashedPassword = await bcrypt.hash(password, 10);
-    const newUser = new User({ fullname, email: userEmail, password: hashedPassword });
-    await newUser.save();
+const Dispute = mongoose.model('Dispute', disputeSchema);
 
-    // Remove OTP from storage
-    otpStorage.delete(email);
+// Game accounts linked to a profile. Registration only accepts verified ones.
+const gameAccountSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  game: { type: String, default: 'free_fire' }, // Game catalog key
+  uid: { type: String, required: true }, // format checked against the game's playerIdPattern
+  ign: { type: String, required: true, trim: true },
+  proofUrl: { type: String, required: true },
+  proofKey: { type: String, required: true },
+  status: { type: String, enum: ['pending', 'verified', 'rejected', 'unlinked'], default: 'pending' },
+  rejectionReason: { type: String, default: '' },
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', default: null },
+  reviewedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
 
-    res.status(201).json({ message: 'User created successfully' });
-  } catch (error) {
-    console.error('Verify OTP error:', error);
-    if (error.code === 11000) {
-      res.status(400).json({ message: 'Email already exists' });
-    } else {
-      res.status(500).json({ message: 'Server error' });
-    }
-  }
+// A UID can only be claimed by one player, and each player links one account per game
+gameAccountSchema.index(
+  { game: 1, uid: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ['pending', 'verified'] } } }
+);
+gameAccountSchema.index(
+  { userId: 1, game: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ['pending', 'verified'] } } }
+);
+gameAccountSchema.index({ status: 1, createdAt: 1 });
+
+const GameAccount = mongoose.model('GameAccount', gameAccountSchema);
+
+// OTP limits
+const OTP_TTL_MS = 10 * 60 * 1000;
+const OTP_MAX_ATTEMPTS = 5;
+const OTP_RESEND_COOLDOWN_MS = 60 * 1000;
+
+// Pending OTP Schema (signup verifications and admin logins)
+const otpRequestSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true }, // Email for signups, admin_<username> for admin logins
+  type: { type: String, enum: ['signup', 'admin'], required: true },
+  otpHash: { type: String, required: true },
+  userData: {
+    fullname: String,
+    email: String,
+    passwordHash: String, // Never store the plaintext password while waiting for verification
+    adminId: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+    username: String
+  },
+  attempts: { type: Number, default: 0 },
+  lastSentAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true }
 });
 
-// Login route
-app.post('/login', async (req, res) => {
-  try {
-    const { email, password } = req.body;
+// TTL index - MongoDB removes the document once expiresAt has passed
+otpRequestSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
-    // Find user by email
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(400).json({ message: 'Invalid email or password' });
-    }
+const OtpRequest = mongoose.model('OtpRequest', otpRequestSchema);
 
-    // Check password
-    const isValidPassword = await bcrypt.compare(password, user.password);
-    if (!isValidPassword) {
-      return res.status(400).json({ message: 'Invalid email or password' });
-    }
+// Generate 5-digit OTP
+function generateOTP() {
+  return Math.floor(10000 + Math.random() * 90000).toString();
+}
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+function hashOTP(otp) {
+  return crypto.createHmac('sha256', process.env.JWT_SECRET).update(String(otp)).digest('hex');
+}
 
-    res.json({
-      message: 'Login successful',
-      token,
-      user: {
-        id: user._id,
-        fullname: user.fullname,
-        email: user.email
-      }
-    });
-  } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
+// Create or replace a pending OTP. Returns { otp } to send, or { retryAfter } (seconds) while in resend cooldown.
+async function issueOtpRequest(key, type, userData) {
+  const now = Date.now();
+  const existing = await OtpRequest.findOne({ key });
 
-// Token verification route
-app.get('/verify-token', authenticateToken, (req, res) => {
-  console.log('Verify token endpoint called by user:', req.user.userId);
-  res.json({ valid: true, user: req.user });
-});
+  if (existing && existing.expiresAt.getTime() > now) {
+    const elapsed = now - existing.lastSentAt.getTime();
+    if (elapsed < OTP_RESEND_COOLDOWN_MS) {
+      return { retryAfter: Math.ceil((OTP_RESEND_COOLDOWN_MS - elapsed) / 1000) };
+    }
+  }
 
-// Protected route example (can be used for any protected content)
-app.get('/protected', authenticateToken, (req, res) => {
-  res.json({ message: 'This is protected content', user: req.user });
-});
+  const otp = generateOTP();
+  await OtpRequest.findOneAndUpdate(
+    { key },
+    {
+      key,
+      type,
+      otpHash: hashOTP(otp),
+      userData,
+      attempts: 0,
+      lastSentAt: new Date(now),
+      expiresAt: new Date(now + OTP_TTL_MS)
+    },
+    { upsert: true, setDefaultsOnInsert: true }
+  );
 
-// Forgot password route
-app.post('/forgot-password', async (req, res) => {
-  try {
-    const { email } = req.body;
+  return { otp };
+}
 
-    // Check if user exists
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(400).json({ message: 'No account found with this email address' });
-    }
+// Check an OTP against the pending request. A matching OTP consumes the request.
+// Returns { ok: true, userData } or { ok: false, status, message, attemptsRemaining? }.
+async function consumeOtpRequest(key, type, otp) {
+  const request = await OtpRequest.findOne({ key, type });
+  if (!request || request.expiresAt.getTime() <= Date.now()) {
+    return { ok: false, status: 400, message: 'OTP not found or expired' };
+  }
 
-    // Generate reset token (in production, use a proper reset token system)
-    const resetToken = jwt.sign(
-      { userId: user._id, email: user.email, type: 'password_reset' },
-      process.env.JWT_SECRET,
-      { expiresIn: '1h' }
-    );
+  // Claim an attempt before checking the OTP. The cap is part of the update filter, so parallel
+  // guesses can't get past it.
+  const claimed = await OtpRequest.findOneAndUpdate(
+    { _id: request._id, attempts: { $lt: OTP_MAX_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!claimed) {
+    await OtpRequest.deleteOne({ _id: request._id });
+    return { ok: false, status: 429, message: 'Too many failed attempts. Please request a new OTP.' };
+  }
 
-    // Send reset email
-    const resetLink = `${process.env.API_BASE_URL}/reset-password?token=${resetToken}`;
-    const mailOptions = {
-      from: process.env.EMAIL_USER,
-      to: email,
-      subject: 'Password Reset Request',
-      html: `
-        <h2>Password Reset Request</h2>
-        <p>You requested a password reset for your Future Bound account.</p>
-        <p>Click the link below to reset your password:</p>
-        <a href="${resetLink}" style="background-color: #28a745; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Reset Password</a>
-        <p>This link will expire in 1 hour.</p>
-        <p>If you didn't request this, please ignore this email.</p>
-      `
-    };
+  // Deleting on the hash match makes the OTP single-use even under concurrent requests
+  const consumed = await OtpRequest.findOneAndDelete({ _id: request._id, otpHash: hashOTP(otp) });
+  if (consumed) {
+    return { ok: true, userData: consumed.userData };
+  }
 
-    await transporter.sendMail(mailOptions);
+  const attemptsRemaining = Math.max(OTP_MAX_ATTEMPTS - claimed.attempts, 0);
 
-    res.json({ message: 'Password reset link sent to your email' });
-  } catch (error) {
-    console.error('Forgot password error:', error);
-    res.status(500).json({ message: 'Server error' });
+  if (attemptsRemaining === 0) {
+    await OtpRequest.deleteOne({ _id: request._id });
+    return { ok: false, status: 429, message: 'Too many failed attempts. Please request a new OTP.' };
   }
+
+  return { ok: false, status: 400, message: 'Invalid OTP', attemptsRemaining };
+}
+
+// Rate limiting and lockout configuration
+const LOCKOUT_THRESHOLD = 5; // Failed attempts before an account is locked
+const LOCKOUT_BASE_MS = 5 * 60 * 1000; // First lockout lasts 5 minutes and doubles with each repeat
+const LOCKOUT_MAX_MS = 24 * 60 * 60 * 1000;
+const LOCKOUT_HISTORY_MS = 24 * 60 * 60 * 1000; // Lockouts within this window count towards escalation
+
+// Rate limit counter Schema (used by the Mongo rate limit store)
+const rateLimitEntrySchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  count: { type: Number, default: 0 },
+  resetAt: { type: Date, required: true }
 });
 
-// Admin authentication routes
-app.post('/admin/login', async (req, res) => {
-  try {
-    const { username, password } = req.body;
+// TTL index - counters disappear once their window has passed
+rateLimitEntrySchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
 
-    // Check admin credentials
-    if (username !== 'admin' || password !== 'admin') {
-      return res.status(401).json({ message: 'Invalid admin credentials' });
+const RateLimitEntry = mongoose.model('RateLimitEntry', rateLimitEntrySchema);
+
+// Rate limit stores. Both expose the same async interface:
+//   increment(key, windowMs) -> { count, resetAt }
+//   get(key)                 -> { count, resetAt } or null
+//   set(key, count, ttlMs)
+//   reset(key)
+function createMemoryRateLimitStore() {
+  const entries = new Map();
+
+  // Drop expired counters so the map doesn't grow forever
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.resetAt.getTime() <= now) entries.delete(key);
     }
+  }, 60 * 1000).unref();
 
-    // Generate OTP for admin email
-    const otp = generateOTP();
+  const get = async (key) => {
+    const entry = entries.get(key);
+    if (!entry || entry.resetAt.getTime() <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry;
+  };
+
+  return {
+    get,
+    async increment(key, windowMs) {
+      const entry = await get(key);
+      if (entry) {
+        entry.count += 1;
+        return entry;
+      }
+      const created = { count: 1, resetAt: new Date(Date.now() + windowMs) };
+      entries.set(key, created);
+      return created;
+    },
+    async set(key, count, ttlMs) {
+      entries.set(key, { count, resetAt: new Date(Date.now() + ttlMs) });
+    },
+    async reset(key) {
+      entries.delete(key);
+    }
+  };
+}
 
-    // Store admin OTP temporarily (different from user OTP)
-    otpStorage.set('admin_official4basha@gmail.com', {
-      otp,
-      userData: { username: 'admin', email: 'official4basha@gmail.com' },
-      timestamp: Date.now(),
-      type: 'admin'
-    });
+function createMongoRateLimitStore() {
+  return {
+    async get(key) {
+      return RateLimitEntry.findOne({ key, resetAt: { $gt: new Date() } });
+    },
+    async increment(key, windowMs) {
+      // One atomic upsert: count up inside a live window, otherwise (no entry yet, or an expired one the
+      // TTL monitor hasn't removed) start a new window at 1. Two requests racing to create the entry can
+      // hit the unique index; the loser simply retries and increments the winner's entry.
+      for (let attempt = 0; ; attempt++) {
+        const now = new Date();
+        const live = { $gt: [{ $ifNull: ['$resetAt', now] }, now] };
+        try {
+          return await RateLimitEntry.findOneAndUpdate(
+            { key },
+            [{
+              $set: {
+                count: { $cond: [live, { $add: ['$count', 1] }, 1] },
+                resetAt: { $cond: [live, '$resetAt', new Date(now.getTime() + windowMs)] }
+              }
+            }],
+            { upsert: true, new: true }
+          );
+        } catch (error) {
+          if (error.code !== 11000 || attempt >= 2) throw error;
+        }
+      }
+    },
+    async set(key, count, ttlMs) {
+      await RateLimitEntry.findOneAndUpdate(
+        { key },
+        { count, resetAt: new Date(Date.now() + ttlMs) },
+        { upsert: true }
+      );
+    },
+    async reset(key) {
+      await RateLimitEntry.deleteOne({ key });
+    }
+  };
+}
 
-    // Send OTP to admin email
-    const mailOptions = {
-      from: process.env.EMAIL_USER,
-      to: 'official4basha@gmail.com',
-      subject: 'Admin Login OTP Verification',
-      text: `Your admin login OTP is: ${otp}. This OTP will expire in 10 minutes.`
-    };
+// RATE_LIMIT_STORE=memory|mongo; defaults to mongo in production so limits are shared across instances
+const rateLimitStore = (process.env.RATE_LIMIT_STORE || (process.env.NODE_ENV === 'production' ? 'mongo' : 'memory')) === 'mongo'
+  ? createMongoRateLimitStore()
+  : createMemoryRateLimitStore();
 
-    await transporter.sendMail(mailOptions);
+// Rate limit middleware. Counts every request per IP and, when accountKey returns
+// a value, per account as well (e.g. the email being logged into).
+const rateLimit = ({ name, windowMs, maxPerIp, maxPerAccount, accountKey }) => async (req, res, next) => {
+  try {
+    const keys = [[`${name}:ip:${req.ip}`, maxPerIp]];
+    const account = accountKey ? accountKey(req) : null;
+    if (account && maxPerAccount) {
+      keys.push([`${name}:account:${String(account).toLowerCase()}`, maxPerAccount]);
+    }
 
-    res.json({ message: 'OTP sent to admin email. Please verify to continue.' });
+    for (const [key, max] of keys) {
+      const entry = await rateLimitStore.increment(key, windowMs);
+      if (entry.count > max) {
+        const retryAfter = Math.max(Math.ceil((entry.resetAt.getTime() - Date.now()) / 1000), 1);
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({ message: 'Too many requests. Please try again later.', retryAfter });
+      }
+    }
+
+    next();
   } catch (error) {
-    console.error('Admin login error:', error);
-    res.status(500).json({ message: 'Server error' });
+    // Fail open - a broken limiter store shouldn't take authentication down
+    console.error('Rate limiter error:', error);
+    next();
   }
-});
+};
 
-// Admin OTP verification
-app.post('/admin/verify-otp', async (req, res) => {
-  try {
-    const { otp } = req.body;
-    const adminKey = 'admin_official4basha@gmail.com';
+// Seconds left on an account lockout, or 0 when the account is not locked
+async function getLockoutRemaining(scope, account) {
+  const lock = await rateLimitStore.get(`lock:${scope}:${String(account).toLowerCase()}`);
+  return lock ? Math.ceil((lock.resetAt.getTime() - Date.now()) / 1000) : 0;
+}
 
-    const storedData = otpStorage.get(adminKey);
-    if (!storedData || storedData.type !== 'admin') {
-      return res.status(400).json({ message: 'OTP not found or expired' });
-    }
+// Record a failed attempt. Locks the account after LOCKOUT_THRESHOLD failures, doubling
+// the lockout for each repeat within LOCKOUT_HISTORY_MS, and emails the account owner.
+// Returns the lockout length in seconds, or 0 if the account is not locked.
+async function recordAuthFailure(scope, account, notifyEmail) {
+  const id = String(account).toLowerCase();
+  const failures = await rateLimitStore.increment(`fail:${scope}:${id}`, LOCKOUT_HISTORY_MS);
+  if (failures.count < LOCKOUT_THRESHOLD) {
+    return 0;
+  }
 
-    // Check if OTP is expired (10 minutes)
-    if (Date.now() - storedData.timestamp > 10 * 60 * 1000) {
-      otpStorage.delete(adminKey);
-      return res.status(400).json({ message: 'OTP expired' });
-    }
+  const lockouts = await rateLimitStore.increment(`lockouts:${scope}:${id}`, LOCKOUT_HISTORY_MS);
+  const lockoutMs = Math.min(LOCKOUT_BASE_MS * 2 ** (lockouts.count - 1), LOCKOUT_MAX_MS);
 
-    if (storedData.otp !== otp) {
-      return res.status(400).json({ message: 'Invalid OTP' });
-    }
+  await rateLimitStore.set(`lock:${scope}:${id}`, 1, lockoutMs);
+  await rateLimitStore.reset(`fail:${scope}:${id}`);
 
-    // OTP verified, generate admin JWT token
-    const token = jwt.sign(
-      { username: 'admin', email: 'official4basha@gmail.com', role: 'admin' },
-      process.env.JWT_SECRET,
-      { expiresIn: '8h' } // Admin sessions last longer
-    );
+  if (notifyEmail) {
+    sendLockoutEmail(notifyEmail, lockoutMs);
+  }
+
+  return Math.ceil(lockoutMs / 1000);
+}
 
-    // Remove OTP from storage
-    otpStorage.delete(adminKey);
+async function clearAuthFailures(scope, account) {
+  await rateLimitStore.reset(`fail:${scope}:${String(account).toLowerCase()}`);
+}
 
-    res.json({
-      message: 'Admin login successful',
-      token,
-      admin: {
-        username: 'admin',
-        email: 'official4basha@gmail.com',
-        role: 'admin'
-      }
+async function sendLockoutEmail(email, lockoutMs) {
+  try {
+    await transporter.sendMail({
+      from: process.env.EMAIL_USER,
+      to: email,
+      subject: 'Account temporarily locked',
+      text: `We detected several failed sign-in attempts on your account, so it has been locked for ${Math.ceil(lockoutMs / 60000)} minutes.\n\nIf this wasn't you, we recommend resetting your password once the lock expires.`
     });
   } catch (error) {
-    console.error('Admin OTP verification error:', error);
-    res.status(500).json({ message: 'Server error' });
+    console.error('Error sending lockout email:', error);
   }
-});
+}
 
-// Admin token verification
-app.get('/admin/verify-token', authenticateToken, (req, res) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ message: 'Admin access required' });
-  }
-  res.json({ valid: true, admin: req.user });
-});
+function lockoutResponse(res, retryAfter) {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(423).json({
+    message: `Too many failed attempts. Try again in ${Math.ceil(retryAfter / 60)} minutes.`,
+    retryAfter
+  });
+}
 
-// Resend admin OTP
-app.post('/admin/resend-otp', async (req, res) => {
-  try {
-    const { username, password } = req.body;
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
 
-    if (username !== 'admin' || password !== 'admin') {
-      return res.status(401).json({ message: 'Invalid admin credentials' });
-    }
+async function findUserByResetToken(token) {
+  return User.findOne({
+    passwordResetTokenHash: hashToken(token),
+    passwordResetExpires: { $gt: new Date() }
+  });
+}
 
-    const adminKey = 'admin_official4basha@gmail.com';
-    const otp = generateOTP();
+function signAccessToken(user, session) {
+  return jwt.sign(
+    { userId: user._id, email: user.email, sessionId: session._id },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
 
-    otpStorage.set(adminKey, {
-      otp,
-      userData: { username: 'admin', email: 'official4basha@gmail.com' },
-      timestamp: Date.now(),
-      type: 'admin'
-    });
+// Create a login session. The refresh token is "<sessionId>.<secret>"; only the secret's hash is stored.
+async function createSession(user, req) {
+  const secret = crypto.randomBytes(32).toString('hex');
+  const session = await Session.create({
+    userId: user._id,
+    refreshTokenHash: hashToken(secret),
+    userAgent: req.headers['user-agent'] || '',
+    ip: req.ip || '',
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+  });
 
-    const mailOptions = {
-      from: process.env.EMAIL_USER,
-      to: 'official4basha@gmail.com',
-      subject: 'Admin Login OTP Verification (Resent)',
-      text: `Your admin login OTP is: ${otp}. This OTP will expire in 10 minutes.`
-    };
+  return {
+    accessToken: signAccessToken(user, session),
+    refreshToken: `${session._id}.${secret}`
+  };
+}
 
-    await transporter.sendMail(mailOptions);
+// Revoke all active sessions matching the filter. Returns the number revoked.
+async function revokeSessions(filter, reason) {
+  const result = await Session.updateMany(
+    { ...filter, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount;
+}
 
-    res.json({ message: 'OTP resent to admin email.' });
-  } catch (error) {
-    console.error('Admin resend OTP error:', error);
-    res.status(500).json({ message: 'Server error' });
+// Current suspension/ban for a user, or null if they are in good standing.
+// Suspensions lapse on their own once suspendedUntil has passed.
+function getUserRestriction(user) {
+  const moderation = user && user.moderation;
+  if (!moderation || !moderation.status || moderation.status === 'active') {
+    return null;
   }
-});
 
-// Admin dashboard stats
-app.get('/admin/dashboard-stats', authenticateToken, async (req, res) => {
+  if (moderation.status === 'suspended' && moderation.suspendedUntil && moderation.suspendedUntil <= new Date()) {
+    return null;
+  }
+
+  return {
+    status: moderation.status,
+    reason: moderation.reason,
+    suspendedUntil: moderation.status === 'suspended' ? moderation.suspendedUntil : null
+  };
+}
+
+function restrictionResponse(res, restriction) {
+  const message = restriction.status === 'banned'
+    ? `Your account has been banned. Reason: ${restriction.reason}`
+    : `Your account is suspended until ${restriction.suspendedUntil.toISOString()}. Reason: ${restriction.reason}`;
+
+  return res.status(403).json({ message, restriction });
+}
+
+// Middleware for routes suspended/banned users may not use (use after authenticateToken)
+const requireActiveUser = async (req, res, next) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Admin access required' });
+    const user = await User.findById(req.user.userId).select('moderation');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
     }
 
-    // Get user statistics
-    const totalUsers = await User.countDocuments();
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const todaySignups = await User.countDocuments({ createdAt: { $gte: today } });
-
-    // Mock data for other stats (in a real app, you'd track these)
-    const pendingVerifications = otpStorage.size; // Rough estimate
-    const activeSessions = 1; // Would need session tracking
+    const restriction = getUserRestriction(user);
+    if (restriction) {
+      return restrictionResponse(res, restriction);
+    }
 
-    res.json({
-      totalUsers,
-      pendingVerifications,
-      activeSessions,
-      todaySignups
-    });
+    next();
   } catch (error) {
-    console.error('Dashboard stats error:', error);
+    console.error('User restriction check error:', error);
     res.status(500).json({ message: 'Server error' });
   }
-});
+};
 
-// Admin user management
-app.get('/admin/users', authenticateToken, async (req, res) => {
-  try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Admin access required' });
-    }
+// Return (a share of) a registration's entry fee to the wallet buckets it was paid from.
+// Registrations made before the split was recorded are refunded to the deposit balance.
+// Each bucket's refund has its own reference, so repeats are rejected by the Transaction index.
+// Returns the total amount refunded.
+async function refundEntryFee(registration, tournament, { ratio = 1, reason }, session) {
+  const hasBreakdown = (registration.paidFromDeposit || 0) + (registration.paidFromWinning || 0) > 0;
+  const parts = {
+    deposit: hasBreakdown ? registration.paidFromDeposit || 0 : registration.entryFee,
+    winning: hasBreakdown ? registration.paidFromWinning || 0 : 0
+  };
+
+  let refunded = 0;
+  for (const bucket of ['deposit', 'winning']) {
+    const amount = Math.round(parts[bucket] * ratio * 100) / 100;
+    if (amount <= 0) continue;
+
+    await walletCredit({
+      userId: registration.userId,
+      bucket,
+      amount,
+      type: 'refund',
+      description: `Entry fee refund for tournament: ${tournament.tournamentId} (${reason})`,
+      reference: bucket === 'deposit' ? `refund_${registration._id}` : `refund_${registration._id}_winning`,
+      referenceType: 'tournament_id',
+      metadata: { tournamentId: tournament._id }
+    }, session);
+    refunded += amount;
+  }
 
-    const { search } = req.query;
-    let query = {};
+  return refunded;
+}
 
-    if (search) {
-      query = {
-        $or: [
-          { email: { $regex: search, $options: 'i' } },
-          { fullname: { $regex: search, $options: 'i' } }
-        ]
-      };
-    }
+// Players per side in duo/squad tournaments, or null for formats where everyone plays alone
+function getSideSize(tournament) {
+  return { '2v2': 2, '4v4': 4, '6v6': 6 }[tournament.teamSize] || null;
+}
 
-    const users = await User.find(query)
-      .select('fullname email createdAt')
-      .sort({ createdAt: -1 })
-      .limit(100);
+// Charge an entry fee from the user's wallet, turning a failed debit into a friendly balance error
+async function chargeEntryFee(user, tournament, amount, registrationId, session) {
+  if (amount <= 0) {
+    return { user, fromDeposit: 0, fromWinning: 0 };
+  }
 
-    res.json(users);
+  try {
+    return await walletDebit({
+      userId: user._id,
+      amount,
+      type: 'entry_fee',
+      description: `Entry fee for tournament: ${tournament.tournamentId}`,
+      reference: `${tournament._id}_${registrationId}`,
+      referenceType: 'tournament_id',
+      metadata: { tournamentId: tournament._id }
+    }, session);
   } catch (error) {
-    console.error('User management error:', error);
-    res.status(500).json({ message: 'Server error' });
+    if (error.status === 400) {
+      const totalBalance = user.depositAmount + user.winningAmount;
+      throw httpError(400, `Insufficient balance. You need $${amount} but only have $${totalBalance.toFixed(2)}`);
+    }
+    throw error;
   }
-});
+}
 
-// Tournament management endpoints
-app.post('/admin/tournaments', authenticateToken, async (req, res) => {
-  try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Admin access required' });
+// Registration document for a user joining a tournament, with the user and tournament snapshots filled in
+function buildRegistration(user, tournament, fields) {
+  return {
+    userId: user._id,
+    tournamentId: tournament._id,
+    tournamentIdString: tournament.tournamentId,
+    termsAccepted: true,
+    paymentMethod: 'wallet',
+    ...fields,
+    metadata: {
+      userSnapshot: {
+        fullname: user.fullname,
+        email: user.email,
+        mobile: user.mobile,
+        age: user.age,
+        state: user.state
+      },
+      tournamentSnapshot: {
+        tournamentId: tournament.tournamentId,
+        mode: tournament.mode,
+        teamSize: tournament.teamSize,
+        map: tournament.map,
+        startTime: tournament.startTime
+      }
     }
+  };
+}
 
-    const tournamentData = req.body;
+// Reserve a seat for a solo player, charge the entry fee and create the registration, all inside the
+// caller's transaction. Callers check the tournament first to give friendly errors; the conditional
+// update here is what actually prevents overfilling the tournament or a duo/squad side.
+async function registerSoloPlayer(user, tournament, { freeFireId, teamSelection }, session) {
+  const sideSize = getSideSize(tournament);
+  // The entry fee transaction references the registration, so its id is generated up front
+  const registrationId = new mongoose.Types.ObjectId();
+
+  const seatFilter = {
+    _id: tournament._id,
+    status: 'upcoming',
+    registeredUsers: { $ne: user._id },
+    $expr: { $lt: ['$registeredPlayers', '$maxSlots'] }
+  };
+  const seatUpdate = { $push: { registeredUsers: user._id }, $inc: { registeredPlayers: 1 } };
+  if (sideSize && teamSelection) {
+    // Solo players can't join a side owned by a team or push a side past teamSize
+    seatFilter[`teams.${teamSelection}`] = null;
+    seatFilter.$expr = {
+      $and: [
+        seatFilter.$expr,
+        { $lt: [{ $ifNull: [`$sidePlayers.${teamSelection}`, 0] }, sideSize] }
+      ]
+    };
+    seatUpdate.$inc[`sidePlayers.${teamSelection}`] = 1;
+  }
 
-    // Sanitize and convert data types
-    const sanitizedData = {
-      tournamentId: tournamentData.tournamentId,
-      map: tournamentData.map,
-      mode: tournamentData.mode,
-      teamSize: tournamentData.teamSize || undefined, // Only set if provided
-      entryFee: parseFloat(tournamentData.entryFee) || 0,
-      winningFee: parseFloat(tournamentData.winningFee) || 0,
-      maxSlots: parseInt(tournamentData.maxSlots) || 1,
-      startTime: new Date(tournamentData.startTime),
-      status: tournamentData.status || 'upcoming',
-      banner: tournamentData.banner && tournamentData.banner.trim() !== '' ? tournamentData.banner.trim() : 'default.jpg',
-      roomId: tournamentData.roomId || '',
-      roomPassword: tournamentData.roomPassword || '',
-      prizes: {
-        top5: Array.isArray(tournamentData.prizes?.top5) ? tournamentData.prizes.top5.map(Number) : [],
-        top10: Array.isArray(tournamentData.prizes?.top10) ? tournamentData.prizes.top10.map(Number) : [],
-        perKill: parseFloat(tournamentData.prizes?.perKill) || 0
-      }
-    };
+  const reserved = await Tournament.findOneAndUpdate(seatFilter, seatUpdate, { new: true, session });
+  if (!reserved) {
+    throw httpError(400, 'Tournament is full or registration is closed');
+  }
 
-    // Validate required fields
-    if (!sanitizedData.tournamentId || !sanitizedData.map || !sanitizedData.mode) {
-      return res.status(400).json({ message: 'Missing required fields: tournamentId, map, mode' });
-    }
+  const charge = await chargeEntryFee(user, tournament, tournament.entryFee, registrationId, session);
 
-    // Validate startTime
-    if (isNaN(sanitizedData.startTime.getTime())) {
-      return res.status(400).json({ message: 'Invalid startTime format' });
-    }
+  const [registration] = await Registration.create([{
+    _id: registrationId,
+    ...buildRegistration(user, tournament, {
+      freeFireId,
+      teamSelection: sideSize ? teamSelection : null,
+      entryFee: tournament.entryFee,
+      paidFromDeposit: charge.fromDeposit,
+      paidFromWinning: charge.fromWinning
+    })
+  }], { session });
 
-    const tournament = new Tournament(sanitizedData);
-    await tournament.save();
+  return { registration, charge };
+}
 
-    res.status(201).json({ message: 'Tournament created successfully', tournament });
-  } catch (error) {
-    console.error('Tournament creation error:', error);
-    if (error.code === 11000) {
-      res.status(400).json({ message: 'Tournament ID already exists' });
-    } else if (error.name === 'ValidationError') {
-      const errors = Object.values(error.errors).map(err => err.message);
-      res.status(400).json({ message: 'Validation error', errors });
-    } else {
-      res.status(500).json({ message: 'Server error' });
-    }
+// Cancel an active registration and give its seats back to the tournament. Returns the amount refunded
+// to the registration's owner, or null if it was no longer active. A captain leaving disbands the team:
+// every teammate is released too, with a full refund since they didn't choose to leave.
+async function releaseRegistration(registration, tournament, { refund = true, ratio = 1, reason }, session) {
+  const refunding = refund && ratio > 0 && registration.entryFee > 0;
+  const updated = await Registration.findOneAndUpdate(
+    { _id: registration._id, status: 'registered' },
+    { status: refunding ? 'refunded' : 'cancelled' },
+    { session }
+  );
+  if (!updated) {
+    return null;
   }
-});
 
-app.get('/admin/tournaments', authenticateToken, async (req, res) => {
-  try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Admin access required' });
+  const seats = registration.seats ?? 1;
+  const seatUpdate = { $pull: { registeredUsers: registration.userId }, $inc: { registeredPlayers: -seats } };
+  if (registration.teamSelection) {
+    seatUpdate.$inc[`sidePlayers.${registration.teamSelection}`] = -seats;
+  }
+  await Tournament.updateOne({ _id: tournament._id }, seatUpdate, { session });
+
+  const refunded = refunding ? await refundEntryFee(registration, tournament, { ratio, reason }, session) : 0;
+
+  const team = registration.teamId
+    ? await TournamentTeam.findOne({ _id: registration.teamId, status: 'active' }).session(session)
+    : null;
+
+  if (team && team.captainId.equals(registration.userId)) {
+    await TournamentTeam.updateOne({ _id: team._id }, { status: 'disbanded', disbandedAt: new Date() }, { session });
+    await Tournament.updateOne(
+      { _id: tournament._id, [`teams.${team.side}`]: team._id },
+      { $set: { [`teams.${team.side}`]: null } },
+      { session }
+    );
+
+    const teammates = await Registration.find({ teamId: team._id, status: 'registered' }).session(session);
+    for (const teammate of teammates) {
+      await releaseRegistration(teammate, tournament, { reason: 'team disbanded by captain' }, session);
     }
+  } else if (team) {
+    // Seats the captain paid for stay with the team, so the open spot can be claimed again with the invite code
+    await TournamentTeam.updateOne(
+      { _id: team._id },
+      { $pull: { members: { registrationId: registration._id } } },
+      { session }
+    );
+  }
 
-    const tournaments = await Tournament.find()
-      .sort({ createdAt: -1 })
-      .limit(50);
+  return refunded;
+}
 
-    res.json(tournaments);
-  } catch (error) {
-    console.error('Tournament fetch error:', error);
-    res.status(500).json({ message: 'Server error' });
+// Lowest free slot for a registration, or null if the lobby is full. `taken` lists the registrations that
+// already have slots. With slotGroupSize > 1 (e.g. 4 for Battle Royale squads) the slots form blocks: a team
+// is seated together in a block of its own, and solo players only fill blocks that no team owns.
+function pickSlot(tournament, registration, taken) {
+  const groupSize = tournament.slotGroupSize || 1;
+  const groupCount = Math.ceil(tournament.maxSlots / groupSize);
+  const occupied = new Map(taken.map(entry => [entry.slotNumber, entry]));
+
+  const groupSlots = (group) => {
+    const slots = [];
+    for (let slot = group * groupSize + 1; slot <= Math.min((group + 1) * groupSize, tournament.maxSlots); slot++) {
+      slots.push(slot);
+    }
+    return slots;
+  };
+  const freeSlot = (group) => groupSlots(group).find(slot => !occupied.has(slot)) || null;
+  const groupTeams = (group) => groupSlots(group)
+    .map(slot => occupied.get(slot)?.teamId)
+    .filter(Boolean)
+    .map(String);
+
+  const groups = [...Array(groupCount).keys()];
+  if (registration.teamId) {
+    const teamId = String(registration.teamId);
+    const ownGroup = groups.find(group => groupTeams(group).includes(teamId) && freeSlot(group));
+    if (ownGroup !== undefined) {
+      return freeSlot(ownGroup);
+    }
+    const emptyGroup = groups.find(group => groupSlots(group).every(slot => !occupied.has(slot)));
+    return emptyGroup !== undefined ? freeSlot(emptyGroup) : null;
   }
-});
 
-app.delete('/admin/tournaments/:id', authenticateToken, async (req, res) => {
-  try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Admin access required' });
+  const openGroup = groups.find(group => groupTeams(group).length === 0 && freeSlot(group));
+  return openGroup !== undefined ? freeSlot(openGroup) : null;
+}
+
+// Give a new registration its slot. Runs after the registration is committed: if another registration
+// grabs the same slot first, the unique index rejects the write and we pick again.
+async function assignSlot(registrationId) {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const registration = await Registration.findById(registrationId);
+    if (!registration || registration.status !== 'registered' || registration.slotNumber) {
+      return registration?.slotNumber ?? null;
     }
 
-    await Tournament.findByIdAndDelete(req.params.id);
-    res.json({ message: 'Tournament deleted successfully' });
-  } catch (error) {
-    console.error('Tournament deletion error:', error);
-    res.status(500).json({ message: 'Server error' });
+    const tournament = await Tournament.findById(registration.tournamentId).select('maxSlots slotGroupSize');
+    const taken = await Registration.find({
+      tournamentId: registration.tournamentId,
+      status: 'registered',
+      slotNumber: { $ne: null }
+    }).select('slotNumber teamId');
+
+    const slotNumber = pickSlot(tournament, registration, taken);
+    if (!slotNumber) {
+      return null;
+    }
+
+    try {
+      await Registration.updateOne({ _id: registration._id, slotNumber: null }, { slotNumber });
+      return slotNumber;
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
   }
-});
 
-// Get available banner images
-app.get('/banners', (req, res) => {
-  const fs = require('fs');
-  const path = require('path');
+  return null;
+}
 
-  try {
-    const imgDir = path.join(__dirname, 'img');
-    const files = fs.readdirSync(imgDir);
-    const imageFiles = files.filter(file =>
-      /\.(jpg|jpeg|png|gif|webp)$/i.test(file)
-    );
+// Slot assignment never fails a registration; admins can reshuffle anyone left without a slot
+function assignSlotSafely(registrationId) {
+  return assignSlot(registrationId).catch((error) => {
+    console.error('Slot assignment error:', error);
+    return null;
+  });
+}
 
-    res.json(imageFiles);
-  } catch (error) {
-    console.error('Error reading banner images:', error);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
+// Position in the queue, counting from 1
+async function getWaitlistPosition(entry) {
+  return WaitlistEntry.countDocuments({
+    tournamentId: entry.tournamentId,
+    status: 'waiting',
+    createdAt: { $lte: entry.createdAt }
+  });
+}
 
-// Public tournament endpoints for users
-app.get('/tournaments', async (req, res) => {
-  try {
-    // Auto-complete any tournaments that should be completed
-    await autoCompleteTournaments();
+async function skipWaitlistEntry(entry, user, tournament, reason) {
+  const skipped = await WaitlistEntry.findOneAndUpdate(
+    { _id: entry._id, status: 'waiting' },
+    { status: 'skipped', skipReason: reason },
+    { new: true }
+  );
 
-    const tournaments = await Tournament.find({ status: { $in: ['upcoming', 'active'] } })
-      .sort({ startTime: 1 })
-      .limit(20);
+  if (skipped && user) {
+    sendWaitlistEmail(user.email, `Waitlist update for ${tournament.tournamentId}`,
+      `A spot opened up in tournament ${tournament.tournamentId}, but we couldn't register you: ${reason}.\n\nYou have been removed from the waitlist. You can join again from the tournament page.`);
+  }
+}
 
-    res.json(tournaments);
-  } catch (error) {
-    console.error('Tournament fetch error:', error);
-    res.status(500).json({ message: 'Server error' });
+// Fill free seats from the waitlist, oldest entry first. Promoted players are charged and registered
+// exactly like a normal registration. Players who can't pay or are restricted are skipped and told why;
+// entries whose duo/squad side has no room stay in the queue for the next free seat.
+async function promoteFromWaitlist(tournamentId) {
+  const tournament = await Tournament.findById(tournamentId);
+  if (!tournament) {
+    return;
   }
-});
 
-app.post('/tournaments/:id/register', authenticateToken, async (req, res) => {
-  try {
-    const { freeFireId, termsAccepted, teamSelection } = req.body;
-    const tournament = await Tournament.findById(req.params.id);
+  if (tournament.status !== 'upcoming' || getRegistrationClosesAt(tournament) <= new Date()) {
+    await WaitlistEntry.updateMany({ tournamentId, status: 'waiting' }, { status: 'expired' });
+    return;
+  }
 
-    if (!tournament) {
-      return res.status(404).json({ message: 'Tournament not found' });
-    }
+  const entries = await WaitlistEntry.find({ tournamentId, status: 'waiting' }).sort({ createdAt: 1 });
 
-    if (tournament.status !== 'upcoming') {
-      return res.status(400).json({ message: 'Tournament registration is closed' });
+  for (const entry of entries) {
+    const current = await Tournament.findById(tournamentId);
+    if (current.registeredPlayers >= current.maxSlots) {
+      break;
     }
 
-    if (tournament.registeredPlayers >= tournament.maxSlots) {
-      return res.status(400).json({ message: 'Tournament is full' });
+    if (current.registeredUsers.some(userId => userId.equals(entry.userId))) {
+      await WaitlistEntry.updateOne({ _id: entry._id, status: 'waiting' }, { status: 'left' });
+      continue;
     }
 
-    if (tournament.registeredUsers.includes(req.user.userId)) {
-      return res.status(400).json({ message: 'Already registered for this tournament' });
+    const sideSize = getSideSize(current);
+    if (sideSize && entry.teamSelection &&
+      (current.teams?.[entry.teamSelection] || (current.sidePlayers?.[entry.teamSelection] || 0) >= sideSize)) {
+      continue;
     }
 
-    // Validate required fields
-    if (!freeFireId || !freeFireId.trim()) {
-      return res.status(400).json({ message: 'Free Fire ID is required' });
+    const user = await User.findById(entry.userId);
+    if (!user || getUserRestriction(user)) {
+      await skipWaitlistEntry(entry, user, current, 'your account is restricted');
+      continue;
     }
 
-    if (!termsAccepted) {
-      return res.status(400).json({ message: 'You must accept the terms and conditions' });
+    // The UID was checked when the player joined the queue; it must still be their verified account
+    if (!(await GameAccount.exists({ userId: user._id, game: current.game, uid: entry.freeFireId, status: 'verified' }))) {
+      await skipWaitlistEntry(entry, user, current, 'the game account you joined the waitlist with is no longer verified on your profile');
+      continue;
     }
 
-    // Validate Free Fire ID format (numeric only)
-    if (!/^\d+$/.test(freeFireId.trim())) {
-      return res.status(400).json({ message: 'Free Fire ID must contain only numbers' });
+    if (user.depositAmount + user.winningAmount < current.entryFee) {
+      await skipWaitlistEntry(entry, user, current, `insufficient balance (entry fee is ₹${current.entryFee})`);
+      continue;
     }
 
-    // Validate team selection for duo/squad tournaments
-    const requiresTeamSelection = ['2v2', '4v4', '6v6'].includes(tournament.teamSize);
-    if (requiresTeamSelection && (!teamSelection || !['team_a', 'team_b'].includes(teamSelection))) {
-      return res.status(400).json({ message: 'Valid team selection is required for this tournament type' });
-    }
+    let registration;
+    try {
+      ({ registration } = await runInTransaction(async (session) => {
+        const claimed = await WaitlistEntry.findOneAndUpdate(
+          { _id: entry._id, status: 'waiting' },
+          { status: 'promoted', promotedAt: new Date() },
+          { session }
+        );
+        if (!claimed) {
+          throw httpError(409, 'Waitlist entry is no longer waiting');
+        }
 
-    // Get user and check balance
-    const user = await User.findById(req.user.userId);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
+        const result = await registerSoloPlayer(user, current, {
+          freeFireId: entry.freeFireId,
+          teamSelection: entry.teamSelection
+        }, session);
+        await WaitlistEntry.updateOne({ _id: entry._id }, { registrationId: result.registration._id }, { session });
+        return result;
+      }));
+    } catch (error) {
+      if (error.status === 409) {
+        continue;
+      }
+      if (error.code === 11000) {
+        await skipWaitlistEntry(entry, user, current, 'your Free Fire ID is already registered for this tournament');
+        continue;
+      }
+      if (error.status === 400) {
+        // Seat taken in the meantime: stop once the tournament is full, and keep the entry's place
+        // in the queue if only its side filled up
+        const latest = await Tournament.findById(tournamentId);
+        if (latest.registeredPlayers >= latest.maxSlots) {
+          break;
+        }
+        if (sideSize && entry.teamSelection &&
+          (latest.teams?.[entry.teamSelection] || (latest.sidePlayers?.[entry.teamSelection] || 0) >= sideSize)) {
+          continue;
+        }
+        // Anything else (e.g. the balance no longer covers the fee) is about this player: skip them
+        await skipWaitlistEntry(entry, user, current, error.message);
+        continue;
+      }
+      throw error;
     }
 
-    const totalBalance = user.depositAmount + user.winningAmount;
-    if (totalBalance < tournament.entryFee) {
-      return res.status(400).json({
-        message: `Insufficient balance. You need $${tournament.entryFee} but only have $${totalBalance.toFixed(2)}`
-      });
-    }
+    const slotNumber = await assignSlotSafely(registration._id);
+    sendWaitlistEmail(user.email, `You're in: ${current.tournamentId}`,
+      `A spot opened up in tournament ${current.tournamentId} (${current.map}, ${current.startTime.toISOString()}) and you have been registered from the waitlist.\n\n${current.entryFee > 0 ? `The entry fee of ₹${current.entryFee} has been charged to your wallet.` : 'This tournament is free to enter.'}${slotNumber ? `\nYour lobby slot is ${slotNumber}.` : ''}`);
+  }
+}
 
-    // Deduct from accounts: deposit first, then winning
-    let remainingFee = tournament.entryFee;
-    let deductedFromDeposit = 0;
-    let deductedFromWinning = 0;
+// Promotion runs in the background after a seat frees up; failures are only logged
+function promoteFromWaitlistSafely(tournamentId) {
+  promoteFromWaitlist(tournamentId).catch((error) => {
+    console.error('Waitlist promotion error:', error);
+  });
+}
 
-    // First deduct from deposit account
-    if (user.depositAmount >= remainingFee) {
-      deductedFromDeposit = remainingFee;
-      user.depositAmount -= remainingFee;
-      remainingFee = 0;
-    } else {
-      deductedFromDeposit = user.depositAmount;
-      remainingFee -= user.depositAmount;
-      user.depositAmount = 0;
-    }
+// Void a user's registrations for tournaments that haven't started yet, freeing their slots.
+// With refund, each entry fee is returned to the wallet buckets it was paid from.
+async function voidUpcomingRegistrations(userId, { refund, reason }) {
+  const registrations = await Registration.find({ userId, status: 'registered' })
+    .populate('tournamentId', 'tournamentId status startTime');
 
-    // Then deduct from winning account if needed
-    if (remainingFee > 0) {
-      if (user.winningAmount >= remainingFee) {
-        deductedFromWinning = remainingFee;
-        user.winningAmount -= remainingFee;
-        remainingFee = 0;
-      } else {
-        // This shouldn't happen since we checked total balance above
-        return res.status(400).json({ message: 'Balance calculation error' });
-      }
+  const voided = [];
+  let refundedAmount = 0;
+
+  for (const registration of registrations) {
+    const tournament = registration.tournamentId;
+    if (!tournament || !['upcoming', 'registration_closed'].includes(tournament.status) || tournament.startTime <= new Date()) {
+      continue;
     }
 
-    // Save user balance update
-    await user.save();
+    const refunded = await runInTransaction(
+      (session) => releaseRegistration(registration, tournament, { refund, reason }, session)
+    );
 
-    // Log the entry fee transaction
-    try {
-      await logTransaction(
-        req.user.userId,
-        'entry_fee',
-        -tournament.entryFee,
-        `Entry fee for tournament: ${tournament.tournamentId}`,
-        tournament._id.toString(),
-        'tournament_id',
-        {
-          tournamentId: tournament._id
-        }
-      );
-    } catch (transactionError) {
-      console.error('Error logging entry fee transaction:', transactionError);
-      // Don't fail registration if transaction logging fails
+    if (refunded === null) {
+      continue;
     }
 
-    // Create registration record
-    const registration = new Registration({
-      userId: req.user.userId,
-      tournamentId: tournament._id,
-      tournamentIdString: tournament.tournamentId,
-      freeFireId: freeFireId.trim(),
-      termsAccepted: true,
-      teamSelection: requiresTeamSelection ? teamSelection : null,
-      entryFee: tournament.entryFee,
-      paymentMethod: 'wallet',
-      metadata: {
-        userSnapshot: {
-          fullname: user.fullname,
-          email: user.email,
-          mobile: user.mobile,
-          age: user.age,
-          state: user.state
-        },
-        tournamentSnapshot: {
-          tournamentId: tournament.tournamentId,
-          mode: tournament.mode,
-          teamSize: tournament.teamSize,
-          map: tournament.map,
-          startTime: tournament.startTime
-        }
-      }
-    });
+    refundedAmount += refunded;
+    voided.push(registration._id);
+    promoteFromWaitlistSafely(tournament._id);
+  }
 
-    await registration.save();
+  return { voided, refundedAmount };
+}
 
-    // Add user to registered users and increment count
-    tournament.registeredUsers.push(req.user.userId);
-    tournament.registeredPlayers += 1;
-    await tournament.save();
+// Apply a suspend/ban/unban action and record it in the audit trail. Returns null if the user doesn't exist.
+async function applyModeration(userId, admin, { action, reason, suspendedUntil = null, refund = false }) {
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    return null;
+  }
 
-    res.json({
-      message: 'Successfully registered for tournament',
-      deductedFromDeposit: deductedFromDeposit,
-      deductedFromWinning: deductedFromWinning,
-      newBalance: user.depositAmount + user.winningAmount,
-      registrationId: registration._id,
-      teamAssigned: requiresTeamSelection ? teamSelection : null
-    });
-  } catch (error) {
-    console.error('Tournament registration error:', error);
-    if (error.code === 11000) {
-      res.status(400).json({ message: 'You are already registered for this tournament' });
-    } else {
-      res.status(500).json({ message: 'Server error' });
-    }
+  const user = await User.findById(userId);
+  if (!user) {
+    return null;
   }
-});
 
-app.get('/my-tournaments', authenticateToken, async (req, res) => {
-  try {
-    // Auto-complete any tournaments that should be completed
-    await autoCompleteTournaments();
+  user.moderation = {
+    status: action === 'unban' ? 'active' : action === 'ban' ? 'banned' : 'suspended',
+    reason: action === 'unban' ? '' : reason,
+    suspendedUntil: action === 'suspend' ? suspendedUntil : null,
+    updatedAt: new Date(),
+    updatedBy: admin._id
+  };
+  await user.save();
+
+  let voided = [];
+  let refundedAmount = 0;
+
+  if (action !== 'unban') {
+    // Sign the user out everywhere and release their upcoming tournament slots
+    await revokeSessions({ userId: user._id }, action);
+    ({ voided, refundedAmount } = await voidUpcomingRegistrations(user._id, { refund, reason }));
+  }
 
-    const tournaments = await Tournament.find({
-      registeredUsers: req.user.userId,
-      status: { $in: ['upcoming', 'active', 'completed'] }
-    }).sort({ startTime: 1 });
+  await ModerationAction.create({
+    userId: user._id,
+    adminId: admin._id,
+    action,
+    reason,
+    suspendedUntil: action === 'suspend' ? suspendedUntil : null,
+    voidedRegistrations: voided,
+    refundedAmount
+  });
 
-    res.json(tournaments);
+  return {
+    userId: user._id,
+    moderation: user.moderation,
+    voidedRegistrations: voided.length,
+    refundedAmount
+  };
+}
+
+async function sendTournamentCancelledEmail(email, tournament, refunded) {
+  if (!email) return;
+
+  try {
+    await transporter.sendMail({
+      from: process.env.EMAIL_USER,
+      to: email,
+      subject: `Tournament ${tournament.tournamentId} has been cancelled`,
+      text: `The tournament ${tournament.tournamentId} (${tournament.map}, ${tournament.startTime.toISOString()}) has been cancelled.\n\nReason: ${tournament.cancellationReason}\n\n${refunded > 0 ? `Your entry fee of ₹${refunded} has been refunded to your wallet.` : 'No entry fee was charged for this tournament.'}`
+    });
   } catch (error) {
-    console.error('My tournaments fetch error:', error);
-    res.status(500).json({ message: 'Server error' });
+    console.error('Error sending tournament cancellation email:', error);
   }
-});
+}
 
-// Get user profile
-app.get('/profile', authenticateToken, async (req, res) => {
+async function sendWithdrawalEmail(email, subject, text) {
   try {
-    const user = await User.findById(req.user.userId).select('-password');
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
+    await transporter.sendMail({ from: process.env.EMAIL_USER, to: email, subject, text });
+  } catch (error) {
+    console.error('Error sending withdrawal email:', error);
+  }
+}
 
-    res.json(user);
+async function sendTeamEmail(email, subject, text) {
+  try {
+    await transporter.sendMail({ from: process.env.EMAIL_USER, to: email, subject, text });
   } catch (error) {
-    console.error('Profile fetch error:', error);
-    res.status(500).json({ message: 'Server error' });
+    console.error('Error sending team email:', error);
   }
-});
+}
 
-// Update user profile
-app.put('/profile', authenticateToken, async (req, res) => {
+async function sendWaitlistEmail(email, subject, text) {
   try {
-    const { fullname, mobile, age, state, currentPassword, newPassword } = req.body;
-    const userId = req.user.userId;
+    await transporter.sendMail({ from: process.env.EMAIL_USER, to: email, subject, text });
+  } catch (error) {
+    console.error('Error sending waitlist email:', error);
+  }
+}
 
-    const user = await User.findById(userId);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
+// The user's active registration for a tournament, with the tournament populated, or null
+async function findActiveRegistration(tournamentId, userId) {
+  if (!mongoose.Types.ObjectId.isValid(tournamentId)) {
+    return null;
+  }
 
-    // If updating password, verify current password
-    if (newPassword) {
-      if (!currentPassword) {
-        return res.status(400).json({ message: 'Current password is required to change password' });
-      }
+  const registration = await Registration.findOne({ tournamentId, userId, status: 'registered' })
+    .populate('tournamentId', 'tournamentId status startTime');
+  return registration && registration.tournamentId ? registration : null;
+}
 
-      const isValidPassword = await bcrypt.compare(currentPassword, user.password);
-      if (!isValidPassword) {
-        return res.status(400).json({ message: 'Current password is incorrect' });
-      }
+// Refund percentage a player gets for withdrawing from the tournament right now
+function getRefundPercent(tournament, now = new Date()) {
+  const minutesLeft = (tournament.startTime.getTime() - now.getTime()) / 60000;
+  const policy = tournament.refundPolicy || DEFAULT_REFUND_POLICY;
 
-      user.password = await bcrypt.hash(newPassword, 10);
+  return policy
+    .filter(tier => minutesLeft >= tier.minutesBeforeStart)
+    .reduce((best, tier) => Math.max(best, tier.refundPercent), 0);
+}
+
+// Returns an error message, or null if the refund policy is valid
+function validateRefundPolicy(policy) {
+  if (!Array.isArray(policy)) {
+    return 'refundPolicy must be an array of { minutesBeforeStart, refundPercent }';
+  }
+
+  for (let i = 0; i < policy.length; i++) {
+    const { minutesBeforeStart, refundPercent } = policy[i] || {};
+    if (typeof minutesBeforeStart !== 'number' || minutesBeforeStart < 0) {
+      return `refundPolicy[${i}].minutesBeforeStart must be a non-negative number`;
+    }
+    if (typeof refundPercent !== 'number' || refundPercent < 0 || refundPercent > 100) {
+      return `refundPolicy[${i}].refundPercent must be between 0 and 100`;
     }
+  }
 
-    // Update other fields
-    if (fullname) user.fullname = fullname;
-    if (mobile !== undefined) user.mobile = mobile;
-    if (age !== undefined) user.age = age;
-    if (state !== undefined) user.state = state;
+  return null;
+}
 
-    await user.save();
+// Drop the old unconditional unique registration indexes; they were replaced by partial
+// indexes so withdrawn registrations no longer block the player or their Free Fire ID
+async function migrateRegistrationIndexes() {
+  try {
+    const indexes = await Registration.collection.indexes();
+    for (const name of ['userId_1_tournamentId_1', 'tournamentId_1_freeFireId_1']) {
+      if (indexes.some(index => index.name === name)) {
+        await Registration.collection.dropIndex(name);
+        console.log(`Dropped legacy registration index ${name}`);
+      }
+    }
+    await Registration.createIndexes();
+  } catch (error) {
+    console.error('Error migrating registration indexes:', error);
+  }
+}
 
-    // Return updated user data (excluding password)
-    const updatedUser = await User.findById(userId).select('-password');
-    res.json({
-      message: 'Profile updated successfully',
-      user: updatedUser
-    });
-  } catch (error) {
-    console.error('Profile update error:', error);
-    res.status(500).json({ message: 'Server error' });
+// Prize for a finishing placement: 1-5 from prizes.top5, 6-10 from prizes.top10, otherwise nothing
+function getPlacementPrize(prizes, placement) {
+  if (placement >= 1 && placement <= 5) {
+    return prizes?.top5?.[placement - 1] || 0;
   }
-});
-
-// Get Razorpay key for frontend
-app.get('/get-razorpay-key', (req, res) => {
-  res.json({ key: process.env.RAZORPAY_KEY_ID });
-});
+  if (placement >= 6 && placement <= 10) {
+    return prizes?.top10?.[placement - 6] || 0;
+  }
+  return 0;
+}
 
-// Test endpoint to check environment variables
-app.get('/test-env', (req, res) => {
-  res.json({
-    razorpay_key_id: process.env.RAZORPAY_KEY_ID ? 'Present' : 'Missing',
-    razorpay_key_secret: process.env.RAZORPAY_KEY_SECRET ? 'Present' : 'Missing',
-    mongodb_uri: process.env.MONGODB_URI ? 'Present' : 'Missing',
-    jwt_secret: process.env.JWT_SECRET ? 'Present' : 'Missing'
-  });
-});
+// Match submitted results ({ registrationId | freeFireId, placement, kills }) to the tournament's
+// registrations and compute each player's payout. Returns { entries, errors }.
+// Each placement may only be claimed once unless `allowTies` is set; tied entrants then split the
+// prizes of every place the tie covers (two 3rd places share the 3rd and 4th place prizes).
+function buildResultEntries(tournament, registrations, results, { allowTies = false } = {}) {
+  const byId = new Map(registrations.map(reg => [reg._id.toString(), reg]));
+  const byFreeFireId = new Map(registrations.map(reg => [reg.freeFireId, reg]));
+  const seen = new Set();
+  const placementCounts = new Map();
+  const entries = [];
+  const errors = [];
+
+  results.forEach((result, index) => {
+    const registration = result.registrationId
+      ? byId.get(String(result.registrationId))
+      : byFreeFireId.get(String(result.freeFireId || '').trim());
 
-// Payment endpoints
-app.post('/create-payment-order', authenticateToken, async (req, res) => {
-  try {
-    const { amount } = req.body;
+    if (!registration) {
+      errors.push(`results[${index}]: no active registration found`);
+      return;
+    }
 
-    if (!amount || amount < 10 || amount > 10000) {
-      return res.status(400).json({ message: 'Invalid amount. Must be between ₹10 and ₹10,000' });
+    if (seen.has(registration._id.toString())) {
+      errors.push(`results[${index}]: duplicate entry for Free Fire ID ${registration.freeFireId}`);
+      return;
     }
+    seen.add(registration._id.toString());
 
-    // Check if Razorpay is configured
-    if (!process.env.RAZORPAY_KEY_ID || !process.env.RAZORPAY_KEY_SECRET) {
-      return res.status(500).json({ message: 'Payment service not configured' });
+    const placement = Number(result.placement);
+    const kills = Number(result.kills || 0);
+    if (!Number.isInteger(placement) || placement < 1) {
+      errors.push(`results[${index}]: placement must be a positive integer`);
+      return;
+    }
+    if (!Number.isInteger(kills) || kills < 0) {
+      errors.push(`results[${index}]: kills must be a non-negative integer`);
+      return;
     }
+    if (!allowTies && placementCounts.has(placement)) {
+      errors.push(`results[${index}]: placement ${placement} is already taken`);
+      return;
+    }
+    placementCounts.set(placement, (placementCounts.get(placement) || 0) + 1);
 
-    // Create Razorpay order
-    const options = {
-      amount: amount * 100, // Razorpay expects amount in paisa
-      currency: 'INR',
-      receipt: `rcpt_${Date.now().toString().slice(-6)}_${req.user.userId.slice(-4)}`,
-      payment_capture: 1 // Auto capture
-    };
+    entries.push({
+      registrationId: registration._id,
+      userId: registration.userId,
+      freeFireId: registration.freeFireId,
+      playerName: registration.metadata?.userSnapshot?.fullname || '',
+      placement,
+      kills,
+      killPrize: kills * (tournament.prizes?.perKill || 0)
+    });
+  });
 
-    const order = await razorpay.orders.create(options);
+  // Split tied places' combined prizes, rounding down to the paisa so the pool is never overpaid
+  entries.forEach(entry => {
+    const tied = placementCounts.get(entry.placement);
+    let combined = 0;
+    for (let place = entry.placement; place < entry.placement + tied; place++) {
+      combined += getPlacementPrize(tournament.prizes, place);
+    }
+    entry.placementPrize = Math.floor(combined * 100 / tied) / 100;
+    entry.totalPrize = Math.round((entry.placementPrize + entry.killPrize) * 100) / 100;
+  });
 
-    res.json({
-      id: order.id,
-      amount: order.amount,
-      currency: order.currency,
-      receipt: order.receipt
-    });
+  entries.sort((a, b) => a.placement - b.placement || b.kills - a.kills);
+  return { entries, errors };
+}
 
-  } catch (error) {
-    console.error('Payment order creation error:', error);
-    res.status(500).json({ message: 'Failed to create payment order' });
+// Randomly reorder an array in place (Fisher-Yates)
+function shuffleInPlace(items) {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [items[i], items[j]] = [items[j], items[i]];
   }
-});
-
-app.post('/verify-payment', authenticateToken, async (req, res) => {
-  try {
-    const {
-      razorpay_order_id,
-      razorpay_payment_id,
-      razorpay_signature,
-      receipt
-    } = req.body;
+  return items;
+}
 
-    // Verify payment signature
-    const sign = razorpay_order_id + '|' + razorpay_payment_id;
-    const expectedSign = crypto
-      .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
-      .update(sign.toString())
-      .digest('hex');
+// Standard bracket seed order for a power-of-two size: [1, 8, 4, 5, 2, 7, 3, 6] for 8, so consecutive
+// pairs are the first-round matches and the top seeds only meet late. Missing seeds become byes.
+function getSeedOrder(size) {
+  let order = [1, 2];
+  while (order.length < size) {
+    const next = [];
+    order.forEach(seed => next.push(seed, order.length * 2 + 1 - seed));
+    order = next;
+  }
+  return order.slice(0, size);
+}
 
-    if (razorpay_signature !== expectedSign) {
-      return res.status(400).json({ message: 'Payment verification failed' });
-    }
+// Build every match of a single or double elimination bracket for seeded entrants ({ _id, seed }).
+// Each match knows where its winner and loser go next; a match is played once all its feeder matches
+// have delivered, and a match left with one entrant is a bye. `stage` orders eliminations for standings.
+function buildBracketMatches(entrants, type) {
+  const rounds = Math.max(1, Math.ceil(Math.log2(entrants.length)));
+  const size = 2 ** rounds;
+  const double = type === 'double_elimination';
+  const losersRounds = double ? 2 * (rounds - 1) : 0;
+  const matches = [];
+
+  const matchId = (prefix, round, position) => `${prefix}${round}-${position}`;
+  const slotFor = (position) => (position % 2 === 1 ? 'a' : 'b');
+
+  // Winners bracket
+  const order = getSeedOrder(size);
+  const bySeed = new Map(entrants.map(entrant => [entrant.seed, entrant._id]));
+  for (let round = 1; round <= rounds; round++) {
+    const count = size / 2 ** round;
+    for (let position = 1; position <= count; position++) {
+      const match = {
+        matchId: matchId('W', round, position),
+        bracket: 'winners',
+        round,
+        position,
+        entrantA: round === 1 ? bySeed.get(order[2 * position - 2]) || null : null,
+        entrantB: round === 1 ? bySeed.get(order[2 * position - 1]) || null : null,
+        feedsRemaining: round === 1 ? 0 : 2,
+        stage: double ? 0 : round
+      };
 
-    // Extract amount from receipt (format: rcpt_timestamp_userId)
-    const receiptParts = receipt.split('_');
-    if (receiptParts.length !== 3) {
-      return res.status(400).json({ message: 'Invalid receipt format' });
-    }
+      if (round < rounds) {
+        match.winnerToMatch = matchId('W', round + 1, Math.ceil(position / 2));
+        match.winnerToSlot = slotFor(position);
+      } else if (double) {
+        match.winnerToMatch = 'GF1-1';
+        match.winnerToSlot = 'a';
+      }
 
-    // Get payment details from Razorpay
-    const payment = await razorpay.payments.fetch(razorpay_payment_id);
-    const amount = payment.amount / 100; // Convert from paisa to rupees
+      if (double) {
+        // First-round losers pair up in L1; later losers drop in against the previous losers round's winners
+        match.loserToMatch = round === 1
+          ? matchId('L', 1, Math.ceil(position / 2))
+          : matchId('L', 2 * (round - 1), position);
+        match.loserToSlot = round === 1 ? slotFor(position) : 'b';
+      }
 
-    // Update user balance
-    const user = await User.findById(req.user.userId);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
+      matches.push(match);
     }
+  }
 
-    user.depositAmount += amount;
-    await user.save();
+  // Losers bracket: odd rounds pair up winners of the previous losers round, even rounds take on the
+  // losers dropping down from the winners bracket
+  for (let round = 1; round <= losersRounds; round++) {
+    const count = round % 2 === 1 ? size / 2 ** ((round - 1) / 2 + 2) : size / 2 ** (round / 2 + 1);
+    for (let position = 1; position <= count; position++) {
+      const match = {
+        matchId: matchId('L', round, position),
+        bracket: 'losers',
+        round,
+        position,
+        entrantA: null,
+        entrantB: null,
+        feedsRemaining: 2,
+        stage: round
+      };
 
-    // Log the deposit transaction
-    try {
-      await logTransaction(
-        req.user.userId,
-        'deposit',
-        amount,
-        `Wallet deposit via Razorpay`,
-        razorpay_payment_id,
-        'payment_id',
-        {
-          paymentId: razorpay_payment_id,
-          razorpayOrderId: razorpay_order_id
-        }
-      );
-    } catch (transactionError) {
-      console.error('Error logging deposit transaction:', transactionError);
-      // Don't fail the payment if transaction logging fails
+      if (round === losersRounds) {
+        match.winnerToMatch = 'GF1-1';
+        match.winnerToSlot = 'b';
+      } else if (round % 2 === 1) {
+        match.winnerToMatch = matchId('L', round + 1, position);
+        match.winnerToSlot = 'a';
+      } else {
+        match.winnerToMatch = matchId('L', round + 1, Math.ceil(position / 2));
+        match.winnerToSlot = slotFor(position);
+      }
+
+      matches.push(match);
     }
+  }
 
-    res.json({
-      message: 'Payment verified and wallet updated successfully',
-      amount: amount,
-      newBalance: user.depositAmount + user.winningAmount
+  if (double) {
+    // Grand final, plus a reset match that is only played if the losers bracket champion wins the first
+    matches.push({
+      matchId: 'GF1-1', bracket: 'grand_final', round: 1, position: 1,
+      entrantA: null, entrantB: null, feedsRemaining: 2, stage: losersRounds + 1
     });
+    matches.push({
+      matchId: 'GF2-1', bracket: 'grand_final', round: 2, position: 1,
+      entrantA: null, entrantB: null, feedsRemaining: 1, stage: losersRounds + 2
+    });
+  }
 
-  } catch (error) {
-    console.error('Payment verification error:', error);
-    res.status(500).json({ message: 'Payment verification failed' });
+  // Resolve first-round byes (and any byes they cascade into)
+  matches
+    .filter(match => match.bracket === 'winners' && match.round === 1)
+    .forEach(match => settleBracketMatch(matches, match));
+
+  return matches;
+}
+
+// Called once all of a match's feeders have delivered: play it, or pass a lone entrant straight through
+function settleBracketMatch(matches, match) {
+  if (match.entrantA && match.entrantB) {
+    match.status = 'ready';
+    return;
   }
-});
+  finishBracketMatch(matches, match, match.entrantA || match.entrantB || null, 'bye');
+}
 
-// Transaction logging functions
-async function logTransaction(userId, type, amount, description, reference, referenceType, metadata = {}) {
-  try {
-    // Check if transaction already exists to prevent duplicates
-    const existingTransaction = await Transaction.findOne({
-      userId,
-      reference,
-      referenceType
-    });
+// Record a match outcome and send the winner and loser on to their next matches
+function finishBracketMatch(matches, match, winner, status = 'completed') {
+  const loser = status === 'completed'
+    ? [match.entrantA, match.entrantB].find(entrant => !entrant.equals(winner))
+    : null;
+
+  match.winner = winner;
+  match.loser = loser;
+  match.status = status;
+  match.completedAt = new Date();
+
+  if (match.matchId === 'GF1-1') {
+    // The losers bracket champion (slot b) winning forces a deciding reset match
+    const reset = matches.find(m => m.matchId === 'GF2-1');
+    if (status === 'completed' && winner.equals(match.entrantB)) {
+      reset.entrantA = match.entrantA;
+      reset.entrantB = match.entrantB;
+      reset.feedsRemaining = 0;
+      reset.status = 'ready';
+    } else {
+      reset.feedsRemaining = 0;
+      reset.status = 'skipped';
+    }
+    return;
+  }
 
-    if (existingTransaction) {
-      console.log(`Transaction already exists: ${reference}`);
-      return existingTransaction;
+  const deliver = (targetId, slot, entrant) => {
+    const target = targetId && matches.find(m => m.matchId === targetId);
+    if (!target) return;
+    if (slot === 'a') target.entrantA = entrant;
+    else target.entrantB = entrant;
+    target.feedsRemaining -= 1;
+    if (target.feedsRemaining === 0) {
+      settleBracketMatch(matches, target);
     }
+  };
 
-    const transaction = new Transaction({
-      userId,
-      type,
-      amount,
-      description,
-      reference,
-      referenceType,
-      metadata,
-      status: 'completed'
-    });
+  deliver(match.winnerToMatch, match.winnerToSlot, winner);
+  deliver(match.loserToMatch, match.loserToSlot, loser);
+}
 
-    await transaction.save();
-    console.log(`Transaction logged: ${type} - ${amount} - ${reference}`);
-    return transaction;
-  } catch (error) {
-    console.error('Error logging transaction:', error);
-    throw error;
+// Final standings once the deciding match is done, or null while the bracket is still running.
+// The champion is 1st; everyone else is ranked by the stage they were knocked out in, sharing places on ties.
+function computeBracketStandings(bracket) {
+  const matches = bracket.matches;
+  const double = bracket.type === 'double_elimination';
+  const decider = double
+    ? (matches.find(m => m.matchId === 'GF2-1').status === 'skipped'
+      ? matches.find(m => m.matchId === 'GF1-1')
+      : matches.find(m => m.matchId === 'GF2-1'))
+    : matches.find(m => m.bracket === 'winners' && !m.winnerToMatch);
+
+  if (!['completed', 'bye'].includes(decider.status)) {
+    return null;
   }
-}
 
-// Get user transactions
-app.get('/transactions', authenticateToken, async (req, res) => {
-  try {
-    const { page = 1, limit = 20 } = req.query;
-    const skip = (page - 1) * limit;
+  const eliminated = matches.filter(match => {
+    if (match.status !== 'completed' || !match.loser) return false;
+    if (!double) return true;
+    if (match.bracket === 'losers' || match.matchId === 'GF2-1') return true;
+    return match.matchId === 'GF1-1' && match.winner.equals(match.entrantA);
+  });
 
-    const transactions = await Transaction.find({ userId: req.user.userId })
-      .populate('metadata.tournamentId', 'tournamentId mode')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
+  const standings = [{ entrantId: decider.winner, place: 1 }];
+  eliminated
+    .sort((a, b) => b.stage - a.stage)
+    .forEach(match => {
+      standings.push({
+        entrantId: match.loser,
+        place: 2 + eliminated.filter(other => other.stage > match.stage).length
+      });
+    });
 
-    const total = await Transaction.countDocuments({ userId: req.user.userId });
+  return standings;
+}
 
-    res.json({
-      transactions,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
-      }
-    });
-  } catch (error) {
-    console.error('Error fetching transactions:', error);
-    res.status(500).json({ message: 'Server error' });
+// Turn a completed bracket's standings into draft results, so prizes go through the usual confirm step.
+// A live tournament moves to results_pending first. Each entrant's prize goes to its first registration
+// (the team captain); entrants sharing a place split those places' prizes. Returns { result, errors }:
+// result is null if results were already confirmed, errors lists standings that couldn't be drafted.
+async function draftBracketResults(bracket, adminId) {
+  let tournament = await Tournament.findById(bracket.tournamentId);
+  if (tournament.status === 'live') {
+    tournament = await transitionTournament(tournament._id, 'results_pending', { adminId, reason: 'Bracket completed' });
   }
-});
 
-// Admin endpoint to get all transactions (for monitoring)
-app.get('/admin/transactions', authenticateToken, async (req, res) => {
-  try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Admin access required' });
-    }
-
-    const { page = 1, limit = 50, userId, type } = req.query;
-    const skip = (page - 1) * limit;
+  const existing = await TournamentResult.findOne({ tournamentId: tournament._id });
+  if (existing && existing.status === 'confirmed') {
+    return { result: null, errors: [] };
+  }
 
-    let query = {};
-    if (userId) query.userId = userId;
-    if (type) query.type = type;
+  const entrants = new Map(bracket.entrants.map(entrant => [entrant._id.toString(), entrant]));
+  const registrations = await Registration.find({ tournamentId: tournament._id, status: 'registered' });
+  const { entries, errors } = buildResultEntries(tournament, registrations, bracket.standings.map(standing => ({
+    registrationId: entrants.get(standing.entrantId.toString()).registrationIds[0],
+    placement: standing.place
+  })), { allowTies: true });
 
-    const transactions = await Transaction.find(query)
-      .populate('userId', 'fullname email')
-      .populate('metadata.tournamentId', 'tournamentId mode')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
+  return { result: await saveDraftResults(tournament, entries, adminId), errors };
+}
 
-    const total = await Transaction.countDocuments(query);
+function validateScoring(scoring) {
+  if (!scoring || typeof scoring !== 'object') {
+    return 'scoring must be an object of { placementPoints, pointsPerKill }';
+  }
 
-    res.json({
-      transactions,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
-      }
-    });
-  } catch (error) {
-    console.error('Error fetching admin transactions:', error);
-    res.status(500).json({ message: 'Server error' });
+  const { placementPoints, pointsPerKill } = scoring;
+  if (placementPoints !== undefined &&
+    (!Array.isArray(placementPoints) || placementPoints.some(points => typeof points !== 'number' || points < 0))) {
+    return 'scoring.placementPoints must be an array of non-negative numbers (1st place first)';
+  }
+  if (pointsPerKill !== undefined && (typeof pointsPerKill !== 'number' || pointsPerKill < 0)) {
+    return 'scoring.pointsPerKill must be a non-negative number';
   }
-});
 
-// Manual transaction logging (admin only)
-app.post('/admin/transactions', authenticateToken, async (req, res) => {
-  try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Admin access required' });
-    }
+  return null;
+}
 
-    const { userId, type, amount, description, reference, referenceType, metadata } = req.body;
+// Check a tournament's mode, team size, map and lobby size against its game. Returns an error message or null.
+function validateTournamentForGame(data, game) {
+  const mode = game.modes.find(candidate => candidate.key === data.mode);
+  if (!mode) {
+    return `mode must be one of: ${game.modes.map(candidate => candidate.key).join(', ')}`;
+  }
 
-    // Validate required fields
-    if (!userId || !type || !amount || !description || !reference || !referenceType) {
-      return res.status(400).json({ message: 'Missing required fields' });
-    }
+  if (mode.teamSizes.length > 0 && !mode.teamSizes.includes(data.teamSize)) {
+    return `teamSize for ${mode.name} must be one of: ${mode.teamSizes.join(', ')}`;
+  }
 
-    // Validate transaction type
-    const validTypes = ['deposit', 'winning', 'entry_fee', 'withdrawal'];
-    if (!validTypes.includes(type)) {
-      return res.status(400).json({ message: 'Invalid transaction type' });
-    }
+  if (game.maps.length > 0 && !game.maps.includes(data.map)) {
+    return `map must be one of: ${game.maps.join(', ')}`;
+  }
 
-    // Check if user exists
-    const user = await User.findById(userId);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
+  if (mode.maxSlots && data.maxSlots !== mode.maxSlots) {
+    return `${game.name} ${mode.name} tournaments must have exactly ${mode.maxSlots} slots`;
+  }
 
-    // Update user balance based on transaction type
-    if (type === 'deposit') {
-      user.depositAmount += amount;
-    } else if (type === 'winning') {
-      user.winningAmount += amount;
-    } else if (type === 'entry_fee' || type === 'withdrawal') {
-      // Deduct from available balance
-      const totalBalance = user.depositAmount + user.winningAmount;
-      if (totalBalance < Math.abs(amount)) {
-        return res.status(400).json({ message: 'Insufficient balance' });
-      }
+  return null;
+}
 
-      // Deduct from deposit first, then winning
-      let remainingAmount = Math.abs(amount);
-      if (user.depositAmount >= remainingAmount) {
-        user.depositAmount -= remainingAmount;
-      } else {
-        remainingAmount -= user.depositAmount;
-        user.depositAmount = 0;
-        user.winningAmount -= remainingAmount;
-      }
-    }
+// Prize table from the game's default split (percentages of the prize pool)
+function getDefaultPrizes(game, winningFee) {
+  const share = percent => Math.floor(winningFee * percent / 100);
+  return {
+    top5: game.prizeSplit.top5.map(share),
+    top10: game.prizeSplit.top10.map(share),
+    perKill: share(game.prizeSplit.perKill)
+  };
+}
 
-    await user.save();
+// Expand a tournament's prizes into one row per rank: top5 covers 1st-5th, top10 covers 6th-10th
+function buildPrizeTable(prizes) {
+  const top5 = (prizes?.top5 || []).slice(0, 5);
+  const top10 = (prizes?.top10 || []).slice(0, 5);
+  const prizeTable = [
+    ...top5.map((amount, index) => ({ rank: index + 1, amount })),
+    ...top10.map((amount, index) => ({ rank: index + 6, amount }))
+  ].filter(row => row.amount > 0);
 
-    // Log the transaction
-    const transaction = await logTransaction(
-      userId,
-      type,
-      type === 'entry_fee' || type === 'withdrawal' ? -Math.abs(amount) : amount,
-      description,
-      reference,
-      referenceType,
-      metadata
-    );
+  return { prizeTable, placementTotal: prizeTable.reduce((sum, row) => sum + row.amount, 0) };
+}
 
-    res.status(201).json({
-      message: 'Transaction logged successfully',
-      transaction,
-      newBalance: user.depositAmount + user.winningAmount
-    });
-  } catch (error) {
-    console.error('Error logging manual transaction:', error);
-    if (error.code === 11000) {
-      res.status(400).json({ message: 'Transaction with this reference already exists' });
-    } else {
-      res.status(500).json({ message: 'Server error' });
+// Score one match of a series. `results` are { teamId | registrationId | freeFireId, placement, kills }.
+// Teams score as one entrant (named after the team, recorded against the captain's registration);
+// players without a team score on their own. Returns { entries, errors }.
+function buildMatchResults(tournament, registrations, results) {
+  const scoring = tournament.scoring || DEFAULT_SCORING;
+  const byId = new Map(registrations.map(reg => [reg._id.toString(), reg]));
+  const byFreeFireId = new Map(registrations.map(reg => [reg.freeFireId, reg]));
+  const teamLeads = new Map();
+  registrations.filter(reg => reg.teamId).forEach(reg => {
+    const teamId = reg.teamId._id.toString();
+    if (!teamLeads.has(teamId) || reg.userId.equals(reg.teamId.captainId)) {
+      teamLeads.set(teamId, reg);
     }
-  }
-});
+  });
 
-// Award tournament winnings (admin/system endpoint)
-app.post('/admin/award-winnings', authenticateToken, async (req, res) => {
-  try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Admin access required' });
-    }
+  const seen = new Set();
+  const placements = new Set();
+  const entries = [];
+  const errors = [];
 
-    const { tournamentId, winners } = req.body;
+  results.forEach((result, index) => {
+    const registration = result.teamId
+      ? teamLeads.get(String(result.teamId))
+      : result.registrationId
+        ? byId.get(String(result.registrationId))
+        : byFreeFireId.get(String(result.freeFireId || '').trim());
 
-    // Validate input
-    if (!tournamentId || !winners || !Array.isArray(winners)) {
-      return res.status(400).json({ message: 'Invalid request data' });
+    if (!registration) {
+      errors.push(`results[${index}]: no active registration or team found`);
+      return;
     }
 
-    // Find tournament
-    const tournament = await Tournament.findById(tournamentId);
-    if (!tournament) {
-      return res.status(404).json({ message: 'Tournament not found' });
+    const team = registration.teamId;
+    const entrantKey = team ? team._id.toString() : registration._id.toString();
+    if (seen.has(entrantKey)) {
+      errors.push(`results[${index}]: duplicate entry for ${team ? `team ${team.name}` : `Free Fire ID ${registration.freeFireId}`}`);
+      return;
     }
+    seen.add(entrantKey);
 
-    if (tournament.status !== 'completed') {
-      return res.status(400).json({ message: 'Tournament is not completed' });
+    const placement = Number(result.placement);
+    const kills = Number(result.kills || 0);
+    if (!Number.isInteger(placement) || placement < 1) {
+      errors.push(`results[${index}]: placement must be a positive integer`);
+      return;
+    }
+    if (placements.has(placement)) {
+      errors.push(`results[${index}]: placement ${placement} is used more than once`);
+      return;
+    }
+    placements.add(placement);
+    if (!Number.isInteger(kills) || kills < 0) {
+      errors.push(`results[${index}]: kills must be a non-negative integer`);
+      return;
     }
 
-    const results = [];
+    const placementPoints = scoring.placementPoints[placement - 1] || 0;
+    const killPoints = kills * scoring.pointsPerKill;
+
+    entries.push({
+      entrantKey,
+      registrationId: team ? teamLeads.get(entrantKey)._id : registration._id,
+      teamId: team ? team._id : null,
+      name: team ? team.name : registration.metadata?.userSnapshot?.fullname || registration.freeFireId,
+      placement,
+      kills,
+      placementPoints,
+      killPoints,
+      totalPoints: placementPoints + killPoints
+    });
+  });
 
-    // Process each winner
+  entries.sort((a, b) => a.placement - b.placement);
+  return { entries, errors };
+}
+
+// Cumulative standings across a series' completed matches. Ties are broken the Free Fire esports way:
+// total points, then Booyahs (1st places), then total kills, then placement in the latest match played.
+function computeSeriesStandings(matches) {
+  const completed = matches
+    .filter(match => match.status === 'completed')
+    .sort((a, b) => a.matchNumber - b.matchNumber);
+
+  const table = new Map();
+  for (const match of completed) {
+    for (const entry of match.results) {
+      const row = table.get(entry.entrantKey) || {
+        entrantKey: entry.entrantKey,
+        registrationId: entry.registrationId,
+        teamId: entry.teamId,
+        name: entry.name,
+        matchesPlayed: 0,
+        booyahs: 0,
+        kills: 0,
+        placementPoints: 0,
+        killPoints: 0,
+        totalPoints: 0,
+        lastPlacement: null
+      };
+
+      row.matchesPlayed += 1;
+      row.booyahs += entry.placement === 1 ? 1 : 0;
+      row.kills += entry.kills;
+      row.placementPoints += entry.placementPoints;
+      row.killPoints += entry.killPoints;
+      row.totalPoints += entry.totalPoints;
+      row.lastPlacement = entry.placement;
+      table.set(entry.entrantKey, row);
+    }
+  }
+
+  const rows = [...table.values()].sort((a, b) =>
+    b.totalPoints - a.totalPoints ||
+    b.booyahs - a.booyahs ||
+    b.kills - a.kills ||
+    a.lastPlacement - b.lastPlacement
+  );
+
+  rows.forEach((row, index) => {
+    row.rank = index + 1;
+  });
+
+  return { matchesCompleted: completed.length, standings: rows };
+}
+
+// Save results as the tournament's draft (replacing any earlier draft) for an admin to review and confirm
+function saveDraftResults(tournament, entries, adminId) {
+  return TournamentResult.findOneAndUpdate(
+    { tournamentId: tournament._id, status: 'draft' },
+    {
+      tournamentId: tournament._id,
+      status: 'draft',
+      entries,
+      totalPayout: entries.reduce((sum, entry) => sum + entry.totalPrize, 0),
+      submittedBy: adminId,
+      submittedAt: new Date()
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+}
+
+// Time at which registration closes for a tournament
+function getRegistrationClosesAt(tournament) {
+  const cutoff = tournament.registrationCutoffMinutes ?? DEFAULT_REGISTRATION_CUTOFF_MINUTES;
+  return new Date(tournament.startTime.getTime() - cutoff * 60 * 1000);
+}
+
+// Move a tournament to a new status if the lifecycle allows it, recording the transition.
+// The update is conditional on the status we read, so concurrent transitions can't both win.
+async function transitionTournament(tournamentId, to, { adminId = null, reason = '', update = {} } = {}, session = null) {
+  const tournament = await Tournament.findById(tournamentId).session(session);
+  if (!tournament) {
+    throw httpError(404, 'Tournament not found');
+  }
+
+  const from = tournament.status;
+  if (!(TOURNAMENT_TRANSITIONS[from] || []).includes(to)) {
+    throw httpError(400, `Cannot move tournament from ${from} to ${to}`);
+  }
+
+  // Reopening after the cutoff would just be closed again by the next lifecycle run
+  if (to === 'upcoming' && getRegistrationClosesAt({ ...tournament.toObject(), ...update }) <= new Date()) {
+    throw httpError(400, 'The registration cutoff has passed. Pass a later startTime or a shorter registrationCutoffMinutes to reopen registration.');
+  }
+
+  const updated = await Tournament.findOneAndUpdate(
+    { _id: tournament._id, status: from },
+    {
+      ...update,
+      status: to,
+      $push: { statusHistory: { from, to, at: new Date(), by: adminId, reason } }
+    },
+    { new: true, session }
+  );
+  if (!updated) {
+    throw httpError(409, 'Tournament status changed concurrently. Please retry.');
+  }
+
+  return updated;
+}
+
+// Time-driven transitions: close registration at the cutoff and go live at startTime.
+// Later stages (results pending, completed) are moved by admins.
+async function advanceTournamentLifecycles() {
+  try {
+    const now = new Date();
+    const closed = await Tournament.updateMany(
+      {
+        status: 'upcoming',
+        $expr: {
+          $lte: [
+            { $subtract: ['$startTime', { $multiply: [{ $ifNull: ['$registrationCutoffMinutes', DEFAULT_REGISTRATION_CUTOFF_MINUTES] }, 60 * 1000] }] },
+            now
+          ]
+        }
+      },
+      { status: 'registration_closed', $push: { statusHistory: { from: 'upcoming', to: 'registration_closed', at: now, reason: 'Registration cutoff reached' } } }
+    );
+
+    const live = await Tournament.updateMany(
+      { status: 'registration_closed', startTime: { $lte: now } },
+      { status: 'live', $push: { statusHistory: { from: 'registration_closed', to: 'live', at: now, reason: 'Start time reached' } } }
+    );
+
+    if (closed.modifiedCount > 0 || live.modifiedCount > 0) {
+      console.log(`Tournament lifecycle: closed registration for ${closed.modifiedCount}, started ${live.modifiedCount}`);
+    }
+  } catch (error) {
+    console.error('Error advancing tournament lifecycles:', error);
+  }
+}
+
+// Tournaments used to go straight from 'active' to 'completed'; 'active' is now 'live'
+async function migrateTournamentStatuses() {
+  try {
+    const result = await Tournament.updateMany(
+      { status: 'active' },
+      { status: 'live', $push: { statusHistory: { from: 'active', to: 'live', at: new Date(), reason: 'Status migration' } } }
+    );
+    if (result.modifiedCount > 0) {
+      console.log(`Migrated ${result.modifiedCount} active tournaments to live`);
+    }
+  } catch (error) {
+    console.error('Error migrating tournament statuses:', error);
+  }
+}
+
+// Create the built-in games if they're missing and point older tournaments at Free Fire
+async function ensureDefaultGames() {
+  try {
+    for (const game of DEFAULT_GAMES) {
+      await Game.updateOne({ key: game.key }, { $setOnInsert: game }, { upsert: true });
+    }
+
+    await Tournament.updateMany({ game: { $exists: false } }, { $set: { game: 'free_fire' } });
+  } catch (error) {
+    console.error('Error creating default games:', error);
+  }
+}
+
+// Create the first superadmin from environment variables when no admins exist yet
+async function ensureBootstrapAdmin() {
+  try {
+    const adminCount = await Admin.countDocuments();
+    if (adminCount > 0) {
+      return;
+    }
+
+    const { ADMIN_USERNAME, ADMIN_PASSWORD, ADMIN_EMAIL } = process.env;
+    if (!ADMIN_USERNAME || !ADMIN_PASSWORD || !ADMIN_EMAIL) {
+      console.warn('No admin accounts exist. Set ADMIN_USERNAME, ADMIN_PASSWORD and ADMIN_EMAIL to create a superadmin.');
+      return;
+    }
+
+    await Admin.create({
+      username: ADMIN_USERNAME,
+      email: ADMIN_EMAIL,
+      password: await bcrypt.hash(ADMIN_PASSWORD, 10),
+      role: 'superadmin'
+    });
+    console.log(`Created bootstrap superadmin: ${ADMIN_USERNAME}`);
+  } catch (error) {
+    console.error('Error creating bootstrap admin:', error);
+  }
+}
+
+// Routes
+app.post('/signup', rateLimit({
+  name: 'signup',
+  windowMs: 60 * 60 * 1000,
+  maxPerIp: 10,
+  maxPerAccount: 5,
+  accountKey: req => req.body.email
+}), async (req, res) => {
+  try {
+    const { fullname, email, password } = req.body;
+
+    if (!fullname || !email || !password) {
+      return res.status(400).json({ message: 'Full name, email and password are required' });
+    }
+
+    // Check if user already exists
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      return res.status(400).json({ message: 'Email already exists' });
+    }
+
+    // Store the pending signup with the password already hashed
+    const passwordHash = await bcrypt.hash(password, 10);
+    const { otp, retryAfter } = await issueOtpRequest(email, 'signup', { fullname, email, passwordHash });
+    if (!otp) {
+      return res.status(429).json({ message: `Please wait ${retryAfter} seconds before requesting a new OTP`, retryAfter });
+    }
+
+    // Send OTP email
+    const mailOptions = {
+      from: process.env.EMAIL_USER,
+      to: email,
+      subject: 'Your OTP for Signup Verification',
+      text: `Your OTP is: ${otp}. It will expire in 10 minutes.`
+    };
+
+    await transporter.sendMail(mailOptions);
+
+    res.status(200).json({ message: 'OTP sent to your email. Please verify to complete signup.' });
+  } catch (error) {
+    console.error('Signup error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.post('/verify-otp', rateLimit({
+  name: 'verify_otp',
+  windowMs: 15 * 60 * 1000,
+  maxPerIp: 30,
+  maxPerAccount: 10,
+  accountKey: req => req.body.email
+}), async (req, res) => {
+  try {
+    const { email, otp } = req.body;
+
+    if (!email || !otp) {
+      return res.status(400).json({ message: 'Email and OTP are required' });
+    }
+
+    const lockedFor = await getLockoutRemaining('signup_otp', email);
+    if (lockedFor > 0) {
+      return lockoutResponse(res, lockedFor);
+    }
+
+    const result = await consumeOtpRequest(email, 'signup', otp);
+    if (!result.ok) {
+      const lockoutSeconds = await recordAuthFailure('signup_otp', email, email);
+      if (lockoutSeconds > 0) {
+        return lockoutResponse(res, lockoutSeconds);
+      }
+      return res.status(result.status).json({ message: result.message, attemptsRemaining: result.attemptsRemaining });
+    }
+
+    await clearAuthFailures('signup_otp', email);
+
+    // OTP verified, save user with the password hashed at signup
+    const { fullname, email: userEmail, passwordHash } = result.userData;
+    const newUser = new User({ fullname, email: userEmail, password: passwordHash });
+    await newUser.save();
+
+    res.status(201).json({ message: 'User created successfully' });
+  } catch (error) {
+    console.error('Verify OTP error:', error);
+    if (error.code === 11000) {
+      res.status(400).json({ message: 'Email already exists' });
+    } else {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+});
+
+// Resend signup OTP
+app.post('/resend-otp', rateLimit({
+  name: 'resend_otp',
+  windowMs: 15 * 60 * 1000,
+  maxPerIp: 20,
+  maxPerAccount: 5,
+  accountKey: req => req.body.email
+}), async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const pending = await OtpRequest.findOne({ key: email, type: 'signup' });
+    if (!pending || pending.expiresAt.getTime() <= Date.now()) {
+      return res.status(400).json({ message: 'No pending signup found. Please sign up again.' });
+    }
+
+    const { otp, retryAfter } = await issueOtpRequest(email, 'signup', pending.userData);
+    if (!otp) {
+      return res.status(429).json({ message: `Please wait ${retryAfter} seconds before requesting a new OTP`, retryAfter });
+    }
+
+    const mailOptions = {
+      from: process.env.EMAIL_USER,
+      to: email,
+      subject: 'Your OTP for Signup Verification (Resent)',
+      text: `Your OTP is: ${otp}. It will expire in 10 minutes.`
+    };
+
+    await transporter.sendMail(mailOptions);
+
+    res.json({ message: 'OTP resent to your email.' });
+  } catch (error) {
+    console.error('Resend OTP error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Login route
+app.post('/login', rateLimit({
+  name: 'login',
+  windowMs: 15 * 60 * 1000,
+  maxPerIp: 30,
+  maxPerAccount: 15,
+  accountKey: req => req.body.email
+}), async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({ message: 'Email and password are required' });
+    }
+
+    const lockedFor = await getLockoutRemaining('login', email);
+    if (lockedFor > 0) {
+      return lockoutResponse(res, lockedFor);
+    }
+
+    // Find user by email and check password
+    const user = await User.findOne({ email });
+    const isValidPassword = user ? await bcrypt.compare(password, user.password) : false;
+    if (!isValidPassword) {
+      const lockoutSeconds = await recordAuthFailure('login', email, user ? user.email : null);
+      if (lockoutSeconds > 0) {
+        return lockoutResponse(res, lockoutSeconds);
+      }
+      return res.status(400).json({ message: 'Invalid email or password' });
+    }
+
+    await clearAuthFailures('login', email);
+
+    const restriction = getUserRestriction(user);
+    if (restriction) {
+      return restrictionResponse(res, restriction);
+    }
+
+    // Start a session and issue a short-lived access token plus a refresh token
+    const { accessToken, refreshToken } = await createSession(user, req);
+
+    res.json({
+      message: 'Login successful',
+      token: accessToken,
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL,
+      user: {
+        id: user._id,
+        fullname: user.fullname,
+        email: user.email
+      }
+    });
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Exchange a refresh token for a new access token. Refresh tokens rotate on every use.
+app.post('/refresh-token', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const [sessionId, secret] = typeof refreshToken === 'string' ? refreshToken.split('.') : [];
+    if (!sessionId || !secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+
+    const session = await Session.findById(sessionId);
+    if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+      return res.status(401).json({ message: 'Session has expired. Please log in again.' });
+    }
+
+    const newSecret = crypto.randomBytes(32).toString('hex');
+
+    // Rotate only if the presented token is still the current one
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, refreshTokenHash: hashToken(secret), revokedAt: null },
+      { refreshTokenHash: hashToken(newSecret), lastUsedAt: new Date() },
+      { new: true }
+    );
+
+    if (!rotated) {
+      // An already-rotated token was replayed - treat the session as compromised
+      await revokeSessions({ _id: session._id }, 'refresh_token_reuse');
+      return res.status(401).json({ message: 'Session has expired. Please log in again.' });
+    }
+
+    const user = await User.findById(session.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({
+      token: signAccessToken(user, rotated),
+      refreshToken: `${rotated._id}.${newSecret}`,
+      expiresIn: ACCESS_TOKEN_TTL
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Log out the current device
+app.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    await revokeSessions({ _id: req.user.sessionId, userId: req.user.userId }, 'logout');
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Log out all devices
+app.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const revokedCount = await revokeSessions({ userId: req.user.userId }, 'logout_all');
+    res.json({ message: 'Logged out from all devices', revokedCount });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List the user's active sessions
+app.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('userAgent ip createdAt lastUsedAt expiresAt')
+      .sort({ lastUsedAt: -1 });
+
+    res.json(sessions.map(session => ({
+      _id: session._id,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: session._id.toString() === req.user.sessionId
+    })));
+  } catch (error) {
+    console.error('Sessions fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Revoke a single session (e.g. a lost device)
+app.delete('/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    const revokedCount = await revokeSessions({ _id: req.params.id, userId: req.user.userId }, 'logout');
+    if (revokedCount === 0) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Session revoke error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Token verification route
+app.get('/verify-token', authenticateToken, (req, res) => {
+  console.log('Verify token endpoint called by user:', req.user.userId);
+  res.json({ valid: true, user: req.user });
+});
+
+// Protected route example (can be used for any protected content)
+app.get('/protected', authenticateToken, (req, res) => {
+  res.json({ message: 'This is protected content', user: req.user });
+});
+
+// Forgot password route
+app.post('/forgot-password', rateLimit({
+  name: 'forgot_password',
+  windowMs: 60 * 60 * 1000,
+  maxPerIp: 10,
+  maxPerAccount: 3,
+  accountKey: req => req.body.email
+}), async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    // Check if user exists
+    const user = await User.findOne({ email });
+    if (!user) {
+      return res.status(400).json({ message: 'No account found with this email address' });
+    }
+
+    // Generate a random single-use reset token. Only its hash is stored, and issuing
+    // a new token overwrites the previous one so older links stop working.
+    const resetToken = crypto.randomBytes(32).toString('hex');
+    user.passwordResetTokenHash = hashToken(resetToken);
+    user.passwordResetExpires = new Date(Date.now() + 60 * 60 * 1000);
+    await user.save();
+
+    // Send reset email
+    const resetLink = `${process.env.API_BASE_URL}/reset-password?token=${resetToken}`;
+    const mailOptions = {
+      from: process.env.EMAIL_USER,
+      to: email,
+      subject: 'Password Reset Request',
+      html: `
+        <h2>Password Reset Request</h2>
+        <p>You requested a password reset for your Future Bound account.</p>
+        <p>Click the link below to reset your password:</p>
+        <a href="${resetLink}" style="background-color: #28a745; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Reset Password</a>
+        <p>This link will expire in 1 hour.</p>
+        <p>If you didn't request this, please ignore this email.</p>
+      `
+    };
+
+    await transporter.sendMail(mailOptions);
+
+    res.json({ message: 'Password reset link sent to your email' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Validate a password reset token (link target from the reset email)
+app.get('/reset-password', async (req, res) => {
+  try {
+    const { token } = req.query;
+
+    const user = token ? await findUserByResetToken(token) : null;
+    if (!user) {
+      return res.status(400).json({ valid: false, message: 'Reset link is invalid or has expired' });
+    }
+
+    res.json({ valid: true, email: user.email, expiresAt: user.passwordResetExpires });
+  } catch (error) {
+    console.error('Reset token validation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Set a new password using a reset token
+app.post('/reset-password', async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    if (!token || !newPassword) {
+      return res.status(400).json({ message: 'Token and new password are required' });
+    }
+
+    if (newPassword.length < 6) {
+      return res.status(400).json({ message: 'Password must be at least 6 characters' });
+    }
+
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+
+    // Consume the token atomically so it can only be used once
+    const user = await User.findOneAndUpdate(
+      {
+        passwordResetTokenHash: hashToken(token),
+        passwordResetExpires: { $gt: new Date() }
+      },
+      { password: hashedPassword, passwordResetTokenHash: null, passwordResetExpires: null },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+
+    // Sign out every device that was logged in with the old password
+    await revokeSessions({ userId: user._id }, 'password_reset');
+
+    res.json({ message: 'Password has been reset successfully. Please log in with your new password.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Admin authentication routes
+app.post('/admin/login', rateLimit({
+  name: 'admin_login',
+  windowMs: 15 * 60 * 1000,
+  maxPerIp: 20,
+  maxPerAccount: 10,
+  accountKey: req => req.body.username
+}), async (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    if (!username || !password) {
+      return res.status(400).json({ message: 'Username and password are required' });
+    }
+
+    const lockedFor = await getLockoutRemaining('admin_login', username);
+    if (lockedFor > 0) {
+      return lockoutResponse(res, lockedFor);
+    }
+
+    // Check admin credentials
+    const admin = await Admin.findOne({ username });
+    if (!admin || !(await bcrypt.compare(password, admin.password))) {
+      const lockoutSeconds = await recordAuthFailure('admin_login', username, admin ? admin.email : null);
+      if (lockoutSeconds > 0) {
+        return lockoutResponse(res, lockoutSeconds);
+      }
+      return res.status(401).json({ message: 'Invalid admin credentials' });
+    }
+
+    await clearAuthFailures('admin_login', username);
+
+    if (admin.status !== 'active') {
+      return res.status(403).json({ message: 'Admin account is disabled' });
+    }
+
+    // Generate and store OTP for admin email (keyed separately from user OTPs)
+    const { otp, retryAfter } = await issueOtpRequest(`admin_${admin.username}`, 'admin', {
+      adminId: admin._id,
+      username: admin.username,
+      email: admin.email
+    });
+    if (!otp) {
+      return res.status(429).json({ message: `Please wait ${retryAfter} seconds before requesting a new OTP`, retryAfter });
+    }
+
+    // Send OTP to admin email
+    const mailOptions = {
+      from: process.env.EMAIL_USER,
+      to: admin.email,
+      subject: 'Admin Login OTP Verification',
+      text: `Your admin login OTP is: ${otp}. This OTP will expire in 10 minutes.`
+    };
+
+    await transporter.sendMail(mailOptions);
+
+    res.json({ message: 'OTP sent to admin email. Please verify to continue.' });
+  } catch (error) {
+    console.error('Admin login error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Admin OTP verification
+app.post('/admin/verify-otp', rateLimit({
+  name: 'admin_verify_otp',
+  windowMs: 15 * 60 * 1000,
+  maxPerIp: 20,
+  maxPerAccount: 10,
+  accountKey: req => req.body.username
+}), async (req, res) => {
+  try {
+    const { username, otp } = req.body;
+
+    if (!username) {
+      return res.status(400).json({ message: 'Username is required' });
+    }
+
+    const lockedFor = await getLockoutRemaining('admin_otp', username);
+    if (lockedFor > 0) {
+      return lockoutResponse(res, lockedFor);
+    }
+
+    const result = await consumeOtpRequest(`admin_${username}`, 'admin', otp);
+    if (!result.ok) {
+      const admin = await Admin.findOne({ username }).select('email');
+      const lockoutSeconds = await recordAuthFailure('admin_otp', username, admin ? admin.email : null);
+      if (lockoutSeconds > 0) {
+        return lockoutResponse(res, lockoutSeconds);
+      }
+      return res.status(result.status).json({ message: result.message, attemptsRemaining: result.attemptsRemaining });
+    }
+
+    await clearAuthFailures('admin_otp', username);
+
+    // Re-check the account in case it was disabled while the OTP was pending
+    const admin = await Admin.findById(result.userData.adminId);
+    if (!admin || admin.status !== 'active') {
+      return res.status(403).json({ message: 'Admin account is disabled' });
+    }
+
+    // OTP verified, generate admin JWT token
+    const token = jwt.sign(
+      { adminId: admin._id, username: admin.username, email: admin.email, role: 'admin', adminRole: admin.role },
+      process.env.JWT_SECRET,
+      { expiresIn: '8h' } // Admin sessions last longer
+    );
+
+    admin.lastLoginAt = new Date();
+    await admin.save();
+
+    res.json({
+      message: 'Admin login successful',
+      token,
+      admin: {
+        id: admin._id,
+        username: admin.username,
+        email: admin.email,
+        role: admin.role,
+        permissions: ADMIN_ROLE_PERMISSIONS[admin.role]
+      }
+    });
+  } catch (error) {
+    console.error('Admin OTP verification error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Admin token verification
+app.get('/admin/verify-token', authenticateToken, requireAdmin(), (req, res) => {
+  res.json({
+    valid: true,
+    admin: {
+      id: req.admin._id,
+      username: req.admin.username,
+      email: req.admin.email,
+      role: req.admin.role,
+      permissions: ADMIN_ROLE_PERMISSIONS[req.admin.role]
+    }
+  });
+});
+
+// Resend admin OTP
+app.post('/admin/resend-otp', rateLimit({
+  name: 'admin_login',
+  windowMs: 15 * 60 * 1000,
+  maxPerIp: 20,
+  maxPerAccount: 10,
+  accountKey: req => req.body.username
+}), async (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    if (!username || !password) {
+      return res.status(400).json({ message: 'Username and password are required' });
+    }
+
+    // Shares the login lockout since this route also checks the password
+    const lockedFor = await getLockoutRemaining('admin_login', username);
+    if (lockedFor > 0) {
+      return lockoutResponse(res, lockedFor);
+    }
+
+    const admin = await Admin.findOne({ username });
+    if (!admin || !(await bcrypt.compare(password, admin.password))) {
+      const lockoutSeconds = await recordAuthFailure('admin_login', username, admin ? admin.email : null);
+      if (lockoutSeconds > 0) {
+        return lockoutResponse(res, lockoutSeconds);
+      }
+      return res.status(401).json({ message: 'Invalid admin credentials' });
+    }
+
+    if (admin.status !== 'active') {
+      return res.status(403).json({ message: 'Admin account is disabled' });
+    }
+
+    const { otp, retryAfter } = await issueOtpRequest(`admin_${admin.username}`, 'admin', {
+      adminId: admin._id,
+      username: admin.username,
+      email: admin.email
+    });
+    if (!otp) {
+      return res.status(429).json({ message: `Please wait ${retryAfter} seconds before requesting a new OTP`, retryAfter });
+    }
+
+    const mailOptions = {
+      from: process.env.EMAIL_USER,
+      to: admin.email,
+      subject: 'Admin Login OTP Verification (Resent)',
+      text: `Your admin login OTP is: ${otp}. This OTP will expire in 10 minutes.`
+    };
+
+    await transporter.sendMail(mailOptions);
+
+    res.json({ message: 'OTP resent to admin email.' });
+  } catch (error) {
+    console.error('Admin resend OTP error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Change own admin password (required after accepting an invite)
+app.put('/admin/password', authenticateToken, requireAdmin(), async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ message: 'Current and new password are required' });
+    }
+
+    if (newPassword.length < 8) {
+      return res.status(400).json({ message: 'New password must be at least 8 characters' });
+    }
+
+    const isValidPassword = await bcrypt.compare(currentPassword, req.admin.password);
+    if (!isValidPassword) {
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+
+    req.admin.password = await bcrypt.hash(newPassword, 10);
+    await req.admin.save();
+
+    res.json({ message: 'Password updated successfully' });
+  } catch (error) {
+    console.error('Admin password change error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Admin account management (superadmin only)
+app.get('/admin/admins', authenticateToken, requireAdmin('admins:manage'), async (req, res) => {
+  try {
+    const admins = await Admin.find()
+      .select('-password')
+      .sort({ createdAt: -1 });
+
+    res.json(admins);
+  } catch (error) {
+    console.error('Admin list error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Invite a new admin - creates the account with a temporary password and emails it
+app.post('/admin/admins', authenticateToken, requireAdmin('admins:manage'), async (req, res) => {
+  try {
+    const { username, email, role } = req.body;
+
+    if (!username || !email || !role) {
+      return res.status(400).json({ message: 'Missing required fields: username, email, role' });
+    }
+
+    if (!ADMIN_ROLES.includes(role)) {
+      return res.status(400).json({ message: `Invalid role. Must be one of: ${ADMIN_ROLES.join(', ')}` });
+    }
+
+    const temporaryPassword = crypto.randomBytes(9).toString('base64url');
+
+    const admin = new Admin({
+      username: username.trim(),
+      email,
+      password: await bcrypt.hash(temporaryPassword, 10),
+      role,
+      invitedBy: req.admin._id
+    });
+    await admin.save();
+
+    const mailOptions = {
+      from: process.env.EMAIL_USER,
+      to: admin.email,
+      subject: 'You have been invited as an admin',
+      text: `${req.admin.username} invited you as ${role}.\n\nUsername: ${admin.username}\nTemporary password: ${temporaryPassword}\n\nPlease change your password after your first login.`
+    };
+
+    // The temporary password only exists in this email, so an account whose invite didn't go out is useless
+    try {
+      await transporter.sendMail(mailOptions);
+    } catch (mailError) {
+      console.error('Admin invite email error:', mailError);
+      await Admin.deleteOne({ _id: admin._id });
+      return res.status(502).json({ message: 'Could not send the invite email, so the admin was not created. Please try again.' });
+    }
+
+    res.status(201).json({
+      message: 'Admin invited successfully',
+      admin: {
+        _id: admin._id,
+        username: admin.username,
+        email: admin.email,
+        role: admin.role,
+        status: admin.status
+      }
+    });
+  } catch (error) {
+    console.error('Admin invite error:', error);
+    if (error.code === 11000) {
+      res.status(400).json({ message: 'An admin with this username or email already exists' });
+    } else if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      res.status(400).json({ message: 'Validation error', errors });
+    } else {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+});
+
+// Change an admin's role
+app.put('/admin/admins/:id/role', authenticateToken, requireAdmin('admins:manage'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Admin not found' });
+    }
+
+    const { role } = req.body;
+
+    if (!ADMIN_ROLES.includes(role)) {
+      return res.status(400).json({ message: `Invalid role. Must be one of: ${ADMIN_ROLES.join(', ')}` });
+    }
+
+    if (req.params.id === req.admin._id.toString()) {
+      return res.status(400).json({ message: 'You cannot change your own role' });
+    }
+
+    const admin = await Admin.findById(req.params.id);
+    if (!admin) {
+      return res.status(404).json({ message: 'Admin not found' });
+    }
+
+    admin.role = role;
+    await admin.save();
+
+    res.json({
+      message: 'Admin role updated successfully',
+      admin: { _id: admin._id, username: admin.username, role: admin.role, status: admin.status }
+    });
+  } catch (error) {
+    console.error('Admin role update error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Disable or re-enable an admin account
+app.put('/admin/admins/:id/status', authenticateToken, requireAdmin('admins:manage'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Admin not found' });
+    }
+
+    const { status } = req.body;
+
+    if (!['active', 'disabled'].includes(status)) {
+      return res.status(400).json({ message: 'Status must be active or disabled' });
+    }
+
+    if (req.params.id === req.admin._id.toString()) {
+      return res.status(400).json({ message: 'You cannot change your own status' });
+    }
+
+    const admin = await Admin.findById(req.params.id);
+    if (!admin) {
+      return res.status(404).json({ message: 'Admin not found' });
+    }
+
+    admin.status = status;
+    admin.disabledAt = status === 'disabled' ? new Date() : null;
+    await admin.save();
+
+    res.json({
+      message: status === 'disabled' ? 'Admin disabled successfully' : 'Admin enabled successfully',
+      admin: { _id: admin._id, username: admin.username, role: admin.role, status: admin.status }
+    });
+  } catch (error) {
+    console.error('Admin status update error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Admin dashboard stats
+app.get('/admin/dashboard-stats', authenticateToken, requireAdmin('dashboard:read'), async (req, res) => {
+  try {
+    // Get user statistics
+    const totalUsers = await User.countDocuments();
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const todaySignups = await User.countDocuments({ createdAt: { $gte: today } });
+
+    const pendingVerifications = await OtpRequest.countDocuments({
+      type: 'signup',
+      expiresAt: { $gt: new Date() }
+    });
+
+    const activeSessions = await Session.countDocuments({
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+
+    res.json({
+      totalUsers,
+      pendingVerifications,
+      activeSessions,
+      todaySignups
+    });
+  } catch (error) {
+    console.error('Dashboard stats error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Admin user management
+app.get('/admin/users', authenticateToken, requireAdmin('users:read'), async (req, res) => {
+  try {
+    const { search } = req.query;
+    let query = {};
+
+    if (search) {
+      query = {
+        $or: [
+          { email: { $regex: search, $options: 'i' } },
+          { fullname: { $regex: search, $options: 'i' } }
+        ]
+      };
+    }
+
+    const users = await User.find(query)
+      .select('fullname email createdAt moderation')
+      .sort({ createdAt: -1 })
+      .limit(100);
+
+    res.json(users);
+  } catch (error) {
+    console.error('User management error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Suspend a user for a period (Admin only)
+app.post('/admin/users/:id/suspend', authenticateToken, requireAdmin('users:moderate'), async (req, res) => {
+  try {
+    const { reason, durationHours, refund } = req.body;
+    const hours = parseFloat(durationHours);
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({ message: 'A reason is required' });
+    }
+
+    if (!hours || hours <= 0) {
+      return res.status(400).json({ message: 'durationHours must be a positive number' });
+    }
+
+    const result = await applyModeration(req.params.id, req.admin, {
+      action: 'suspend',
+      reason: reason.trim(),
+      suspendedUntil: new Date(Date.now() + hours * 60 * 60 * 1000),
+      refund: !!refund
+    });
+
+    if (!result) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({ message: 'User suspended successfully', ...result });
+  } catch (error) {
+    console.error('User suspension error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Permanently ban a user (Admin only)
+app.post('/admin/users/:id/ban', authenticateToken, requireAdmin('users:moderate'), async (req, res) => {
+  try {
+    const { reason, refund } = req.body;
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({ message: 'A reason is required' });
+    }
+
+    const result = await applyModeration(req.params.id, req.admin, {
+      action: 'ban',
+      reason: reason.trim(),
+      refund: !!refund
+    });
+
+    if (!result) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({ message: 'User banned successfully', ...result });
+  } catch (error) {
+    console.error('User ban error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Lift a suspension or ban (Admin only)
+app.post('/admin/users/:id/unban', authenticateToken, requireAdmin('users:moderate'), async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({ message: 'A reason is required' });
+    }
+
+    const result = await applyModeration(req.params.id, req.admin, {
+      action: 'unban',
+      reason: reason.trim()
+    });
+
+    if (!result) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({ message: 'User reinstated successfully', ...result });
+  } catch (error) {
+    console.error('User unban error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Moderation history for a user (Admin only)
+app.get('/admin/users/:id/moderation', authenticateToken, requireAdmin('users:read'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const user = await User.findById(req.params.id).select('fullname email moderation');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const history = await ModerationAction.find({ userId: user._id })
+      .populate('adminId', 'username role')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      user: {
+        _id: user._id,
+        fullname: user.fullname,
+        email: user.email,
+        restriction: getUserRestriction(user)
+      },
+      history
+    });
+  } catch (error) {
+    console.error('Moderation history error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Games available for tournaments
+app.get('/games', async (req, res) => {
+  try {
+    const games = await Game.find({ status: 'active' }).sort({ name: 1 });
+    res.json(games);
+  } catch (error) {
+    console.error('Error fetching games:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Check the editable parts of a catalog entry. Returns an error message or null.
+function validateGameFields(fields) {
+  if (fields.modes !== undefined && (!Array.isArray(fields.modes) || fields.modes.length === 0)) {
+    return 'modes must be a non-empty array of { key, name, teamSizes, maxSlots, slotGroupSize }';
+  }
+
+  if (fields.maps !== undefined && (!Array.isArray(fields.maps) || fields.maps.some(map => typeof map !== 'string' || !map.trim()))) {
+    return 'maps must be an array of map names';
+  }
+
+  if (fields.playerIdPattern !== undefined) {
+    try {
+      new RegExp(fields.playerIdPattern);
+    } catch (error) {
+      return 'playerIdPattern must be a valid regular expression';
+    }
+  }
+
+  if (fields.scoring !== undefined) {
+    return validateScoring(fields.scoring);
+  }
+
+  return null;
+}
+
+const GAME_FIELDS = ['name', 'modes', 'maps', 'playerIdLabel', 'playerIdPattern', 'playerIdHint', 'prizeSplit', 'scoring', 'status'];
+
+// Game catalog management (Admin only)
+app.get('/admin/games', authenticateToken, requireAdmin('tournaments:read'), async (req, res) => {
+  try {
+    const games = await Game.find().sort({ name: 1 });
+    res.json(games);
+  } catch (error) {
+    console.error('Error fetching games:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.post('/admin/games', authenticateToken, requireAdmin('tournaments:write'), async (req, res) => {
+  try {
+    const fieldError = validateGameFields(req.body);
+    if (fieldError) {
+      return res.status(400).json({ message: fieldError });
+    }
+
+    const gameData = { key: req.body.key };
+    GAME_FIELDS.filter(field => req.body[field] !== undefined).forEach(field => { gameData[field] = req.body[field]; });
+
+    const game = await Game.create(gameData);
+    res.status(201).json({ message: 'Game created', game });
+  } catch (error) {
+    console.error('Game creation error:', error);
+    if (error.code === 11000) {
+      res.status(400).json({ message: 'A game with that key already exists' });
+    } else if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      res.status(400).json({ message: 'Validation error', errors });
+    } else {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+});
+
+// Update a game. Existing tournaments keep the settings they were created with.
+app.put('/admin/games/:key', authenticateToken, requireAdmin('tournaments:write'), async (req, res) => {
+  try {
+    const fieldError = validateGameFields(req.body);
+    if (fieldError) {
+      return res.status(400).json({ message: fieldError });
+    }
+
+    const game = await Game.findOne({ key: req.params.key });
+    if (!game) {
+      return res.status(404).json({ message: 'Game not found' });
+    }
+
+    GAME_FIELDS.filter(field => req.body[field] !== undefined).forEach(field => { game[field] = req.body[field]; });
+    await game.save();
+
+    res.json({ message: 'Game updated', game });
+  } catch (error) {
+    console.error('Game update error:', error);
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      res.status(400).json({ message: 'Validation error', errors });
+    } else {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+});
+
+// Tournament management endpoints
+app.post('/admin/tournaments', authenticateToken, requireAdmin('tournaments:write'), async (req, res) => {
+  try {
+    const tournamentData = req.body;
+
+    // Sanitize and convert data types
+    const sanitizedData = {
+      tournamentId: tournamentData.tournamentId,
+      game: tournamentData.game || 'free_fire',
+      map: tournamentData.map,
+      mode: tournamentData.mode,
+      teamSize: tournamentData.teamSize || undefined, // Only set if provided
+      entryFee: parseFloat(tournamentData.entryFee) || 0,
+      winningFee: parseFloat(tournamentData.winningFee) || 0,
+      maxSlots: parseInt(tournamentData.maxSlots) || 1,
+      startTime: new Date(tournamentData.startTime),
+      status: 'upcoming',
+      registrationCutoffMinutes: tournamentData.registrationCutoffMinutes !== undefined
+        ? parseInt(tournamentData.registrationCutoffMinutes)
+        : DEFAULT_REGISTRATION_CUTOFF_MINUTES,
+      slotGroupSize: parseInt(tournamentData.slotGroupSize) || 1,
+      statusHistory: [{ from: null, to: 'upcoming', at: new Date(), by: req.admin._id, reason: 'Created' }],
+      banner: tournamentData.banner && tournamentData.banner.trim() !== '' ? tournamentData.banner.trim() : 'default.jpg',
+      roomId: tournamentData.roomId || '',
+      roomPassword: tournamentData.roomPassword || '',
+      prizes: {
+        top5: Array.isArray(tournamentData.prizes?.top5) ? tournamentData.prizes.top5.map(Number) : [],
+        top10: Array.isArray(tournamentData.prizes?.top10) ? tournamentData.prizes.top10.map(Number) : [],
+        perKill: parseFloat(tournamentData.prizes?.perKill) || 0
+      }
+    };
+
+    if (tournamentData.refundPolicy !== undefined) {
+      const refundPolicyError = validateRefundPolicy(tournamentData.refundPolicy);
+      if (refundPolicyError) {
+        return res.status(400).json({ message: refundPolicyError });
+      }
+      sanitizedData.refundPolicy = tournamentData.refundPolicy;
+    }
+
+    if (tournamentData.scoring !== undefined) {
+      const scoringError = validateScoring(tournamentData.scoring);
+      if (scoringError) {
+        return res.status(400).json({ message: scoringError });
+      }
+      sanitizedData.scoring = tournamentData.scoring;
+    }
+
+    // Validate required fields
+    if (!sanitizedData.tournamentId || !sanitizedData.map || !sanitizedData.mode) {
+      return res.status(400).json({ message: 'Missing required fields: tournamentId, map, mode' });
+    }
+
+    // Validate startTime
+    if (isNaN(sanitizedData.startTime.getTime())) {
+      return res.status(400).json({ message: 'Invalid startTime format' });
+    }
+
+    const game = await Game.findOne({ key: sanitizedData.game, status: 'active' });
+    if (!game) {
+      return res.status(400).json({ message: 'Unknown game' });
+    }
+
+    const gameError = validateTournamentForGame(sanitizedData, game);
+    if (gameError) {
+      return res.status(400).json({ message: gameError });
+    }
+
+    // Fill in the game's defaults for anything the tournament doesn't set itself
+    if (!tournamentData.slotGroupSize) {
+      sanitizedData.slotGroupSize = game.modes.find(mode => mode.key === sanitizedData.mode).slotGroupSize;
+    }
+    if (tournamentData.prizes === undefined) {
+      sanitizedData.prizes = getDefaultPrizes(game, sanitizedData.winningFee);
+    }
+    if (tournamentData.scoring === undefined) {
+      sanitizedData.scoring = game.scoring;
+    }
+
+    const tournament = new Tournament(sanitizedData);
+    await tournament.save();
+
+    res.status(201).json({ message: 'Tournament created successfully', tournament });
+  } catch (error) {
+    console.error('Tournament creation error:', error);
+    if (error.code === 11000) {
+      res.status(400).json({ message: 'Tournament ID already exists' });
+    } else if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      res.status(400).json({ message: 'Validation error', errors });
+    } else {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+});
+
+app.get('/admin/tournaments', authenticateToken, requireAdmin('tournaments:read'), async (req, res) => {
+  try {
+    const tournaments = await Tournament.find()
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    res.json(tournaments);
+  } catch (error) {
+    console.error('Tournament fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.delete('/admin/tournaments/:id', authenticateToken, requireAdmin('tournaments:write'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Tournament not found' });
+    }
+
+    // Deleting would orphan paid entry fees - those tournaments must be cancelled instead
+    const hasPaidRegistrations = await Registration.exists({
+      tournamentId: req.params.id,
+      status: 'registered',
+      entryFee: { $gt: 0 }
+    });
+    if (hasPaidRegistrations) {
+      return res.status(400).json({ message: 'Tournament has paid registrations. Cancel it to refund players instead.' });
+    }
+
+    await Tournament.findByIdAndDelete(req.params.id);
+    res.json({ message: 'Tournament deleted successfully' });
+  } catch (error) {
+    console.error('Tournament deletion error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Cancel a tournament and refund every registered player (Admin only).
+// Safe to call again on a cancelled tournament to finish any refunds that failed.
+app.post('/admin/tournaments/:id/cancel', authenticateToken, requireAdmin('tournaments:write'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Tournament not found' });
+    }
+
+    const { reason } = req.body;
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({ message: 'A cancellation reason is required' });
+    }
+
+    let tournament = await Tournament.findOne({ _id: req.params.id, status: 'cancelled' });
+    if (!tournament) {
+      tournament = await transitionTournament(req.params.id, 'cancelled', {
+        adminId: req.admin._id,
+        reason: reason.trim(),
+        update: { cancellationReason: reason.trim(), cancelledAt: new Date(), cancelledBy: req.admin._id }
+      });
+    }
+
+    await WaitlistEntry.updateMany({ tournamentId: tournament._id, status: 'waiting' }, { status: 'expired' });
+
+    const registrations = await Registration.find({ tournamentId: tournament._id, status: 'registered' });
+    const results = [];
+    let totalRefunded = 0;
+
+    for (const registration of registrations) {
+      try {
+        const refunded = await runInTransaction(async (session) => {
+          const updated = await Registration.findOneAndUpdate(
+            { _id: registration._id, status: 'registered' },
+            { status: 'refunded' },
+            { session }
+          );
+          if (!updated) {
+            return null;
+          }
+          return refundEntryFee(registration, tournament, { reason: `cancelled: ${tournament.cancellationReason}` }, session);
+        });
+
+        if (refunded === null) continue;
+
+        totalRefunded += refunded;
+        results.push({ registrationId: registration._id, userId: registration.userId, success: true, refunded });
+
+        sendTournamentCancelledEmail(registration.metadata?.userSnapshot?.email, tournament, refunded);
+      } catch (refundError) {
+        console.error(`Error refunding registration ${registration._id}:`, refundError);
+        results.push({ registrationId: registration._id, userId: registration.userId, success: false, error: 'Refund failed' });
+      }
+    }
+
+    const failed = results.filter(result => !result.success).length;
+
+    res.json({
+      message: failed > 0
+        ? `Tournament cancelled. ${failed} refunds failed - cancel again to retry them.`
+        : 'Tournament cancelled and all players refunded',
+      tournamentId: tournament.tournamentId,
+      reason: tournament.cancellationReason,
+      refundedPlayers: results.length - failed,
+      totalRefunded,
+      results
+    });
+  } catch (error) {
+    console.error('Tournament cancellation error:', error);
+    if (error.status) {
+      res.status(error.status).json({ message: error.message });
+    } else {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+});
+
+// Move a tournament through its lifecycle (Admin only). Cancellation goes through /cancel so players are refunded.
+// Reopening registration (to 'upcoming') can also move startTime or registrationCutoffMinutes, and must
+// leave the cutoff in the future.
+app.post('/admin/tournaments/:id/transition', authenticateToken, requireAdmin('tournaments:write'), async (req, res) => {
+  try {
+    const { to, reason, startTime, registrationCutoffMinutes } = req.body;
+
+    if (!TOURNAMENT_STATUSES.includes(to)) {
+      return res.status(400).json({ message: `Invalid status. Must be one of: ${TOURNAMENT_STATUSES.join(', ')}` });
+    }
+
+    if (to === 'cancelled') {
+      return res.status(400).json({ message: 'Use the cancel endpoint to cancel a tournament and refund players' });
+    }
+
+    const update = {};
+    if (to === 'upcoming' && startTime !== undefined) {
+      update.startTime = new Date(startTime);
+      if (isNaN(update.startTime.getTime())) {
+        return res.status(400).json({ message: 'Invalid startTime format' });
+      }
+    }
+    if (to === 'upcoming' && registrationCutoffMinutes !== undefined) {
+      update.registrationCutoffMinutes = parseInt(registrationCutoffMinutes);
+      if (!(update.registrationCutoffMinutes >= 0)) {
+        return res.status(400).json({ message: 'registrationCutoffMinutes must be a non-negative number' });
+      }
+    }
+
+    const tournament = await transitionTournament(req.params.id, to, {
+      adminId: req.admin._id,
+      reason: reason ? reason.trim() : '',
+      update
+    });
+
+    res.json({
+      message: `Tournament moved to ${to}`,
+      tournament: {
+        _id: tournament._id,
+        tournamentId: tournament.tournamentId,
+        status: tournament.status,
+        statusHistory: tournament.statusHistory
+      }
+    });
+  } catch (error) {
+    console.error('Tournament transition error:', error);
+    if (error.status) {
+      res.status(error.status).json({ message: error.message });
+    } else {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+});
+
+// Upload a match screenshot as proof (registered players only)
+app.post('/tournaments/:id/proofs', authenticateToken, acceptImageUpload('screenshot', 'Screenshot'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Tournament not found' });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ message: 'A PNG, JPEG or WebP screenshot is required' });
+    }
+
+    const registration = await findActiveRegistration(req.params.id, req.user.userId);
+    if (!registration) {
+      return res.status(403).json({ message: 'You are not registered for this tournament' });
+    }
+
+    const tournament = registration.tournamentId;
+    if (!['live', 'results_pending'].includes(tournament.status)) {
+      return res.status(400).json({ message: 'Proofs can only be uploaded while the match is live or results are pending' });
+    }
+
+    const stored = await proofStorage.save({
+      buffer: req.file.buffer,
+      originalName: req.file.originalname,
+      mimeType: req.file.mimetype
+    });
+
+    const proof = await ResultProof.create({
+      tournamentId: tournament._id,
+      registrationId: registration._id,
+      userId: req.user.userId,
+      storageKey: stored.key,
+      url: stored.url,
+      mimeType: req.file.mimetype,
+      size: req.file.size,
+      note: req.body.note || ''
+    });
+
+    res.status(201).json({ message: 'Proof uploaded successfully', proof });
+  } catch (error) {
+    console.error('Proof upload error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List the user's own proofs for a tournament
+app.get('/tournaments/:id/proofs', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Tournament not found' });
+    }
+
+    const proofs = await ResultProof.find({ tournamentId: req.params.id, userId: req.user.userId })
+      .sort({ createdAt: -1 });
+
+    res.json(proofs);
+  } catch (error) {
+    console.error('Error fetching proofs:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Open a dispute about the results (registered players, while results are pending)
+app.post('/tournaments/:id/disputes', authenticateToken, requireActiveUser, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Tournament not found' });
+    }
+
+    const { reason, proofIds = [] } = req.body;
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({ message: 'Please describe what is wrong with the results' });
+    }
+
+    if (!Array.isArray(proofIds)) {
+      return res.status(400).json({ message: 'proofIds must be an array' });
+    }
+
+    const registration = await findActiveRegistration(req.params.id, req.user.userId);
+    if (!registration) {
+      return res.status(403).json({ message: 'You are not registered for this tournament' });
+    }
+
+    const tournament = registration.tournamentId;
+    if (tournament.status !== 'results_pending') {
+      return res.status(400).json({ message: 'Disputes can only be opened while results are pending' });
+    }
+
+    // Only the player's own proofs for this tournament can be attached
+    const proofs = await ResultProof.find({
+      _id: { $in: proofIds.filter(id => mongoose.Types.ObjectId.isValid(id)) },
+      tournamentId: tournament._id,
+      userId: req.user.userId
+    }).select('_id');
+
+    if (proofs.length !== proofIds.length) {
+      return res.status(400).json({ message: 'One or more proofs were not found' });
+    }
+
+    const dispute = await Dispute.create({
+      tournamentId: tournament._id,
+      registrationId: registration._id,
+      userId: req.user.userId,
+      reason: reason.trim(),
+      proofIds: proofs.map(proof => proof._id),
+      history: [{ action: 'opened', userId: req.user.userId, note: reason.trim() }]
+    });
+
+    res.status(201).json({ message: 'Dispute opened', dispute });
+  } catch (error) {
+    console.error('Dispute creation error:', error);
+    if (error.code === 11000) {
+      res.status(400).json({ message: 'You already have an open dispute for this tournament' });
+    } else {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+});
+
+// The user's disputes
+app.get('/disputes', authenticateToken, async (req, res) => {
+  try {
+    const disputes = await Dispute.find({ userId: req.user.userId })
+      .populate('tournamentId', 'tournamentId mode map startTime status')
+      .populate('proofIds', 'url note createdAt')
+      .select('-history.adminId')
+      .sort({ createdAt: -1 });
+
+    res.json(disputes);
+  } catch (error) {
+    console.error('Error fetching disputes:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get available banner images
+app.get('/banners', (req, res) => {
+  const fs = require('fs');
+  const path = require('path');
+
+  try {
+    const imgDir = path.join(__dirname, 'img');
+    const files = fs.readdirSync(imgDir);
+    const imageFiles = files.filter(file =>
+      /\.(jpg|jpeg|png|gif|webp)$/i.test(file)
+    );
+
+    res.json(imageFiles);
+  } catch (error) {
+    console.error('Error reading banner images:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Public tournament endpoints for users
+// Public tournament search. Filters: game, mode, teamSize, map, minFee/maxFee, from/to (start time),
+// hasSlots, freeEntry and search. Pages are ordered by start time; pass nextCursor back as cursor.
+app.get('/tournaments', async (req, res) => {
+  try {
+    const { game, mode, teamSize, map, minFee, maxFee, from, to, hasSlots, freeEntry, search, cursor } = req.query;
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit) || 20, TOURNAMENT_PAGE_MAX));
+
+    const query = { status: { $in: ['upcoming', 'registration_closed', 'live'] } };
+    if (game) query.game = String(game);
+    if (mode) query.mode = String(mode);
+    if (teamSize) query.teamSize = String(teamSize);
+    if (map) query.map = String(map);
+
+    if (minFee !== undefined || maxFee !== undefined) {
+      const min = minFee !== undefined ? parseFloat(minFee) : 0;
+      const max = maxFee !== undefined ? parseFloat(maxFee) : Infinity;
+      if (isNaN(min) || isNaN(max) || min > max) {
+        return res.status(400).json({ message: 'minFee and maxFee must be numbers with minFee <= maxFee' });
+      }
+      query.entryFee = { $gte: min, ...(max !== Infinity && { $lte: max }) };
+    }
+    if (freeEntry === 'true') {
+      query.entryFee = 0;
+    }
+
+    if (from || to) {
+      const start = from ? new Date(from) : null;
+      const end = to ? new Date(to) : null;
+      if ((start && isNaN(start.getTime())) || (end && isNaN(end.getTime()))) {
+        return res.status(400).json({ message: 'from and to must be valid dates' });
+      }
+      query.startTime = { ...(start && { $gte: start }), ...(end && { $lte: end }) };
+    }
+
+    if (hasSlots === 'true') {
+      query.$expr = { $lt: ['$registeredPlayers', '$maxSlots'] };
+    }
+
+    if (search && String(search).trim()) {
+      const pattern = new RegExp(escapeRegex(String(search).trim()), 'i');
+      query.$or = [{ tournamentId: pattern }, { map: pattern }, { mode: pattern }];
+    }
+
+    const total = await Tournament.countDocuments(query);
+
+    // The cursor is the start time and id of the last tournament on the previous page
+    if (cursor) {
+      const position = decodeTournamentCursor(cursor);
+      if (!position) {
+        return res.status(400).json({ message: 'Invalid cursor' });
+      }
+      query.$and = [{
+        $or: [
+          { startTime: { $gt: position.startTime } },
+          { startTime: position.startTime, _id: { $gt: position.id } }
+        ]
+      }];
+    }
+
+    const tournaments = await Tournament.find(query)
+      .select(PUBLIC_TOURNAMENT_EXCLUDED_FIELDS)
+      .sort({ startTime: 1, _id: 1 })
+      .limit(limit + 1);
+
+    const hasMore = tournaments.length > limit;
+    const page = tournaments.slice(0, limit);
+    const last = page[page.length - 1];
+
+    res.json({
+      tournaments: page,
+      pagination: {
+        limit,
+        total,
+        hasMore,
+        nextCursor: hasMore ? encodeTournamentCursor(last) : null
+      }
+    });
+  } catch (error) {
+    console.error('Tournament fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Public tournament details: rules, prize table and fill status. Signed-in players also get their
+// own registration. Room credentials and the registered user list are never included here.
+app.get('/tournaments/:id', optionalAuthenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Tournament not found' });
+    }
+
+    const tournament = await Tournament.findById(req.params.id).select(PUBLIC_TOURNAMENT_EXCLUDED_FIELDS);
+    if (!tournament) {
+      return res.status(404).json({ message: 'Tournament not found' });
+    }
+
+    const game = await Game.findOne({ key: tournament.game });
+    const mode = game && game.modes.find(candidate => candidate.key === tournament.mode);
+    const registrationClosesAt = getRegistrationClosesAt(tournament);
+    const { prizeTable, placementTotal } = buildPrizeTable(tournament.prizes);
+
+    const details = {
+      _id: tournament._id,
+      tournamentId: tournament.tournamentId,
+      status: tournament.status,
+      banner: tournament.banner,
+      startTime: tournament.startTime,
+      rules: {
+        game: tournament.game,
+        gameName: game ? game.name : tournament.game,
+        mode: tournament.mode,
+        modeName: mode ? mode.name : tournament.mode,
+        teamSize: tournament.teamSize || null,
+        map: tournament.map,
+        playerIdLabel: game ? game.playerIdLabel : 'Player ID',
+        entryFee: tournament.entryFee,
+        registrationClosesAt,
+        refundPolicy: tournament.refundPolicy,
+        scoring: tournament.scoring
+      },
+      prizes: {
+        prizePool: tournament.winningFee,
+        placementTotal,
+        perKill: tournament.prizes?.perKill || 0,
+        table: prizeTable
+      },
+      slots: {
+        max: tournament.maxSlots,
+        registered: tournament.registeredPlayers,
+        remaining: Math.max(tournament.maxSlots - tournament.registeredPlayers, 0),
+        isFull: tournament.registeredPlayers >= tournament.maxSlots
+      },
+      registrationOpen: tournament.status === 'upcoming' && registrationClosesAt > new Date()
+    };
+
+    // Players (not admins) see where they stand
+    if (req.user?.userId) {
+      const registration = await Registration.findOne({ userId: req.user.userId, tournamentId: tournament._id })
+        .sort({ registrationDate: -1 });
+      details.myRegistration = registration ? {
+        _id: registration._id,
+        status: registration.status,
+        freeFireId: registration.freeFireId,
+        teamSelection: registration.teamSelection,
+        teamId: registration.teamId,
+        slotNumber: registration.status === 'registered' ? registration.slotNumber : null,
+        registrationDate: registration.registrationDate
+      } : null;
+
+      const waitlistEntry = await WaitlistEntry.findOne({ tournamentId: tournament._id, userId: req.user.userId, status: 'waiting' });
+      details.myWaitlistPosition = waitlistEntry ? await getWaitlistPosition(waitlistEntry) : null;
+    }
+
+    res.json(details);
+  } catch (error) {
+    console.error('Tournament details error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.post('/tournaments/:id/register', authenticateToken, requireActiveUser, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Tournament not found' });
+    }
+
+    const { freeFireId, termsAccepted, teamSelection } = req.body;
+    const tournament = await Tournament.findById(req.params.id);
+
+    if (!tournament) {
+      return res.status(404).json({ message: 'Tournament not found' });
+    }
+
+    if (tournament.status !== 'upcoming' || getRegistrationClosesAt(tournament) <= new Date()) {
+      return res.status(400).json({ message: 'Tournament registration is closed' });
+    }
+
+    if (tournament.registeredPlayers >= tournament.maxSlots) {
+      return res.status(400).json({
+        message: 'Tournament is full. Join the waitlist to be registered automatically when a spot opens.',
+        waitlistAvailable: true
+      });
+    }
+
+    if (tournament.registeredUsers.includes(req.user.userId)) {
+      return res.status(400).json({ message: 'Already registered for this tournament' });
+    }
+
+    if (!termsAccepted) {
+      return res.status(400).json({ message: 'You must accept the terms and conditions' });
+    }
+
+    const verifiedFreeFireId = await getVerifiedPlayerId(req.user.userId, tournament.game, freeFireId);
+
+    // Validate team selection for duo/squad tournaments
+    const sideSize = getSideSize(tournament);
+    const requiresTeamSelection = sideSize !== null;
+    if (requiresTeamSelection && (!teamSelection || !['team_a', 'team_b'].includes(teamSelection))) {
+      return res.status(400).json({ message: 'Valid team selection is required for this tournament type' });
+    }
+
+    if (requiresTeamSelection && tournament.teams?.[teamSelection]) {
+      return res.status(400).json({ message: 'That side belongs to a team. Ask its captain for the invite code.' });
+    }
+
+    if (requiresTeamSelection && (tournament.sidePlayers?.[teamSelection] || 0) >= sideSize) {
+      return res.status(400).json({ message: 'That side is full. Join the waitlist for it instead.', waitlistAvailable: true });
+    }
+
+    // Get user for the registration snapshot
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Reserve the slot, charge the entry fee and create the registration as one unit
+    const result = await runInTransaction((session) => registerSoloPlayer(user, tournament, {
+      freeFireId: verifiedFreeFireId,
+      teamSelection: requiresTeamSelection ? teamSelection : null
+    }, session));
+
+    const { registration, charge } = result;
+    const slotNumber = await assignSlotSafely(registration._id);
+
+    // Registering directly takes the player off the waitlist
+    await WaitlistEntry.updateOne(
+      { tournamentId: tournament._id, userId: user._id, status: 'waiting' },
+      { status: 'left' }
+    );
+
+    res.json({
+      message: 'Successfully registered for tournament',
+      deductedFromDeposit: charge.fromDeposit,
+      deductedFromWinning: charge.fromWinning,
+      newBalance: charge.user.depositAmount + charge.user.winningAmount,
+      registrationId: registration._id,
+      teamAssigned: requiresTeamSelection ? teamSelection : null,
+      slotNumber
+    });
+  } catch (error) {
+    console.error('Tournament registration error:', error);
+    if (error.status) {
+      res.status(error.status).json({ message: error.message });
+    } else if (error.code === 11000) {
+      res.status(400).json({ message: 'You are already registered for this tournament' });
+    } else {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+});
+
+// Withdraw from a tournament. Frees the slot and refunds according to the tournament's refund policy.
+app.delete('/tournaments/:id/register', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Tournament not found' });
+    }
+
+    const tournament = await Tournament.findById(req.params.id);
+    if (!tournament) {
+      return res.status(404).json({ message: 'Tournament not found' });
+    }
+
+    if (tournament.status !== 'upcoming' || tournament.startTime <= new Date()) {
+      return res.status(400).json({ message: 'Registrations can no longer be cancelled for this tournament' });
+    }
+
+    const registration = await Registration.findOne({
+      userId: req.user.userId,
+      tournamentId: tournament._id,
+      status: 'registered'
+    });
+    if (!registration) {
+      return res.status(404).json({ message: 'You are not registered for this tournament' });
+    }
+
+    const refundPercent = getRefundPercent(tournament);
+
+    const refundedAmount = await runInTransaction(async (session) => {
+      const refunded = await releaseRegistration(registration, tournament, {
+        ratio: refundPercent / 100,
+        reason: `withdrawn, ${refundPercent}% refund`
+      }, session);
+      if (refunded === null) {
+        throw httpError(400, 'Registration has already been cancelled');
+      }
+      return refunded;
+    });
+
+    promoteFromWaitlistSafely(tournament._id);
+
+    const disbandedTeam = registration.teamId && await TournamentTeam.exists({
+      _id: registration.teamId,
+      captainId: registration.userId,
+      status: 'disbanded'
+    });
+
+    res.json({
+      message: disbandedTeam
+        ? 'Registration cancelled and your team was disbanded'
+        : 'Registration cancelled successfully',
+      refundPercent,
+      refundedAmount
+    });
+  } catch (error) {
+    console.error('Registration cancellation error:', error);
+    if (error.status) {
+      res.status(error.status).json({ message: error.message });
+    } else {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+});
+
+// Join the waitlist for a full tournament. Nothing is charged until the player is promoted.
+app.post('/tournaments/:id/waitlist', authenticateToken, requireActiveUser, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Tournament not found' });
+    }
+
+    const { freeFireId, termsAccepted, teamSelection } = req.body;
+    const tournament = await Tournament.findById(req.params.id);
+
+    if (!tournament) {
+      return res.status(404).json({ message: 'Tournament not found' });
+    }
+
+    if (tournament.status !== 'upcoming' || getRegistrationClosesAt(tournament) <= new Date()) {
+      return res.status(400).json({ message: 'Tournament registration is closed' });
+    }
+
+    if (tournament.registeredUsers.includes(req.user.userId)) {
+      return res.status(400).json({ message: 'Already registered for this tournament' });
+    }
+
+    if (!termsAccepted) {
+      return res.status(400).json({ message: 'You must accept the terms and conditions' });
+    }
+
+    const verifiedFreeFireId = await getVerifiedPlayerId(req.user.userId, tournament.game, freeFireId);
+
+    const sideSize = getSideSize(tournament);
+    if (sideSize && !['team_a', 'team_b'].includes(teamSelection)) {
+      return res.status(400).json({ message: 'Valid team selection is required for this tournament type' });
+    }
+
+    const sideFull = sideSize &&
+      (tournament.teams?.[teamSelection] || (tournament.sidePlayers?.[teamSelection] || 0) >= sideSize);
+    if (tournament.registeredPlayers < tournament.maxSlots && !sideFull) {
+      return res.status(400).json({ message: 'Tournament still has open slots. Register directly instead.' });
+    }
+
+    const entry = await WaitlistEntry.create({
+      tournamentId: tournament._id,
+      userId: req.user.userId,
+      freeFireId: verifiedFreeFireId,
+      teamSelection: sideSize ? teamSelection : null
+    });
+
+    res.status(201).json({
+      message: 'Added to the waitlist. You will be registered and charged automatically when a spot opens.',
+      status: entry.status,
+      position: await getWaitlistPosition(entry)
+    });
+  } catch (error) {
+    console.error('Waitlist join error:', error);
+    if (error.status) {
+      res.status(error.status).json({ message: error.message });
+    } else if (error.code === 11000) {
+      res.status(400).json({ message: 'You are already on the waitlist for this tournament' });
+    } else {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+});
+
+// The user's place on a tournament's waitlist
+app.get('/tournaments/:id/waitlist', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Tournament not found' });
+    }
+
+    const entry = await WaitlistEntry.findOne({ tournamentId: req.params.id, userId: req.user.userId })
+      .sort({ createdAt: -1 })
+      .populate('tournamentId', 'status startTime registrationCutoffMinutes');
+
+    if (!entry) {
+      return res.status(404).json({ message: 'You are not on the waitlist for this tournament' });
+    }
+
+    // Entries are only expired lazily, so check whether registration has closed since
+    const tournament = entry.tournamentId;
+    if (entry.status === 'waiting' && (!tournament || tournament.status !== 'upcoming' || getRegistrationClosesAt(tournament) <= new Date())) {
+      entry.status = 'expired';
+      await entry.save();
+    }
+
+    res.json({
+      status: entry.status,
+      position: entry.status === 'waiting' ? await getWaitlistPosition(entry) : null,
+      waitingCount: await WaitlistEntry.countDocuments({ tournamentId: entry.tournamentId, status: 'waiting' }),
+      skipReason: entry.skipReason || undefined,
+      registrationId: entry.registrationId,
+      joinedAt: entry.createdAt
+    });
+  } catch (error) {
+    console.error('Error fetching waitlist position:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Leave a tournament's waitlist
+app.delete('/tournaments/:id/waitlist', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Tournament not found' });
+    }
+
+    const entry = await WaitlistEntry.findOneAndUpdate(
+      { tournamentId: req.params.id, userId: req.user.userId, status: 'waiting' },
+      { status: 'left' }
+    );
+
+    if (!entry) {
+      return res.status(404).json({ message: 'You are not on the waitlist for this tournament' });
+    }
+
+    res.json({ message: 'Removed from the waitlist' });
+  } catch (error) {
+    console.error('Waitlist leave error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Register a duo/squad team. The captain takes a side, can list teammates' player IDs up front and
+// shares the invite code with them. With paymentMode 'captain' the captain pays for every seat now;
+// with 'split' each teammate pays their own entry fee when they join.
+// Passing teamId registers an existing team instead: its name and roster are used, and `lineup` picks which
+// members play. Lineup players get reserved spots they confirm with the invite code, like listed teammates.
+app.post('/tournaments/:id/teams', authenticateToken, requireActiveUser, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Tournament not found' });
+    }
+
+    const { side, termsAccepted, paymentMode = 'split', teamId: clanId, lineup } = req.body;
+    let { name, freeFireId, teammates = [] } = req.body;
+    const tournament = await Tournament.findById(req.params.id);
+
+    if (!tournament) {
+      return res.status(404).json({ message: 'Tournament not found' });
+    }
+
+    const sideSize = getSideSize(tournament);
+    if (!sideSize) {
+      return res.status(400).json({ message: 'Teams can only be registered for duo and squad tournaments' });
+    }
+
+    if (tournament.status !== 'upcoming' || getRegistrationClosesAt(tournament) <= new Date()) {
+      return res.status(400).json({ message: 'Tournament registration is closed' });
+    }
+
+    let clan = null;
+    let lineupMembers = [];
+    if (clanId) {
+      clan = mongoose.Types.ObjectId.isValid(clanId) && await Team.findOne({ _id: clanId, status: 'active' });
+      if (!clan) {
+        return res.status(404).json({ message: 'Team not found' });
+      }
+
+      if (!clan.captainId.equals(req.user.userId)) {
+        return res.status(403).json({ message: 'Only the team captain can register the team' });
+      }
+
+      const others = clan.members.filter(member => !member.userId.equals(req.user.userId));
+      if (lineup !== undefined) {
+        if (!Array.isArray(lineup) || lineup.length > sideSize - 1) {
+          return res.status(400).json({ message: `lineup must list at most ${sideSize - 1} teammates` });
+        }
+        lineupMembers = lineup.map(userId => others.find(member => member.userId.toString() === String(userId)));
+        if (lineupMembers.some(member => !member) || new Set(lineup.map(String)).size !== lineup.length) {
+          return res.status(400).json({ message: 'Lineup players must be different members of your team' });
+        }
+      } else if (others.length <= sideSize - 1) {
+        lineupMembers = others;
+      } else {
+        return res.status(400).json({ message: `Your team has more than ${sideSize} players. Choose a lineup of up to ${sideSize - 1} teammates.` });
+      }
+
+      // Lineup players play under their own verified account for this game
+      const lineupAccounts = await GameAccount.find({
+        userId: { $in: lineupMembers.map(member => member.userId) },
+        game: tournament.game,
+        status: 'verified'
+      });
+      lineupMembers = lineupMembers.map(member => {
+        const account = lineupAccounts.find(candidate => candidate.userId.equals(member.userId));
+        return account && { userId: member.userId, freeFireId: account.uid };
+      });
+      if (lineupMembers.some(member => !member)) {
+        return res.status(400).json({ message: 'Every lineup player needs a verified account for this game' });
+      }
+
+      name = clan.name;
+      teammates = lineupMembers.map(member => member.freeFireId);
+    }
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ message: 'Team name is required' });
+    }
+
+    if (!['team_a', 'team_b'].includes(side)) {
+      return res.status(400).json({ message: 'Valid side (team_a or team_b) is required' });
+    }
+
+    if (!['captain', 'split'].includes(paymentMode)) {
+      return res.status(400).json({ message: 'Payment mode must be captain or split' });
+    }
+
+    if (!termsAccepted) {
+      return res.status(400).json({ message: 'You must accept the terms and conditions' });
+    }
+
+    if (!Array.isArray(teammates) || teammates.length > sideSize - 1) {
+      return res.status(400).json({ message: `You can list at most ${sideSize - 1} teammates` });
+    }
+
+    const game = await Game.findOne({ key: tournament.game });
+    const captainFreeFireId = await getVerifiedPlayerId(req.user.userId, tournament.game, freeFireId);
+    const teammateIds = teammates.map(id => String(id).trim());
+    if (teammateIds.some(id => !isValidPlayerId(game, id))) {
+      return res.status(400).json({ message: `Teammate ${game.playerIdLabel}s ${game.playerIdHint}` });
+    }
+
+    // Reserved spots must belong to verified accounts
+    const verifiedTeammates = await GameAccount.find({ game: tournament.game, uid: { $in: teammateIds }, status: 'verified' });
+    if (!teammateIds.every(id => verifiedTeammates.some(account => account.uid === id))) {
+      return res.status(400).json({ message: `Every teammate ${game.playerIdLabel} must belong to a verified game account` });
+    }
+
+    const allIds = [captainFreeFireId, ...teammateIds];
+    if (new Set(allIds).size !== allIds.length) {
+      return res.status(400).json({ message: `Each team member needs a different ${game.playerIdLabel}` });
+    }
+
+    if (tournament.teams?.[side]) {
+      return res.status(400).json({ message: 'Another team has already taken that side' });
+    }
+
+    if (tournament.registeredUsers.includes(req.user.userId)) {
+      return res.status(400).json({ message: 'Already registered for this tournament' });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const seats = paymentMode === 'captain' ? sideSize : 1;
+    const entryFee = tournament.entryFee * seats;
+    const teamId = new mongoose.Types.ObjectId();
+    const registrationId = new mongoose.Types.ObjectId();
+
+    const { team, charge } = await runInTransaction(async (session) => {
+      // The team claims an empty side; a captain paying for everyone reserves all its seats now
+      const reserved = await Tournament.findOneAndUpdate(
+        {
+          _id: tournament._id,
+          status: 'upcoming',
+          registeredUsers: { $ne: user._id },
+          [`teams.${side}`]: null,
+          $expr: {
+            $and: [
+              { $lte: [{ $add: ['$registeredPlayers', seats] }, '$maxSlots'] },
+              { $eq: [{ $ifNull: [`$sidePlayers.${side}`, 0] }, 0] }
+            ]
+          }
+        },
+        {
+          $push: { registeredUsers: user._id },
+          $inc: { registeredPlayers: seats, [`sidePlayers.${side}`]: seats },
+          $set: { [`teams.${side}`]: teamId }
+        },
+        { new: true, session }
+      );
+      if (!reserved) {
+        throw httpError(400, 'That side is already taken or the tournament is full');
+      }
+
+      const charge = await chargeEntryFee(user, tournament, entryFee, registrationId, session);
+
+      const [team] = await TournamentTeam.create([{
+        _id: teamId,
+        tournamentId: tournament._id,
+        name: name.trim(),
+        side,
+        captainId: user._id,
+        clanId: clan ? clan._id : null,
+        inviteCode: crypto.randomBytes(4).toString('hex').toUpperCase(),
+        paymentMode,
+        maxMembers: sideSize,
+        members: [
+          { userId: user._id, freeFireId: captainFreeFireId, registrationId, joinedAt: new Date() },
+          ...teammateIds.map(id => ({ freeFireId: id }))
+        ]
+      }], { session });
+
+      await Registration.create([{
+        _id: registrationId,
+        ...buildRegistration(user, tournament, {
+          freeFireId: captainFreeFireId,
+          teamSelection: side,
+          teamId,
+          seats,
+          entryFee,
+          paidFromDeposit: charge.fromDeposit,
+          paidFromWinning: charge.fromWinning
+        })
+      }], { session });
+
+      return { team, charge };
+    });
+
+    const slotNumber = await assignSlotSafely(registrationId);
+
+    // Lineup players hold reserved spots. Each confirms with the invite code and accepts the terms
+    // themselves; nobody is registered without doing so.
+    if (lineupMembers.length > 0) {
+      const lineupUsers = await User.find({ _id: { $in: lineupMembers.map(member => member.userId) } }).select('email');
+      lineupUsers.forEach(lineupUser => sendTeamEmail(lineupUser.email, `You're in the lineup for ${tournament.tournamentId}`,
+        `${user.fullname} picked you for ${team.name}'s lineup in tournament ${tournament.tournamentId} (${tournament.map}, ${tournament.startTime.toISOString()}).\n\n` +
+        `Join with invite code ${team.inviteCode} to accept the terms and confirm your spot. ` +
+        (paymentMode === 'captain' ? 'Your seat is already paid for.' : `You'll pay the ₹${tournament.entryFee} entry fee when you join.`)));
+    }
+
+    res.status(201).json({
+      message: lineupMembers.length > 0
+        ? 'Team registered. Your lineup has been sent the invite code to confirm their spots.'
+        : 'Team registered. Share the invite code with your teammates.',
+      team,
+      registrationId,
+      slotNumber,
+      deductedFromDeposit: charge.fromDeposit,
+      deductedFromWinning: charge.fromWinning,
+      newBalance: charge.user.depositAmount + charge.user.winningAmount
+    });
+  } catch (error) {
+    console.error('Team registration error:', error);
+    if (error.status) {
+      res.status(error.status).json({ message: error.message });
+    } else if (error.code === 11000) {
+      res.status(400).json({ message: 'You are already registered for this tournament' });
+    } else {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+});
+
+// Public view of a team: profile, roster (with each member's verified game accounts) and recent tournaments
+async function getTeamProfile(team) {
+  await team.populate('members.userId', 'fullname');
+
+  const accounts = await GameAccount.find({
+    userId: { $in: team.members.map(member => member.userId?._id || member.userId) },
+    status: 'verified'
+  }).select('userId game uid ign');
+
+  const entries = await TournamentTeam.find({ clanId: team._id })
+    .populate('tournamentId', 'tournamentId mode teamSize map startTime status')
+    .sort({ createdAt: -1 })
+    .limit(10);
+
+  return {
+    _id: team._id,
+    name: team.name,
+    tag: team.tag,
+    logo: team.logo,
+    bio: team.bio,
+    captainId: team.captainId,
+    members: team.members.map(member => ({
+      userId: member.userId?._id || member.userId,
+      fullname: member.userId?.fullname || '',
+      gameAccounts: accounts
+        .filter(account => account.userId.equals(member.userId?._id || member.userId))
+        .map(({ game, uid, ign }) => ({ game, uid, ign })),
+      role: member.role,
+      joinedAt: member.joinedAt
+    })),
+    tournamentsPlayed: await TournamentTeam.countDocuments({ clanId: team._id }),
+    recentTournaments: entries
+      .filter(entry => entry.tournamentId)
+      .map(entry => ({ ...entry.tournamentId.toObject(), teamStatus: entry.status })),
+    createdAt: team.createdAt
+  };
+}
+
+// Create a team with the caller as captain. A player can only be on one team at a time.
+app.post('/teams', authenticateToken, requireActiveUser, async (req, res) => {
+  try {
+    const { name, tag, bio } = req.body;
+
+    if (!name || !name.trim() || name.trim().length > 30) {
+      return res.status(400).json({ message: 'Team name is required (30 characters max)' });
+    }
+
+    const teamTag = String(tag || '').trim().toUpperCase();
+    if (!/^[A-Z0-9]{2,5}$/.test(teamTag)) {
+      return res.status(400).json({ message: 'Team tag must be 2-5 letters or numbers' });
+    }
+
+    if (await Team.exists({ status: 'active', 'members.userId': req.user.userId })) {
+      return res.status(400).json({ message: 'You are already on a team. Leave it before creating a new one.' });
+    }
+
+    const team = await Team.create({
+      name: name.trim(),
+      nameKey: name.trim().toLowerCase(),
+      tag: teamTag,
+      bio: bio || '',
+      captainId: req.user.userId,
+      members: [{ userId: req.user.userId, role: 'captain' }]
+    });
+
+    res.status(201).json({ message: 'Team created successfully', team });
+  } catch (error) {
+    console.error('Team creation error:', error);
+    if (error.status) {
+      res.status(error.status).json({ message: error.message });
+    } else if (error.code === 11000) {
+      res.status(400).json({ message: 'That team name or tag is already taken, or you are already on a team' });
+    } else {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+});
+
+// The caller's team, including pending invites (members only)
+app.get('/my-team', authenticateToken, async (req, res) => {
+  try {
+    const team = await Team.findOne({ status: 'active', 'members.userId': req.user.userId })
+      .populate('invites.userId', 'fullname email');
+    if (!team) {
+      return res.status(404).json({ message: 'You are not on a team' });
+    }
+
+    res.json({ ...(await getTeamProfile(team)), invites: team.invites });
+  } catch (error) {
+    console.error('Error fetching my team:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Teams the caller has been invited to
+app.get('/team-invites', authenticateToken, async (req, res) => {
+  try {
+    const teams = await Team.find({ status: 'active', 'invites.userId': req.user.userId })
+      .select('name tag logo captainId invites members')
+      .populate('captainId', 'fullname');
+
+    res.json(teams.map(team => ({
+      teamId: team._id,
+      name: team.name,
+      tag: team.tag,
+      logo: team.logo,
+      captain: team.captainId?.fullname || '',
+      memberCount: team.members.length,
+      invitedAt: team.invites.find(invite => invite.userId.equals(req.user.userId)).createdAt
+    })));
+  } catch (error) {
+    console.error('Error fetching team invites:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Public team profile
+app.get('/teams/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Team not found' });
+    }
+
+    const team = await Team.findOne({ _id: req.params.id, status: 'active' });
+    if (!team) {
+      return res.status(404).json({ message: 'Team not found' });
+    }
+
+    res.json(await getTeamProfile(team));
+  } catch (error) {
+    console.error('Error fetching team profile:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update the team's name, tag or bio (captain only)
+app.put('/teams/:id', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Team not found' });
+    }
+
+    const { name, tag, bio } = req.body;
+
+    const team = await Team.findOne({ _id: req.params.id, status: 'active', captainId: req.user.userId });
+    if (!team) {
+      return res.status(404).json({ message: 'Team not found or you are not its captain' });
+    }
+
+    if (name !== undefined) {
+      if (!name || !name.trim() || name.trim().length > 30) {
+        return res.status(400).json({ message: 'Team name is required (30 characters max)' });
+      }
+      team.name = name.trim();
+      team.nameKey = name.trim().toLowerCase();
+    }
+
+    if (tag !== undefined) {
+      const teamTag = String(tag).trim().toUpperCase();
+      if (!/^[A-Z0-9]{2,5}$/.test(teamTag)) {
+        return res.status(400).json({ message: 'Team tag must be 2-5 letters or numbers' });
+      }
+      team.tag = teamTag;
+    }
+
+    if (bio !== undefined) {
+      team.bio = String(bio);
+    }
+
+    await team.save();
+
+    res.json({ message: 'Team updated successfully', team });
+  } catch (error) {
+    console.error('Team update error:', error);
+    if (error.code === 11000) {
+      res.status(400).json({ message: 'That team name or tag is already taken' });
+    } else if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      res.status(400).json({ message: 'Validation error', errors });
+    } else {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+});
+
+// Upload a team logo (captain only)
+app.post('/teams/:id/logo', authenticateToken, acceptImageUpload('logo', 'Logo'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Team not found' });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ message: 'A PNG, JPEG or WebP logo is required' });
+    }
+
+    const team = await Team.findOne({ _id: req.params.id, status: 'active', captainId: req.user.userId });
+    if (!team) {
+      return res.status(404).json({ message: 'Team not found or you are not its captain' });
+    }
+
+    const stored = await teamLogoStorage.save({ buffer: req.file.buffer, originalName: req.file.originalname });
+    const previousKey = team.logoKey;
+
+    team.logo = stored.url;
+    team.logoKey = stored.key;
+    await team.save();
+
+    if (previousKey) {
+      teamLogoStorage.remove(previousKey).catch(error => console.error('Error removing old team logo:', error));
+    }
+
+    res.json({ message: 'Logo updated successfully', logo: team.logo });
+  } catch (error) {
+    console.error('Team logo upload error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Invite a player by email (captain only)
+app.post('/teams/:id/invites', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Team not found' });
+    }
+
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+
+    const team = await Team.findOne({ _id: req.params.id, status: 'active', captainId: req.user.userId });
+    if (!team) {
+      return res.status(404).json({ message: 'Team not found or you are not its captain' });
+    }
+
+    const invitee = await User.findOne({ email: String(email).trim() });
+    if (!invitee) {
+      return res.status(404).json({ message: 'No player with that email was found' });
+    }
+
+    if (team.members.some(member => member.userId.equals(invitee._id))) {
+      return res.status(400).json({ message: 'That player is already on your team' });
+    }
+
+    if (team.members.length >= TEAM_MAX_MEMBERS) {
+      return res.status(400).json({ message: `Teams can have at most ${TEAM_MAX_MEMBERS} members` });
+    }
+
+    const updated = await Team.findOneAndUpdate(
+      { _id: team._id, 'invites.userId': { $ne: invitee._id } },
+      { $push: { invites: { userId: invitee._id, invitedBy: req.user.userId } } },
+      { new: true }
+    );
+    if (!updated) {
+      return res.status(400).json({ message: 'That player has already been invited' });
+    }
+
+    sendTeamEmail(invitee.email, `You've been invited to join ${team.name} [${team.tag}]`,
+      `You have been invited to join the team ${team.name} [${team.tag}].\n\nOpen your team invites in the app to accept or decline.`);
+
+    res.status(201).json({ message: 'Invite sent', invites: updated.invites });
+  } catch (error) {
+    console.error('Team invite error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Withdraw an invite (captain only)
+app.delete('/teams/:id/invites/:userId', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Team not found' });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(404).json({ message: 'Invite not found' });
+    }
+
+    const team = await Team.findOneAndUpdate(
+      { _id: req.params.id, status: 'active', captainId: req.user.userId },
+      { $pull: { invites: { userId: req.params.userId } } },
+      { new: true }
+    );
+    if (!team) {
+      return res.status(404).json({ message: 'Team not found or you are not its captain' });
+    }
+
+    res.json({ message: 'Invite withdrawn', invites: team.invites });
+  } catch (error) {
+    console.error('Team invite withdrawal error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Accept an invite and join the roster
+app.post('/teams/:id/invites/accept', authenticateToken, requireActiveUser, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Team not found' });
+    }
+
+    if (await Team.exists({ status: 'active', 'members.userId': req.user.userId })) {
+      return res.status(400).json({ message: 'You are already on a team. Leave it before joining another.' });
+    }
+
+    const team = await Team.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        status: 'active',
+        'invites.userId': req.user.userId,
+        [`members.${TEAM_MAX_MEMBERS - 1}`]: { $exists: false }
+      },
+      {
+        $pull: { invites: { userId: req.user.userId } },
+        $push: { members: { userId: req.user.userId, role: 'member' } }
+      },
+      { new: true }
+    );
+    if (!team) {
+      return res.status(400).json({ message: 'Invite not found or the team is full' });
+    }
+
+    res.json({ message: `You joined ${team.name}`, team: await getTeamProfile(team) });
+  } catch (error) {
+    console.error('Team invite accept error:', error);
+    if (error.status) {
+      res.status(error.status).json({ message: error.message });
+    } else if (error.code === 11000) {
+      res.status(400).json({ message: 'You are already on a team' });
+    } else {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+});
+
+// Decline an invite
+app.post('/teams/:id/invites/decline', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Team not found' });
+    }
+
+    const team = await Team.findOneAndUpdate(
+      { _id: req.params.id, 'invites.userId': req.user.userId },
+      { $pull: { invites: { userId: req.user.userId } } }
+    );
+    if (!team) {
+      return res.status(404).json({ message: 'Invite not found' });
+    }
+
+    res.json({ message: 'Invite declined' });
+  } catch (error) {
+    console.error('Team invite decline error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Leave a team. The captain has to hand over captaincy first, unless they are the last member,
+// in which case the team is disbanded.
+app.post('/teams/:id/leave', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Team not found' });
+    }
+
+    const team = await Team.findOne({ _id: req.params.id, status: 'active', 'members.userId': req.user.userId });
+    if (!team) {
+      return res.status(404).json({ message: 'You are not on this team' });
+    }
+
+    if (team.captainId.equals(req.user.userId)) {
+      if (team.members.length > 1) {
+        return res.status(400).json({ message: 'Hand over captaincy to another member before leaving' });
+      }
+
+      team.status = 'disbanded';
+      team.disbandedAt = new Date();
+      team.members = [];
+      team.invites = [];
+      await team.save();
+      return res.json({ message: 'You left and the team was disbanded' });
+    }
+
+    await Team.updateOne({ _id: team._id }, { $pull: { members: { userId: req.user.userId } } });
+
+    res.json({ message: `You left ${team.name}` });
+  } catch (error) {
+    console.error('Team leave error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove a member from the roster (captain only)
+app.post('/teams/:id/members/:userId/kick', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Team not found' });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+
+    if (req.params.userId === req.user.userId) {
+      return res.status(400).json({ message: 'Captains cannot kick themselves' });
+    }
+
+    const team = await Team.findOneAndUpdate(
+      { _id: req.params.id, status: 'active', captainId: req.user.userId, 'members.userId': req.params.userId },
+      { $pull: { members: { userId: req.params.userId } } },
+      { new: true }
+    );
+    if (!team) {
+      return res.status(404).json({ message: 'Member not found or you are not the captain' });
+    }
+
+    res.json({ message: 'Member removed', team: await getTeamProfile(team) });
+  } catch (error) {
+    console.error('Team kick error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Hand captaincy to another member (captain only)
+app.post('/teams/:id/captain', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Team not found' });
+    }
+
+    const { userId } = req.body;
+
+    if (!userId || !mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: 'A valid userId is required' });
+    }
+
+    const team = await Team.findOne({ _id: req.params.id, status: 'active', captainId: req.user.userId });
+    if (!team) {
+      return res.status(404).json({ message: 'Team not found or you are not its captain' });
+    }
+
+    const newCaptain = team.members.find(member => member.userId.equals(userId));
+    if (!newCaptain || newCaptain.userId.equals(req.user.userId)) {
+      return res.status(400).json({ message: 'The new captain must be another member of the team' });
+    }
+
+    team.members.forEach(member => {
+      member.role = member.userId.equals(userId) ? 'captain' : 'member';
+    });
+    team.captainId = newCaptain.userId;
+    await team.save();
+
+    res.json({ message: 'Captaincy transferred', team: await getTeamProfile(team) });
+  } catch (error) {
+    console.error('Team captain transfer error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Join a team with its invite code. A spot reserved for the player's game account is claimed first,
+// otherwise any open spot is taken. Teammates only pay when the captain chose to split the entry fee.
+app.post('/teams/join', authenticateToken, requireActiveUser, async (req, res) => {
+  try {
+    const { inviteCode, freeFireId, termsAccepted } = req.body;
+
+    if (!inviteCode) {
+      return res.status(400).json({ message: 'Invite code is required' });
+    }
+
+    if (!termsAccepted) {
+      return res.status(400).json({ message: 'You must accept the terms and conditions' });
+    }
+
+    const team = await TournamentTeam.findOne({ inviteCode: String(inviteCode).trim().toUpperCase(), status: 'active' });
+    if (!team) {
+      return res.status(404).json({ message: 'Invalid invite code' });
+    }
+
+    const tournament = await Tournament.findById(team.tournamentId);
+    if (!tournament || tournament.status !== 'upcoming' || getRegistrationClosesAt(tournament) <= new Date()) {
+      return res.status(400).json({ message: 'Tournament registration is closed' });
+    }
+
+    const memberFreeFireId = await getVerifiedPlayerId(req.user.userId, tournament.game, freeFireId);
+
+    if (tournament.registeredUsers.includes(req.user.userId)) {
+      return res.status(400).json({ message: 'Already registered for this tournament' });
+    }
+
+    // Teams registered from a persistent roster only take players from that roster
+    if (team.clanId && !(await Team.exists({ _id: team.clanId, 'members.userId': req.user.userId }))) {
+      return res.status(403).json({ message: 'Only members of this team can join it' });
+    }
+
+    const reservedSpot = team.members.find(member => !member.userId && member.freeFireId === memberFreeFireId);
+    if (!reservedSpot && team.members.some(member => member.freeFireId === memberFreeFireId)) {
+      return res.status(400).json({ message: 'That player ID is already on this team' });
+    }
+
+    if (!reservedSpot && team.members.length >= team.maxMembers) {
+      return res.status(400).json({ message: 'This team has no open spots' });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const captainPaid = team.paymentMode === 'captain';
+    const seats = captainPaid ? 0 : 1;
+    const entryFee = captainPaid ? 0 : tournament.entryFee;
+    const registrationId = new mongoose.Types.ObjectId();
+
+    const charge = await runInTransaction(async (session) => {
+      const member = { userId: user._id, freeFireId: memberFreeFireId, registrationId, joinedAt: new Date() };
+      const claimed = reservedSpot
+        ? await TournamentTeam.findOneAndUpdate(
+          { _id: team._id, status: 'active', members: { $elemMatch: { freeFireId: memberFreeFireId, userId: null } } },
+          { $set: { 'members.$': member } },
+          { session }
+        )
+        : await TournamentTeam.findOneAndUpdate(
+          {
+            _id: team._id,
+            status: 'active',
+            'members.freeFireId': { $ne: memberFreeFireId },
+            $expr: { $lt: [{ $size: '$members' }, '$maxMembers'] }
+          },
+          { $push: { members: member } },
+          { session }
+        );
+      if (!claimed) {
+        throw httpError(400, 'This team is full or no longer active');
+      }
+
+      // Captain-paid seats were reserved when the team was created
+      const seatFilter = { _id: tournament._id, status: 'upcoming', registeredUsers: { $ne: user._id } };
+      const seatUpdate = { $push: { registeredUsers: user._id } };
+      if (seats > 0) {
+        seatFilter.$expr = { $lt: ['$registeredPlayers', '$maxSlots'] };
+        seatUpdate.$inc = { registeredPlayers: seats, [`sidePlayers.${team.side}`]: seats };
+      }
+      const reserved = await Tournament.findOneAndUpdate(seatFilter, seatUpdate, { session });
+      if (!reserved) {
+        throw httpError(400, 'Tournament is full or registration is closed');
+      }
+
+      const charge = await chargeEntryFee(user, tournament, entryFee, registrationId, session);
+
+      await Registration.create([{
+        _id: registrationId,
+        ...buildRegistration(user, tournament, {
+          freeFireId: memberFreeFireId,
+          teamSelection: team.side,
+          teamId: team._id,
+          seats,
+          entryFee,
+          paidFromDeposit: charge.fromDeposit,
+          paidFromWinning: charge.fromWinning,
+          paymentMethod: captainPaid ? 'captain' : 'wallet'
+        })
+      }], { session });
+
+      return charge;
+    });
+
+    const slotNumber = await assignSlotSafely(registrationId);
+
+    res.json({
+      message: `Joined team ${team.name}`,
+      teamId: team._id,
+      side: team.side,
+      registrationId,
+      slotNumber,
+      deductedFromDeposit: charge.fromDeposit,
+      deductedFromWinning: charge.fromWinning,
+      newBalance: charge.user.depositAmount + charge.user.winningAmount
+    });
+  } catch (error) {
+    console.error('Team join error:', error);
+    if (error.status) {
+      res.status(error.status).json({ message: error.message });
+    } else if (error.code === 11000) {
+      res.status(400).json({ message: 'You or that player ID are already registered for this tournament' });
+    } else {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+});
+
+// The user's team for a tournament, including the invite code to share
+app.get('/tournaments/:id/team', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Tournament not found' });
+    }
+
+    const registration = await Registration.findOne({
+      tournamentId: req.params.id,
+      userId: req.user.userId,
+      status: 'registered',
+      teamId: { $ne: null }
+    });
+    if (!registration) {
+      return res.status(404).json({ message: 'You are not on a team for this tournament' });
+    }
+
+    const team = await TournamentTeam.findById(registration.teamId)
+      .populate('members.userId', 'fullname');
+    if (!team) {
+      return res.status(404).json({ message: 'Team not found' });
+    }
+
+    res.json({
+      ...team.toObject(),
+      isCaptain: team.captainId.equals(req.user.userId),
+      openSpots: team.maxMembers - team.members.length
+    });
+  } catch (error) {
+    console.error('Error fetching team:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.get('/my-tournaments', authenticateToken, async (req, res) => {
+  try {
+    const tournaments = await Tournament.find({
+      registeredUsers: req.user.userId,
+      status: { $in: TOURNAMENT_STATUSES }
+    }).sort({ startTime: 1 });
+
+    res.json(tournaments);
+  } catch (error) {
+    console.error('My tournaments fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get user profile
+app.get('/profile', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('-password -passwordResetTokenHash -passwordResetExpires');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const gameAccounts = await GameAccount.find({ userId: user._id, status: { $ne: 'unlinked' } })
+      .select('game uid ign status rejectionReason createdAt');
+
+    res.json({ ...user.toObject(), gameAccounts });
+  } catch (error) {
+    console.error('Profile fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Link a game account. It stays pending until an admin checks the profile screenshot.
+app.post('/game-accounts', authenticateToken, requireActiveUser, acceptImageUpload('screenshot', 'Screenshot'), async (req, res) => {
+  try {
+    const { uid, ign, game = 'free_fire' } = req.body;
+
+    const catalogGame = await Game.findOne({ key: game, status: 'active' });
+    if (!catalogGame) {
+      return res.status(400).json({ message: 'Unknown game' });
+    }
+
+    if (!uid || !isValidPlayerId(catalogGame, String(uid).trim())) {
+      return res.status(400).json({ message: `${catalogGame.playerIdLabel} ${catalogGame.playerIdHint}` });
+    }
+
+    if (!ign || !String(ign).trim()) {
+      return res.status(400).json({ message: 'In-game name is required' });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ message: 'A PNG, JPEG or WebP screenshot of your in-game profile is required' });
+    }
+
+    const stored = await gameAccountStorage.save({ buffer: req.file.buffer, originalName: req.file.originalname });
+
+    try {
+      const account = await GameAccount.create({
+        userId: req.user.userId,
+        game,
+        uid: String(uid).trim(),
+        ign: String(ign).trim(),
+        proofUrl: stored.url,
+        proofKey: stored.key
+      });
+
+      res.status(201).json({ message: 'Game account submitted for verification', account });
+    } catch (error) {
+      gameAccountStorage.remove(stored.key).catch(() => {});
+      throw error;
+    }
+  } catch (error) {
+    console.error('Game account link error:', error);
+    if (error.code === 11000) {
+      res.status(400).json({ message: 'You already have an account linked for this game, or that UID belongs to another player' });
+    } else {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+});
+
+// The user's linked game accounts
+app.get('/game-accounts', authenticateToken, async (req, res) => {
+  try {
+    const accounts = await GameAccount.find({ userId: req.user.userId, status: { $ne: 'unlinked' } })
+      .select('-proofKey -reviewedBy')
+      .sort({ createdAt: -1 });
+
+    res.json(accounts);
+  } catch (error) {
+    console.error('Error fetching game accounts:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Unlink a game account. Existing registrations keep the UID they were made with.
+app.delete('/game-accounts/:id', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Game account not found' });
+    }
+
+    const account = await GameAccount.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user.userId, status: { $in: ['pending', 'verified', 'rejected'] } },
+      { status: 'unlinked' },
+      { new: true }
+    );
+
+    if (!account) {
+      return res.status(404).json({ message: 'Game account not found' });
+    }
+
+    res.json({ message: 'Game account unlinked' });
+  } catch (error) {
+    console.error('Game account unlink error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update user profile
+app.put('/profile', authenticateToken, async (req, res) => {
+  try {
+    const { fullname, mobile, age, state, currentPassword, newPassword } = req.body;
+    const userId = req.user.userId;
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // If updating password, verify current password
+    if (newPassword) {
+      if (!currentPassword) {
+        return res.status(400).json({ message: 'Current password is required to change password' });
+      }
+
+      const isValidPassword = await bcrypt.compare(currentPassword, user.password);
+      if (!isValidPassword) {
+        return res.status(400).json({ message: 'Current password is incorrect' });
+      }
+
+      user.password = await bcrypt.hash(newPassword, 10);
+
+      // Any outstanding reset link should not outlive a password change
+      user.passwordResetTokenHash = null;
+      user.passwordResetExpires = null;
+    }
+
+    // Update other fields
+    if (fullname) user.fullname = fullname;
+    if (mobile !== undefined) user.mobile = mobile;
+    if (age !== undefined) user.age = age;
+    if (state !== undefined) user.state = state;
+
+    await user.save();
+
+    // Return updated user data (excluding password)
+    const updatedUser = await User.findById(userId).select('-password -passwordResetTokenHash -passwordResetExpires');
+    res.json({
+      message: 'Profile updated successfully',
+      user: updatedUser
+    });
+  } catch (error) {
+    console.error('Profile update error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get Razorpay key for frontend
+app.get('/get-razorpay-key', (req, res) => {
+  res.json({ key: process.env.RAZORPAY_KEY_ID });
+});
+
+// Test endpoint to check environment variables
+app.get('/test-env', (req, res) => {
+  res.json({
+    razorpay_key_id: process.env.RAZORPAY_KEY_ID ? 'Present' : 'Missing',
+    razorpay_key_secret: process.env.RAZORPAY_KEY_SECRET ? 'Present' : 'Missing',
+    mongodb_uri: process.env.MONGODB_URI ? 'Present' : 'Missing',
+    jwt_secret: process.env.JWT_SECRET ? 'Present' : 'Missing'
+  });
+});
+
+// Payment endpoints
+app.post('/create-payment-order', authenticateToken, requireActiveUser, async (req, res) => {
+  try {
+    const { amount } = req.body;
+
+    if (!amount || amount < 10 || amount > 10000) {
+      return res.status(400).json({ message: 'Invalid amount. Must be between ₹10 and ₹10,000' });
+    }
+
+    // Check if Razorpay is configured
+    if (!process.env.RAZORPAY_KEY_ID || !process.env.RAZORPAY_KEY_SECRET) {
+      return res.status(500).json({ message: 'Payment service not configured' });
+    }
+
+    // Create Razorpay order
+    const options = {
+      amount: amount * 100, // Razorpay expects amount in paisa
+      currency: 'INR',
+      receipt: `rcpt_${Date.now().toString().slice(-6)}_${req.user.userId.slice(-4)}`,
+      payment_capture: 1, // Auto capture
+      notes: { userId: req.user.userId }
+    };
+
+    const order = await razorpay.orders.create(options);
+
+    // Persist the order so the webhook can match payments back to the user
+    await PaymentOrder.create({
+      orderId: order.id,
+      userId: req.user.userId,
+      amount: order.amount / 100,
+      currency: order.currency,
+      receipt: order.receipt
+    });
+
+    res.json({
+      id: order.id,
+      amount: order.amount,
+      currency: order.currency,
+      receipt: order.receipt
+    });
+
+  } catch (error) {
+    console.error('Payment order creation error:', error);
+    res.status(500).json({ message: 'Failed to create payment order' });
+  }
+});
+
+// Not behind requireActiveUser: money Razorpay already captured is always credited, restricted or not,
+// exactly as the webhook does. Restrictions stop spending it, not receiving it.
+app.post('/verify-payment', authenticateToken, async (req, res) => {
+  try {
+    const {
+      razorpay_order_id,
+      razorpay_payment_id,
+      razorpay_signature
+    } = req.body;
+
+    // Verify payment signature
+    const sign = razorpay_order_id + '|' + razorpay_payment_id;
+    const expectedSign = crypto
+      .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
+      .update(sign.toString())
+      .digest('hex');
+
+    if (razorpay_signature !== expectedSign) {
+      return res.status(400).json({ message: 'Payment verification failed' });
+    }
+
+    const order = await PaymentOrder.findOne({ orderId: razorpay_order_id }) ||
+      await importLegacyPaymentOrder(razorpay_order_id, razorpay_payment_id, req.user.userId);
+    if (!order || order.userId.toString() !== req.user.userId) {
+      return res.status(404).json({ message: 'Payment order not found' });
+    }
+
+    // Credit the wallet. This is idempotent with the webhook, so whichever arrives second is a no-op.
+    const { credited, user } = await creditDeposit(order, razorpay_payment_id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({
+      message: credited ? 'Payment verified and wallet updated successfully' : 'Payment already processed',
+      amount: order.amount,
+      newBalance: user.depositAmount + user.winningAmount
+    });
+
+  } catch (error) {
+    console.error('Payment verification error:', error);
+    res.status(500).json({ message: 'Payment verification failed' });
+  }
+});
+
+// Razorpay webhook - credits deposits even if the client never calls /verify-payment
+app.post('/webhooks/razorpay', async (req, res) => {
+  try {
+    const signature = req.headers['x-razorpay-signature'];
+    if (!process.env.RAZORPAY_WEBHOOK_SECRET || !signature || !req.rawBody) {
+      return res.status(400).json({ message: 'Invalid webhook signature' });
+    }
+
+    // Signature is computed over the raw request body, not the parsed JSON
+    const expectedSignature = crypto
+      .createHmac('sha256', process.env.RAZORPAY_WEBHOOK_SECRET)
+      .update(req.rawBody)
+      .digest('hex');
+
+    const signatureBuffer = Buffer.from(String(signature));
+    const expectedBuffer = Buffer.from(expectedSignature);
+    if (signatureBuffer.length !== expectedBuffer.length || !crypto.timingSafeEqual(signatureBuffer, expectedBuffer)) {
+      return res.status(400).json({ message: 'Invalid webhook signature' });
+    }
+
+    const { event, payload } = req.body;
+
+    if (event === 'payment.captured') {
+      const payment = payload.payment.entity;
+      const order = await PaymentOrder.findOne({ orderId: payment.order_id });
+      if (!order) {
+        console.warn(`Webhook: no payment order found for ${payment.order_id}`);
+      } else if (payment.amount !== Math.round(order.amount * 100) || (payment.currency && payment.currency !== order.currency)) {
+        // Never credit more (or less) than the order we created
+        console.error(`Webhook: payment ${payment.id} amount ${payment.amount} ${payment.currency} does not match order ${order.orderId} (${order.amount} ${order.currency})`);
+        await PaymentOrder.updateOne(
+          { _id: order._id, status: 'created' },
+          { status: 'failed', paymentId: payment.id, failureReason: 'Captured amount does not match the order' }
+        );
+      } else {
+        const { credited } = await creditDeposit(order, payment.id);
+        console.log(`Webhook: payment ${payment.id} ${credited ? 'credited' : 'already credited'}`);
+      }
+    } else if (event === 'payment.failed') {
+      const payment = payload.payment.entity;
+      await PaymentOrder.updateOne(
+        { orderId: payment.order_id, status: 'created' },
+        { status: 'failed', paymentId: payment.id, failureReason: payment.error_description || '' }
+      );
+    } else if (event === 'refund.processed') {
+      const refund = payload.refund.entity;
+      const order = await PaymentOrder.findOne({ paymentId: refund.payment_id });
+      if (!order) {
+        console.warn(`Webhook: no payment order found for refunded payment ${refund.payment_id}`);
+      } else {
+        await debitDepositRefund(order, refund);
+      }
+    }
+
+    // Acknowledge everything else so Razorpay doesn't keep retrying
+    res.json({ status: 'ok' });
+  } catch (error) {
+    // A 5xx makes Razorpay retry the delivery later
+    console.error('Razorpay webhook error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Orders created before PaymentOrder records existed are looked up at Razorpay instead. The order must
+// belong to the user (its notes, or the user id suffix older receipts carry) and the payment must be a
+// captured payment of the full order amount. Returns the new PaymentOrder, or null.
+async function importLegacyPaymentOrder(orderId, paymentId, userId) {
+  let razorpayOrder;
+  let payment;
+  try {
+    razorpayOrder = await razorpay.orders.fetch(orderId);
+    payment = await razorpay.payments.fetch(paymentId);
+  } catch (error) {
+    console.error(`Could not fetch legacy Razorpay order ${orderId}:`, error);
+    return null;
+  }
+
+  const ownedByUser = razorpayOrder.notes?.userId
+    ? razorpayOrder.notes.userId === userId
+    : String(razorpayOrder.receipt || '').endsWith(`_${userId.slice(-4)}`);
+  if (!ownedByUser || payment.order_id !== orderId || payment.status !== 'captured' || payment.amount !== razorpayOrder.amount) {
+    return null;
+  }
+
+  try {
+    return await PaymentOrder.create({
+      orderId,
+      userId,
+      amount: razorpayOrder.amount / 100,
+      currency: razorpayOrder.currency,
+      receipt: razorpayOrder.receipt || '',
+      createdAt: razorpayOrder.created_at ? new Date(razorpayOrder.created_at * 1000) : new Date()
+    });
+  } catch (error) {
+    // Imported by a concurrent request
+    if (error.code === 11000) {
+      return PaymentOrder.findOne({ orderId });
+    }
+    throw error;
+  }
+}
+
+// Credit a captured payment to the order owner's deposit balance exactly once.
+// The Transaction unique index (userId, reference, referenceType) is the idempotency key
+// shared by /verify-payment and the webhook. Returns { credited, user }.
+async function creditDeposit(order, paymentId) {
+  try {
+    return await runInTransaction(async (session) => {
+      const { user } = await walletCredit({
+        userId: order.userId,
+        bucket: 'deposit',
+        amount: order.amount,
+        type: 'deposit',
+        description: 'Wallet deposit via Razorpay',
+        reference: paymentId,
+        referenceType: 'payment_id',
+        metadata: {
+          paymentId,
+          razorpayOrderId: order.orderId,
+          razorpayPaymentId: paymentId
+        }
+      }, session);
+
+      await PaymentOrder.updateOne(
+        { _id: order._id },
+        { status: 'paid', paymentId, paidAt: new Date() },
+        { session }
+      );
+
+      return { credited: true, user };
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return { credited: false, user: await User.findById(order.userId) };
+    }
+    throw error;
+  }
+}
+
+// Reverse a refunded deposit exactly once, keyed on the Razorpay refund id
+async function debitDepositRefund(order, refund) {
+  try {
+    await runInTransaction(async (session) => {
+      // The money has already left via Razorpay, so this may take the deposit balance negative
+      const { user } = await walletDebit({
+        userId: order.userId,
+        amount: refund.amount / 100,
+        bucket: 'deposit',
+        allowNegative: true,
+        type: 'deposit_refund',
+        description: 'Deposit refunded via Razorpay',
+        reference: refund.id,
+        referenceType: 'refund_id',
+        metadata: {
+          paymentId: refund.payment_id,
+          razorpayOrderId: order.orderId,
+          razorpayPaymentId: refund.payment_id
+        }
+      }, session);
+
+      if (user.depositAmount < 0) {
+        console.warn(`Deposit balance negative after refund ${refund.id} for user ${order.userId}`);
+      }
+
+      await PaymentOrder.updateOne({ _id: order._id }, { status: 'refunded', refundedAt: new Date() }, { session });
+    });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+// Escape user input for use inside a regular expression
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Opaque page cursors for the public tournament list
+function encodeTournamentCursor(tournament) {
+  return Buffer.from(JSON.stringify({ t: tournament.startTime.getTime(), id: tournament._id.toString() })).toString('base64url');
+}
+
+function decodeTournamentCursor(cursor) {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    if (typeof t !== 'number' || !mongoose.Types.ObjectId.isValid(id)) {
+      return null;
+    }
+    return { startTime: new Date(t), id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Whether a player ID matches the game's ID format
+function isValidPlayerId(game, playerId) {
+  return new RegExp(game.playerIdPattern).test(String(playerId));
+}
+
+// Registrations use the player's verified account for the game. An ID passed in must match it.
+async function getVerifiedPlayerId(userId, gameKey, requestedId) {
+  const game = await Game.findOne({ key: gameKey });
+  if (!game) {
+    throw httpError(400, 'This game is no longer available');
+  }
+
+  if (requestedId && !isValidPlayerId(game, String(requestedId).trim())) {
+    throw httpError(400, `${game.playerIdLabel} ${game.playerIdHint}`);
+  }
+
+  const account = await GameAccount.findOne({ userId, game: game.key, status: 'verified' });
+  if (!account) {
+    throw httpError(400, `Link and verify your ${game.name} account on your profile before registering`);
+  }
+
+  if (requestedId && String(requestedId).trim() !== account.uid) {
+    throw httpError(400, `${game.playerIdLabel} must be your verified linked account`);
+  }
+
+  return account.uid;
+}
+
+// Wallet service
+// Every balance change goes through walletCredit/walletDebit. Each call updates the balance with a
+// conditional atomic update and writes the matching Transaction record and a balanced ledger entry
+// in the same MongoDB transaction, so balances and history can't drift apart. Pass a session to compose several
+// wallet operations (and other writes) into one all-or-nothing unit via runInTransaction.
+
+// Error carrying an HTTP status, thrown from inside transactions to abort them
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Day key for the daily withdrawal cap (server local time)
+function getWithdrawalDay(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Create the user's counter for `day`, starting from what they already requested that day
+// (requests made before the counter existed are counted once, when it is created)
+async function ensureWithdrawalDayCounter(userId, day) {
+  if (await WithdrawalDailyTotal.exists({ userId, day })) {
+    return;
+  }
+
+  const [year, month, date] = day.split('-').map(Number);
+  const [todayTotal] = await Withdrawal.aggregate([
+    {
+      $match: {
+        userId: new mongoose.Types.ObjectId(userId),
+        status: { $ne: 'rejected' },
+        createdAt: { $gte: new Date(year, month - 1, date), $lt: new Date(year, month - 1, date + 1) }
+      }
+    },
+    { $group: { _id: null, total: { $sum: '$amount' } } }
+  ]);
+
+  try {
+    await WithdrawalDailyTotal.create({ userId, day, amount: todayTotal ? todayTotal.total : 0 });
+  } catch (error) {
+    // Another request created it first
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+}
+
+// Run work(session) inside a MongoDB transaction, retrying on transient errors. Returns work's result.
+async function runInTransaction(work) {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+}
+
+// Use the caller's transaction if there is one, otherwise start a new one
+function withSession(session, work) {
+  return session ? work(session) : runInTransaction(work);
+}
+
+async function recordTransaction(fields, session) {
+  const [transaction] = await Transaction.create([{ status: 'completed', metadata: {}, ...fields }], { session });
+  console.log(`Transaction logged: ${transaction.type} - ${transaction.amount} - ${transaction.reference}`);
+  return transaction;
+}
+
+// Credit the deposit or winning balance. The Transaction's unique (userId, reference, referenceType)
+// index makes this idempotent: a repeat throws a duplicate key error (code 11000) and nothing is credited.
+// Returns { user, transaction }.
+async function walletCredit({ userId, bucket, amount, counterAccount, ...transactionFields }, session) {
+  if (!['deposit', 'winning'].includes(bucket)) {
+    throw new Error(`Invalid wallet bucket: ${bucket}`);
+  }
+
+  return withSession(session, async (txSession) => {
+    await openLedgerIfNeeded(userId, txSession);
+
+    const transaction = await recordTransaction({ userId, amount, ...transactionFields }, txSession);
+    await postLedgerEntry(transaction, [
+      { account: `user_${bucket}`, userId, amount },
+      { account: counterAccount || LEDGER_COUNTER_ACCOUNTS[transaction.type], amount: -amount }
+    ], txSession);
+
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { $inc: { [`${bucket}Amount`]: amount } },
+      { new: true, session: txSession }
+    );
+    if (!user) {
+      throw httpError(404, 'User not found');
+    }
+
+    return { user, transaction };
+  });
+}
+
+// Debit the wallet and record a negative Transaction.
+//   bucket 'any'     - deposit first, then winnings (entry fees)
+//   bucket 'winning' - winnings only (withdrawals)
+//   bucket 'deposit' - deposit only
+// Throws a 400 httpError on insufficient balance unless allowNegative is set (for money that has
+// already left the platform, e.g. a processed Razorpay refund).
+// Returns { user, transaction, fromDeposit, fromWinning }.
+async function walletDebit({ userId, amount, bucket = 'any', allowNegative = false, counterAccount, ...transactionFields }, session) {
+  if (!(amount > 0)) {
+    throw httpError(400, 'Invalid amount');
+  }
+
+  return withSession(session, async (txSession) => {
+    await openLedgerIfNeeded(userId, txSession);
+
+    let before;
+
+    if (bucket === 'any') {
+      // Take what the deposit balance can cover (never a negative amount), the rest from winnings.
+      // All $set expressions read the pre-update document, so this is a single atomic update.
+      const fromDepositExpr = { $max: [{ $min: ['$depositAmount', amount] }, 0] };
+      before = await User.findOneAndUpdate(
+        { _id: userId, $expr: { $gte: ['$winningAmount', { $subtract: [amount, fromDepositExpr] }] } },
+        [{
+          $set: {
+            depositAmount: { $subtract: ['$depositAmount', fromDepositExpr] },
+            winningAmount: { $subtract: ['$winningAmount', { $subtract: [amount, fromDepositExpr] }] }
+          }
+        }],
+        { new: false, session: txSession }
+      );
+    } else if (bucket === 'deposit' || bucket === 'winning') {
+      const field = `${bucket}Amount`;
+      const filter = allowNegative ? { _id: userId } : { _id: userId, [field]: { $gte: amount } };
+      before = await User.findOneAndUpdate(filter, { $inc: { [field]: -amount } }, { new: false, session: txSession });
+    } else {
+      throw new Error(`Invalid wallet bucket: ${bucket}`);
+    }
+
+    if (!before) {
+      const exists = await User.exists({ _id: userId }).session(txSession);
+      if (!exists) {
+        throw httpError(404, 'User not found');
+      }
+      throw httpError(400, bucket === 'winning'
+        ? 'Insufficient winnings balance. Only winnings can be withdrawn.'
+        : 'Insufficient balance');
+    }
+
+    let fromDeposit = 0;
+    if (bucket === 'any') {
+      fromDeposit = Math.max(Math.min(before.depositAmount, amount), 0);
+    } else if (bucket === 'deposit') {
+      fromDeposit = amount;
+    }
+    const fromWinning = amount - fromDeposit;
+
+    const transaction = await recordTransaction({ userId, amount: -amount, ...transactionFields }, txSession);
+    await postLedgerEntry(transaction, [
+      { account: 'user_deposit', userId, amount: -fromDeposit },
+      { account: 'user_winning', userId, amount: -fromWinning },
+      { account: counterAccount || LEDGER_COUNTER_ACCOUNTS[transaction.type], amount }
+    ].filter(line => line.amount !== 0), txSession);
+
+    const user = await User.findById(userId).session(txSession);
+
+    return { user, transaction, fromDeposit, fromWinning };
+  });
+}
+
+async function postLedgerEntry(transaction, lines, session) {
+  const [entry] = await LedgerEntry.create([{
+    transactionId: transaction._id,
+    description: transaction.description,
+    lines
+  }], { session });
+  return entry;
+}
+
+// Post a user's existing balances as opening ledger entries the first time they're touched.
+// Flipping ledgerOpened and reading the balances happen in one atomic update, so concurrent
+// wallet operations can't slip in between.
+async function openLedgerIfNeeded(userId, session) {
+  const before = await User.findOneAndUpdate(
+    { _id: userId, ledgerOpened: { $ne: true } },
+    { ledgerOpened: true },
+    { new: false, session }
+  );
+  if (!before) {
+    return false;
+  }
+
+  const lines = [];
+  for (const bucket of ['deposit', 'winning']) {
+    const balance = before[`${bucket}Amount`] || 0;
+    if (balance !== 0) {
+      lines.push({ account: `user_${bucket}`, userId, amount: balance });
+      lines.push({ account: 'opening_balance', amount: -balance });
+    }
+  }
+
+  if (lines.length > 0) {
+    await LedgerEntry.create([{ description: 'Opening balance', lines }], { session });
+  }
+  return true;
+}
+
+// Compare a user's wallet buckets with ledger totals keyed by `${userId}_${account}`
+function compareWalletWithLedger(user, balanceMap) {
+  const mismatches = [];
+  for (const bucket of ['deposit', 'winning']) {
+    const ledgerBalance = balanceMap.get(`${user._id}_user_${bucket}`) || 0;
+    const walletBalance = user[`${bucket}Amount`] || 0;
+    const difference = walletBalance - ledgerBalance;
+    // Tolerate floating point noise below half a paisa
+    if (Math.abs(difference) >= 0.005) {
+      mismatches.push({ userId: user._id, bucket, ledgerBalance, walletBalance, difference });
+    }
+  }
+  return mismatches;
+}
+
+// Re-check one user with the wallet and their ledger lines read from the same snapshot.
+// The full scan reads ledger totals before walking users, so a wallet operation committing
+// in between shows up there as a mismatch that isn't real.
+async function recheckUserBalances(userId) {
+  const session = await mongoose.startSession();
+  try {
+    let mismatches = [];
+    await session.withTransaction(async () => {
+      const user = await User.findById(userId).select('depositAmount winningAmount').session(session).lean();
+      if (!user) {
+        mismatches = [];
+        return;
+      }
+      const totals = await LedgerEntry.aggregate([
+        { $match: { 'lines.userId': user._id } },
+        { $unwind: '$lines' },
+        { $match: { 'lines.userId': user._id, 'lines.account': { $in: ['user_deposit', 'user_winning'] } } },
+        { $group: { _id: '$lines.account', total: { $sum: '$lines.amount' } } }
+      ]).session(session);
+      mismatches = compareWalletWithLedger(user, new Map(totals.map(({ _id, total }) => [`${user._id}_${_id}`, total])));
+    }, { readConcern: { level: 'snapshot' } });
+    return mismatches;
+  } finally {
+    await session.endSession();
+  }
+}
+
+// Recompute every user's balances from the ledger and record any mismatches with their wallet
+async function runReconciliation(trigger = 'scheduled') {
+  const report = await ReconciliationReport.create({ trigger });
+
+  try {
+    // Users who have never had a wallet operation still need their opening balances posted
+    const unopened = await User.find({ ledgerOpened: { $ne: true } }).select('_id');
+    let openingBalancesPosted = 0;
+    for (const { _id } of unopened) {
+      const opened = await runInTransaction(session => openLedgerIfNeeded(_id, session));
+      if (opened) openingBalancesPosted += 1;
+    }
+
+    const ledgerBalances = await LedgerEntry.aggregate([
+      { $unwind: '$lines' },
+      { $match: { 'lines.account': { $in: ['user_deposit', 'user_winning'] } } },
+      { $group: { _id: { userId: '$lines.userId', account: '$lines.account' }, total: { $sum: '$lines.amount' } } }
+    ]);
+
+    const balanceMap = new Map();
+    for (const { _id, total } of ledgerBalances) {
+      balanceMap.set(`${_id.userId}_${_id.account}`, total);
+    }
+
+    const [imbalance] = await LedgerEntry.aggregate([
+      { $unwind: '$lines' },
+      { $group: { _id: null, total: { $sum: '$lines.amount' } } }
+    ]);
+
+    const suspects = [];
+    let usersChecked = 0;
+    const cursor = User.find().select('depositAmount winningAmount').lean().cursor();
+    for await (const user of cursor) {
+      usersChecked += 1;
+      if (compareWalletWithLedger(user, balanceMap).length > 0) {
+        suspects.push(user._id);
+      }
+    }
+
+    // Only report differences that are still there when wallet and ledger are read together
+    const mismatches = [];
+    for (const userId of suspects) {
+      mismatches.push(...await recheckUserBalances(userId));
+    }
+
+    report.status = 'completed';
+    report.usersChecked = usersChecked;
+    report.openingBalancesPosted = openingBalancesPosted;
+    report.ledgerImbalance = imbalance ? imbalance.total : 0;
+    report.mismatches = mismatches;
+    report.mismatchCount = mismatches.length;
+    report.completedAt = new Date();
+    await report.save();
+
+    if (mismatches.length > 0 || Math.abs(report.ledgerImbalance) >= 0.005) {
+      console.warn(`Reconciliation found ${mismatches.length} balance mismatches (ledger imbalance ${report.ledgerImbalance})`);
+    } else {
+      console.log(`Reconciliation completed: ${usersChecked} users checked, no mismatches`);
+    }
+  } catch (error) {
+    console.error('Reconciliation error:', error);
+    report.status = 'failed';
+    report.error = error.message;
+    report.completedAt = new Date();
+    await report.save();
+  }
+
+  return report;
+}
+
+// Run reconciliation every night at RECONCILIATION_HOUR (server local time, default 3am)
+function scheduleNightlyReconciliation() {
+  const hour = parseInt(process.env.RECONCILIATION_HOUR) || 3;
+  const nextRun = new Date();
+  nextRun.setHours(hour, 0, 0, 0);
+  if (nextRun <= new Date()) {
+    nextRun.setDate(nextRun.getDate() + 1);
+  }
+
+  setTimeout(async () => {
+    await runReconciliation('scheduled');
+    scheduleNightlyReconciliation();
+  }, nextRun.getTime() - Date.now());
+}
+
+// Request a withdrawal of winnings. The amount is held (deducted) until an admin rejects or pays it.
+app.post('/withdrawals', authenticateToken, requireActiveUser, async (req, res) => {
+  try {
+    const { amount, method, bankAccount, upiId } = req.body;
+    const withdrawalAmount = parseFloat(amount);
+
+    if (!withdrawalAmount || withdrawalAmount <= 0) {
+      return res.status(400).json({ message: 'Invalid amount' });
+    }
+
+    if (withdrawalAmount < WITHDRAWAL_MIN_AMOUNT) {
+      return res.status(400).json({ message: `Minimum withdrawal amount is ₹${WITHDRAWAL_MIN_AMOUNT}` });
+    }
+
+    // Validate payout details
+    let payoutDetails;
+    if (method === 'upi') {
+      if (!upiId || !/^[\w.-]{2,256}@[a-zA-Z]{2,64}$/.test(upiId.trim())) {
+        return res.status(400).json({ message: 'A valid UPI ID is required' });
+      }
+      payoutDetails = { upiId: upiId.trim() };
+    } else if (method === 'bank') {
+      const { accountHolderName, accountNumber, ifsc, bankName } = bankAccount || {};
+      if (!accountHolderName || !accountHolderName.trim()) {
+        return res.status(400).json({ message: 'Account holder name is required' });
+      }
+      if (!accountNumber || !/^\d{9,18}$/.test(String(accountNumber).trim())) {
+        return res.status(400).json({ message: 'Account number must be 9 to 18 digits' });
+      }
+      if (!ifsc || !/^[A-Z]{4}0[A-Z0-9]{6}$/.test(ifsc.trim().toUpperCase())) {
+        return res.status(400).json({ message: 'A valid IFSC code is required' });
+      }
+      payoutDetails = {
+        bankAccount: {
+          accountHolderName: accountHolderName.trim(),
+          accountNumber: String(accountNumber).trim(),
+          ifsc: ifsc.trim().toUpperCase(),
+          bankName: bankName ? bankName.trim() : ''
+        }
+      };
+    } else {
+      return res.status(400).json({ message: 'Withdrawal method must be bank or upi' });
+    }
+
+    const day = getWithdrawalDay(new Date());
+    await ensureWithdrawalDayCounter(req.user.userId, day);
+
+    // Hold the amount - only winnings are withdrawable. The daily cap, the request, the hold and its
+    // pending transaction are checked and written together, so parallel requests can't overshoot the cap.
+    const { withdrawal, user } = await runInTransaction(async (session) => {
+      const counted = await WithdrawalDailyTotal.findOneAndUpdate(
+        { userId: req.user.userId, day, amount: { $lte: WITHDRAWAL_DAILY_LIMIT - withdrawalAmount } },
+        { $inc: { amount: withdrawalAmount } },
+        { new: true, session }
+      );
+      if (!counted) {
+        const counter = await WithdrawalDailyTotal.findOne({ userId: req.user.userId, day }).session(session);
+        const remaining = Math.max(WITHDRAWAL_DAILY_LIMIT - (counter ? counter.amount : 0), 0);
+        throw httpError(400, `Daily withdrawal limit is ₹${WITHDRAWAL_DAILY_LIMIT}. You can withdraw up to ₹${remaining} more today.`);
+      }
+
+      const [created] = await Withdrawal.create([{
+        userId: req.user.userId,
+        amount: withdrawalAmount,
+        method,
+        ...payoutDetails
+      }], { session });
+
+      const debit = await walletDebit({
+        userId: req.user.userId,
+        amount: withdrawalAmount,
+        bucket: 'winning',
+        type: 'withdrawal',
+        description: `Withdrawal request via ${method === 'upi' ? 'UPI' : 'bank transfer'}`,
+        reference: created._id.toString(),
+        referenceType: 'withdrawal_id',
+        metadata: { withdrawalId: created._id },
+        status: 'pending'
+      }, session);
+
+      return { withdrawal: created, user: debit.user };
+    });
+
+    res.status(201).json({
+      message: 'Withdrawal request submitted',
+      withdrawal,
+      newWinningBalance: user.winningAmount
+    });
+  } catch (error) {
+    console.error('Withdrawal request error:', error);
+    if (error.status) {
+      res.status(error.status).json({ message: error.message });
+    } else {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+});
+
+// Get the user's withdrawal requests
+app.get('/withdrawals', authenticateToken, async (req, res) => {
+  try {
+    const withdrawals = await Withdrawal.find({ userId: req.user.userId })
+      .select('-reviewedBy')
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    res.json({
+      withdrawals,
+      limits: {
+        minimumAmount: WITHDRAWAL_MIN_AMOUNT,
+        dailyLimit: WITHDRAWAL_DAILY_LIMIT
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching withdrawals:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get user transactions
+app.get('/transactions', authenticateToken, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const transactions = await Transaction.find({ userId: req.user.userId })
+      .populate('metadata.tournamentId', 'tournamentId mode')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Transaction.countDocuments({ userId: req.user.userId });
+
+    res.json({
+      transactions,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching transactions:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Admin endpoint to get all transactions (for monitoring)
+app.get('/admin/transactions', authenticateToken, requireAdmin('transactions:read'), async (req, res) => {
+  try {
+    const { page = 1, limit = 50, userId, type } = req.query;
+    const skip = (page - 1) * limit;
+
+    let query = {};
+    if (userId) query.userId = userId;
+    if (type) query.type = type;
+
+    const transactions = await Transaction.find(query)
+      .populate('userId', 'fullname email')
+      .populate('metadata.tournamentId', 'tournamentId mode')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Transaction.countDocuments(query);
+
+    res.json({
+      transactions,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching admin transactions:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Manual transaction logging (admin only)
+app.post('/admin/transactions', authenticateToken, requireAdmin('transactions:write'), async (req, res) => {
+  try {
+    const { userId, type, amount, description, reference, referenceType, metadata } = req.body;
+
+    // Validate required fields
+    if (!userId || !type || !amount || !description || !reference || !referenceType) {
+      return res.status(400).json({ message: 'Missing required fields' });
+    }
+
+    // Validate transaction type
+    const validTypes = ['deposit', 'winning', 'entry_fee', 'withdrawal'];
+    if (!validTypes.includes(type)) {
+      return res.status(400).json({ message: 'Invalid transaction type' });
+    }
+
+    const transactionFields = { userId, type, description, reference, referenceType, metadata };
+
+    // Update user balance and log the transaction based on its type
+    let result;
+    if (type === 'deposit' || type === 'winning') {
+      result = await walletCredit({ ...transactionFields, bucket: type, amount: Math.abs(amount) });
+    } else {
+      // Deduct from deposit first, then winning
+      result = await walletDebit({ ...transactionFields, amount: Math.abs(amount) });
+    }
+
+    const { user, transaction } = result;
+
+    res.status(201).json({
+      message: 'Transaction logged successfully',
+      transaction,
+      newBalance: user.depositAmount + user.winningAmount
+    });
+  } catch (error) {
+    console.error('Error logging manual transaction:', error);
+    if (error.status) {
+      res.status(error.status).json({ message: error.message });
+    } else if (error.code === 11000) {
+      res.status(400).json({ message: 'Transaction with this reference already exists' });
+    } else {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+});
+
+// Award tournament winnings (admin/system endpoint)
+app.post('/admin/award-winnings', authenticateToken, requireAdmin('transactions:write'), async (req, res) => {
+  try {
+    const { tournamentId, winners } = req.body;
+
+    // Validate input
+    if (!tournamentId || !winners || !Array.isArray(winners)) {
+      return res.status(400).json({ message: 'Invalid request data' });
+    }
+
+    // Find tournament
+    const tournament = await Tournament.findById(tournamentId);
+    if (!tournament) {
+      return res.status(404).json({ message: 'Tournament not found' });
+    }
+
+    if (!['results_pending', 'completed'].includes(tournament.status)) {
+      return res.status(400).json({ message: 'Tournament results are not ready yet' });
+    }
+
+    // Tournaments with entered results are paid through results/confirm; paying here too would pay twice
+    if (await TournamentResult.exists({ tournamentId: tournament._id })) {
+      return res.status(400).json({ message: 'This tournament has entered results. Pay winnings by confirming them instead.' });
+    }
+
+    const results = [];
+
+    // Process each winner
     for (const winner of winners) {
       const { userId, amount, position } = winner;
 
-      // Find user
-      const user = await User.findById(userId);
-      if (!user) {
-        results.push({ userId, success: false, error: 'User not found' });
-        continue;
+      if (!(amount > 0)) {
+        results.push({ userId, success: false, error: 'Invalid amount' });
+        continue;
+      }
+
+      // Credit winnings and log the transaction together; the reference makes repeats a no-op
+      try {
+        const { user } = await walletCredit({
+          userId,
+          bucket: 'winning',
+          amount,
+          type: 'winning',
+          description: `Tournament winnings - ${tournament.tournamentId} (Position ${position})`,
+          reference: `${tournamentId}_${userId}_${position}`,
+          referenceType: 'tournament_id',
+          metadata: {
+            tournamentId: tournament._id,
+            position: position
+          }
+        });
+
+        results.push({
+          userId,
+          success: true,
+          amount,
+          newWinningBalance: user.winningAmount,
+          newTotalBalance: user.depositAmount + user.winningAmount
+        });
+      } catch (transactionError) {
+        console.error('Error awarding winnings:', transactionError);
+        let error = 'Failed to credit winnings';
+        if (transactionError.code === 11000) {
+          error = 'Winnings already awarded';
+        } else if (transactionError.status === 404) {
+          error = 'User not found';
+        }
+        results.push({ userId, success: false, error });
+      }
+    }
+
+    res.json({
+      message: 'Winnings processed',
+      tournamentId,
+      results
+    });
+  } catch (error) {
+    console.error('Error awarding winnings:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get transaction statistics (admin)
+app.get('/admin/transaction-stats', authenticateToken, requireAdmin('transactions:read'), async (req, res) => {
+  try {
+    const stats = await Transaction.aggregate([
+      {
+        $group: {
+          _id: '$type',
+          count: { $sum: 1 },
+          totalAmount: { $sum: '$amount' }
+        }
+      }
+    ]);
+
+    const totalTransactions = await Transaction.countDocuments();
+    const todayTransactions = await Transaction.countDocuments({
+      createdAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) }
+    });
+
+    res.json({
+      totalTransactions,
+      todayTransactions,
+      typeBreakdown: stats
+    });
+  } catch (error) {
+    console.error('Error fetching transaction stats:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Withdrawal queue (Admin only)
+app.get('/admin/withdrawals', authenticateToken, requireAdmin('transactions:read'), async (req, res) => {
+  try {
+    const { page = 1, limit = 50, status = 'pending' } = req.query;
+    const skip = (page - 1) * limit;
+
+    const query = status === 'all' ? {} : { status };
+
+    const withdrawals = await Withdrawal.find(query)
+      .populate('userId', 'fullname email mobile')
+      .populate('reviewedBy', 'username')
+      .sort({ createdAt: 1 }) // Oldest first so the queue is processed in order
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Withdrawal.countDocuments(query);
+
+    res.json({
+      withdrawals,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching withdrawal queue:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Approve a pending withdrawal (Admin only)
+app.post('/admin/withdrawals/:id/approve', authenticateToken, requireAdmin('transactions:write'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Withdrawal not found' });
+    }
+
+    const withdrawal = await Withdrawal.findOneAndUpdate(
+      { _id: req.params.id, status: 'pending' },
+      { status: 'approved', reviewedBy: req.admin._id, reviewedAt: new Date(), adminNote: req.body.note || '' },
+      { new: true }
+    );
+
+    if (!withdrawal) {
+      return res.status(400).json({ message: 'Withdrawal not found or not pending' });
+    }
+
+    res.json({ message: 'Withdrawal approved', withdrawal });
+  } catch (error) {
+    console.error('Withdrawal approval error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reject a pending or approved withdrawal and return the held amount (Admin only)
+app.post('/admin/withdrawals/:id/reject', authenticateToken, requireAdmin('transactions:write'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Withdrawal not found' });
+    }
+
+    const { reason } = req.body;
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({ message: 'A rejection reason is required' });
+    }
+
+    const result = await runInTransaction(async (session) => {
+      const rejected = await Withdrawal.findOneAndUpdate(
+        { _id: req.params.id, status: { $in: ['pending', 'approved'] } },
+        { status: 'rejected', rejectionReason: reason.trim(), reviewedBy: req.admin._id, reviewedAt: new Date() },
+        { new: true, session }
+      );
+      if (!rejected) {
+        return null;
+      }
+
+      await Transaction.updateOne(
+        { userId: rejected.userId, reference: rejected._id.toString(), referenceType: 'withdrawal_id' },
+        { status: 'failed' },
+        { session }
+      );
+
+      // A rejected request no longer counts towards that day's cap
+      await WithdrawalDailyTotal.updateOne(
+        { userId: rejected.userId, day: getWithdrawalDay(rejected.createdAt) },
+        { $inc: { amount: -rejected.amount } },
+        { session }
+      );
+
+      // Release the hold back to winnings
+      const { user } = await walletCredit({
+        userId: rejected.userId,
+        bucket: 'winning',
+        amount: rejected.amount,
+        type: 'refund',
+        counterAccount: 'payouts',
+        description: 'Rejected withdrawal returned to winnings',
+        reference: `reversal_${rejected._id}`,
+        referenceType: 'withdrawal_id',
+        metadata: { withdrawalId: rejected._id }
+      }, session);
+
+      return { withdrawal: rejected, user };
+    });
+
+    if (!result) {
+      return res.status(400).json({ message: 'Withdrawal not found or already processed' });
+    }
+
+    const { withdrawal, user } = result;
+
+    if (user) {
+      sendWithdrawalEmail(user.email, 'Withdrawal request rejected',
+        `Your withdrawal request of ₹${withdrawal.amount} was rejected.\n\nReason: ${withdrawal.rejectionReason}\n\nThe amount has been returned to your winnings balance.`);
+    }
+
+    res.json({ message: 'Withdrawal rejected and amount returned to winnings', withdrawal });
+  } catch (error) {
+    console.error('Withdrawal rejection error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Mark an approved withdrawal as paid out (Admin only)
+app.post('/admin/withdrawals/:id/mark-paid', authenticateToken, requireAdmin('transactions:write'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Withdrawal not found' });
+    }
+
+    const { payoutReference } = req.body;
+
+    if (!payoutReference || !payoutReference.trim()) {
+      return res.status(400).json({ message: 'A payout reference is required' });
+    }
+
+    const withdrawal = await Withdrawal.findOneAndUpdate(
+      { _id: req.params.id, status: 'approved' },
+      { status: 'paid', payoutReference: payoutReference.trim(), paidAt: new Date(), reviewedBy: req.admin._id },
+      { new: true }
+    );
+
+    if (!withdrawal) {
+      return res.status(400).json({ message: 'Withdrawal not found or not approved' });
+    }
+
+    await Transaction.updateOne(
+      { userId: withdrawal.userId, reference: withdrawal._id.toString(), referenceType: 'withdrawal_id' },
+      { status: 'completed', 'metadata.payoutReference': withdrawal.payoutReference }
+    );
+
+    const user = await User.findById(withdrawal.userId).select('email');
+    if (user) {
+      sendWithdrawalEmail(user.email, 'Withdrawal paid',
+        `Your withdrawal of ₹${withdrawal.amount} has been paid.\n\nPayout reference: ${withdrawal.payoutReference}`);
+    }
+
+    res.json({ message: 'Withdrawal marked as paid', withdrawal });
+  } catch (error) {
+    console.error('Withdrawal payout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Ledger reconciliation reports (Admin only)
+app.get('/admin/reconciliation', authenticateToken, requireAdmin('transactions:read'), async (req, res) => {
+  try {
+    const reports = await ReconciliationReport.find()
+      .select('-mismatches')
+      .sort({ startedAt: -1 })
+      .limit(30);
+
+    res.json(reports);
+  } catch (error) {
+    console.error('Error fetching reconciliation reports:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Latest (or a specific) reconciliation report with its mismatches (Admin only)
+app.get('/admin/reconciliation/:id', authenticateToken, requireAdmin('transactions:read'), async (req, res) => {
+  try {
+    const query = req.params.id === 'latest'
+      ? ReconciliationReport.findOne({ status: { $ne: 'running' } }).sort({ startedAt: -1 })
+      : ReconciliationReport.findById(req.params.id);
+
+    const report = await query.populate('mismatches.userId', 'fullname email');
+    if (!report) {
+      return res.status(404).json({ message: 'Reconciliation report not found' });
+    }
+
+    res.json(report);
+  } catch (error) {
+    console.error('Error fetching reconciliation report:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Run reconciliation now (Admin only)
+app.post('/admin/reconciliation/run', authenticateToken, requireAdmin('transactions:write'), async (req, res) => {
+  try {
+    const report = await runReconciliation('manual');
+    res.json({
+      message: report.status === 'completed' ? 'Reconciliation completed' : 'Reconciliation failed',
+      report
+    });
+  } catch (error) {
+    console.error('Error running reconciliation:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Game account verification queue (Admin only)
+app.get('/admin/game-accounts', authenticateToken, requireAdmin('users:moderate'), async (req, res) => {
+  try {
+    const { page = 1, limit = 50, status = 'pending', search } = req.query;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (status !== 'all') query.status = status;
+    if (search) {
+      query.$or = [
+        { uid: { $regex: search, $options: 'i' } },
+        { ign: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const accounts = await GameAccount.find(query)
+      .populate('userId', 'fullname email')
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await GameAccount.countDocuments(query);
+
+    res.json({
+      accounts,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching game accounts:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Approve or reject a linked game account (Admin only)
+app.post('/admin/game-accounts/:id/:decision(verify|reject)', authenticateToken, requireAdmin('users:moderate'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Game account not found' });
+    }
+
+    const { reason } = req.body;
+    const verifying = req.params.decision === 'verify';
+
+    if (!verifying && (!reason || !reason.trim())) {
+      return res.status(400).json({ message: 'A rejection reason is required' });
+    }
+
+    const account = await GameAccount.findOneAndUpdate(
+      { _id: req.params.id, status: 'pending' },
+      {
+        status: verifying ? 'verified' : 'rejected',
+        rejectionReason: verifying ? '' : reason.trim(),
+        reviewedBy: req.admin._id,
+        reviewedAt: new Date()
+      },
+      { new: true }
+    ).populate('userId', 'email');
+
+    if (!account) {
+      return res.status(400).json({ message: 'Game account not found or already reviewed' });
+    }
+
+    if (account.userId?.email) {
+      sendTeamEmail(account.userId.email,
+        verifying ? 'Your game account has been verified' : 'Your game account could not be verified',
+        verifying
+          ? `Your ${account.game} account ${account.ign} (UID ${account.uid}) is verified. You can now register for tournaments with it.`
+          : `We couldn't verify your ${account.game} account ${account.ign} (UID ${account.uid}).\n\nReason: ${reason.trim()}\n\nYou can link it again with a clearer screenshot.`);
+    }
+
+    res.json({ message: verifying ? 'Game account verified' : 'Game account rejected', account });
+  } catch (error) {
+    console.error('Game account review error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Dispute queue (Admin only)
+app.get('/admin/disputes', authenticateToken, requireAdmin('disputes:manage'), async (req, res) => {
+  try {
+    const { page = 1, limit = 50, status = 'open', tournamentId } = req.query;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (status !== 'all') query.status = status;
+    if (tournamentId) query.tournamentId = tournamentId;
+
+    const disputes = await Dispute.find(query)
+      .populate('userId', 'fullname email')
+      .populate('tournamentId', 'tournamentId mode map startTime status')
+      .populate('proofIds', 'url note createdAt')
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Dispute.countDocuments(query);
+
+    res.json({
+      disputes,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching disputes:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// All proofs uploaded for a tournament (Admin only)
+app.get('/admin/tournaments/:id/proofs', authenticateToken, requireAdmin('disputes:manage'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Tournament not found' });
+    }
+
+    const proofs = await ResultProof.find({ tournamentId: req.params.id })
+      .populate('userId', 'fullname email')
+      .populate('registrationId', 'freeFireId teamSelection')
+      .sort({ createdAt: -1 });
+
+    res.json(proofs);
+  } catch (error) {
+    console.error('Error fetching tournament proofs:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Pick up a dispute for review (Admin only)
+app.post('/admin/disputes/:id/review', authenticateToken, requireAdmin('disputes:manage'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Dispute not found' });
+    }
+
+    const dispute = await Dispute.findOneAndUpdate(
+      { _id: req.params.id, status: 'open' },
+      {
+        status: 'under_review',
+        assignedTo: req.admin._id,
+        $push: { history: { action: 'review_started', adminId: req.admin._id, note: req.body.note || '' } }
+      },
+      { new: true }
+    );
+
+    if (!dispute) {
+      return res.status(400).json({ message: 'Dispute not found or not open' });
+    }
+
+    res.json({ message: 'Dispute is under review', dispute });
+  } catch (error) {
+    console.error('Dispute review error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add an internal note to a dispute (Admin only)
+app.post('/admin/disputes/:id/notes', authenticateToken, requireAdmin('disputes:manage'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Dispute not found' });
+    }
+
+    const { note } = req.body;
+
+    if (!note || !note.trim()) {
+      return res.status(400).json({ message: 'Note is required' });
+    }
+
+    const dispute = await Dispute.findByIdAndUpdate(
+      req.params.id,
+      { $push: { history: { action: 'note', adminId: req.admin._id, note: note.trim() } } },
+      { new: true }
+    );
+
+    if (!dispute) {
+      return res.status(404).json({ message: 'Dispute not found' });
+    }
+
+    res.json({ message: 'Note added', dispute });
+  } catch (error) {
+    console.error('Dispute note error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Resolve (upheld) or reject a dispute, optionally adjusting the player's payout (Admin only).
+// A positive payoutAdjustment credits winnings, a negative one takes winnings back.
+app.post('/admin/disputes/:id/:decision(resolve|reject)', authenticateToken, requireAdmin('disputes:manage'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Dispute not found' });
+    }
+
+    const { resolution, payoutAdjustment } = req.body;
+    const adjustment = parseFloat(payoutAdjustment) || 0;
+    const status = req.params.decision === 'resolve' ? 'resolved' : 'rejected';
+
+    if (!resolution || !resolution.trim()) {
+      return res.status(400).json({ message: 'A resolution note is required' });
+    }
+
+    if (adjustment !== 0 && status !== 'resolved') {
+      return res.status(400).json({ message: 'Payouts can only be adjusted when resolving a dispute' });
+    }
+
+    if (adjustment !== 0 && !hasAdminPermission(req.admin.role, 'transactions:write')) {
+      return res.status(403).json({ message: 'You do not have permission to adjust payouts' });
+    }
+
+    const dispute = await runInTransaction(async (session) => {
+      const closed = await Dispute.findOneAndUpdate(
+        { _id: req.params.id, status: { $in: ['open', 'under_review'] } },
+        {
+          status,
+          resolution: resolution.trim(),
+          payoutAdjustment: adjustment,
+          resolvedBy: req.admin._id,
+          resolvedAt: new Date(),
+          $push: { history: { action: status, adminId: req.admin._id, note: resolution.trim(), amount: adjustment } }
+        },
+        { new: true, session }
+      );
+      if (!closed) {
+        throw httpError(400, 'Dispute not found or already closed');
+      }
+
+      const adjustmentFields = {
+        userId: closed.userId,
+        amount: Math.abs(adjustment),
+        type: 'winning',
+        description: `Payout adjustment from dispute ${closed._id}`,
+        reference: `dispute_${closed._id}`,
+        referenceType: 'tournament_id',
+        metadata: { tournamentId: closed.tournamentId }
+      };
+
+      if (adjustment > 0) {
+        await walletCredit({ ...adjustmentFields, bucket: 'winning' }, session);
+      } else if (adjustment < 0) {
+        await walletDebit({ ...adjustmentFields, bucket: 'winning', counterAccount: 'prize_pool' }, session);
+      }
+
+      return closed;
+    });
+
+    res.json({ message: `Dispute ${status}`, dispute });
+  } catch (error) {
+    console.error('Dispute resolution error:', error);
+    if (error.status) {
+      res.status(error.status).json({ message: error.message });
+    } else {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+});
+
+// Tournament Registration Management Endpoints
+
+// Get registered users for a specific tournament (Admin only)
+app.get('/admin/tournaments/:tournamentId/registrations', authenticateToken, requireAdmin('registrations:read'), async (req, res) => {
+  try {
+    const { tournamentId } = req.params;
+    const { page = 1, limit = 20, search } = req.query;
+
+    // Validate tournament exists - support both MongoDB ObjectId and tournamentId string
+    let tournament;
+    if (mongoose.Types.ObjectId.isValid(tournamentId)) {
+      tournament = await Tournament.findById(tournamentId);
+    } else {
+      tournament = await Tournament.findOne({ tournamentId: tournamentId });
+    }
+
+    if (!tournament) {
+      return res.status(404).json({ message: 'Tournament not found' });
+    }
+
+    const skip = (page - 1) * limit;
+    let query = { _id: { $in: tournament.registeredUsers } };
+
+    // Add search functionality
+    if (search) {
+      query = {
+        $and: [
+          { _id: { $in: tournament.registeredUsers } },
+          {
+            $or: [
+              { fullname: { $regex: search, $options: 'i' } },
+              { email: { $regex: search, $options: 'i' } }
+            ]
+          }
+        ]
+      };
+    }
+
+    // Get registered users with pagination
+    const users = await User.find(query)
+      .select('fullname email mobile age state winningAmount depositAmount createdAt')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await User.countDocuments(query);
+
+    // Get registration details for each user
+    const usersWithRegistrationDetails = await Promise.all(users.map(async (user) => {
+      const registration = await Registration.findOne({
+        userId: user._id,
+        tournamentId: tournament._id,
+        status: 'registered'
+      });
+
+      return {
+        _id: user._id,
+        fullname: user.fullname,
+        email: user.email,
+        mobile: user.mobile || '',
+        age: user.age || null,
+        state: user.state || '',
+        totalBalance: (user.winningAmount || 0) + (user.depositAmount || 0),
+        winningAmount: user.winningAmount || 0,
+        depositAmount: user.depositAmount || 0,
+        registrationTime: registration ? registration.registrationDate : user.createdAt,
+        status: 'registered',
+        freeFireId: registration ? registration.freeFireId : '',
+        termsAccepted: registration ? registration.termsAccepted : false,
+        teamSelection: registration ? registration.teamSelection : null,
+        slotNumber: registration ? registration.slotNumber : null
+      };
+    }));
+
+    res.json({
+      tournament: {
+        _id: tournament._id,
+        tournamentId: tournament.tournamentId,
+        mode: tournament.mode,
+        teamSize: tournament.teamSize,
+        maxSlots: tournament.maxSlots,
+        registeredPlayers: tournament.registeredPlayers,
+        slotGroupSize: tournament.slotGroupSize,
+        status: tournament.status,
+        startTime: tournament.startTime,
+        roomId: tournament.roomId,
+        roomPassword: tournament.roomPassword,
+        prizes: tournament.prizes
+      },
+      registrations: usersWithRegistrationDetails,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching tournament registrations:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reseat every registered player in random order (Admin only). Teams stay together when slots are grouped.
+app.post('/admin/tournaments/:tournamentId/slots/shuffle', authenticateToken, requireAdmin('tournaments:write'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.tournamentId)) {
+      return res.status(404).json({ message: 'Tournament not found' });
+    }
+
+    const tournament = await Tournament.findById(req.params.tournamentId);
+    if (!tournament) {
+      return res.status(404).json({ message: 'Tournament not found' });
+    }
+
+    const registrations = await Registration.find({ tournamentId: tournament._id, status: 'registered' })
+      .select('teamId');
+
+    // Shuffle, then seat players one by one with the normal slot rules
+    const seated = [];
+    for (const registration of shuffleInPlace(registrations)) {
+      seated.push({ _id: registration._id, teamId: registration.teamId, slotNumber: pickSlot(tournament, registration, seated) });
+    }
+
+    await runInTransaction(async (session) => {
+      await Registration.updateMany(
+        { tournamentId: tournament._id, status: 'registered' },
+        { slotNumber: null },
+        { session }
+      );
+      await Registration.bulkWrite(seated
+        .filter(entry => entry.slotNumber)
+        .map(entry => ({
+          updateOne: { filter: { _id: entry._id, status: 'registered' }, update: { slotNumber: entry.slotNumber } }
+        })), { session });
+    });
+
+    res.json({
+      message: 'Slots reshuffled',
+      assigned: seated.filter(entry => entry.slotNumber).length,
+      unassigned: seated.filter(entry => !entry.slotNumber).length
+    });
+  } catch (error) {
+    console.error('Slot shuffle error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Swap the players in two slots, or move a player into an empty slot (Admin only)
+app.post('/admin/tournaments/:tournamentId/slots/swap', authenticateToken, requireAdmin('tournaments:write'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.tournamentId)) {
+      return res.status(404).json({ message: 'Tournament not found' });
+    }
+
+    const slotA = parseInt(req.body.slotA);
+    const slotB = parseInt(req.body.slotB);
+
+    const tournament = await Tournament.findById(req.params.tournamentId);
+    if (!tournament) {
+      return res.status(404).json({ message: 'Tournament not found' });
+    }
+
+    const validSlot = (slot) => Number.isInteger(slot) && slot >= 1 && slot <= tournament.maxSlots;
+    if (!validSlot(slotA) || !validSlot(slotB) || slotA === slotB) {
+      return res.status(400).json({ message: `slotA and slotB must be two different slots between 1 and ${tournament.maxSlots}` });
+    }
+
+    await runInTransaction(async (session) => {
+      const active = { tournamentId: tournament._id, status: 'registered' };
+      const playerA = await Registration.findOne({ ...active, slotNumber: slotA }).session(session);
+      const playerB = await Registration.findOne({ ...active, slotNumber: slotB }).session(session);
+      if (!playerA && !playerB) {
+        throw httpError(400, 'Both slots are empty');
+      }
+
+      // Clear slot A first so the unique slot index never sees two players in one slot
+      if (playerA) await Registration.updateOne({ _id: playerA._id }, { slotNumber: null }, { session });
+      if (playerB) await Registration.updateOne({ _id: playerB._id }, { slotNumber: slotA }, { session });
+      if (playerA) await Registration.updateOne({ _id: playerA._id }, { slotNumber: slotB }, { session });
+    });
+
+    res.json({ message: `Slots ${slotA} and ${slotB} swapped` });
+  } catch (error) {
+    console.error('Slot swap error:', error);
+    if (error.status) {
+      res.status(error.status).json({ message: error.message });
+    } else {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+});
+
+// Printable lobby sheet (Admin only). Returns an HTML page by default, or CSV with ?format=csv.
+app.get('/admin/tournaments/:tournamentId/lobby-sheet', authenticateToken, requireAdmin('registrations:read'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.tournamentId)) {
+      return res.status(404).json({ message: 'Tournament not found' });
+    }
+
+    const tournament = await Tournament.findById(req.params.tournamentId);
+    if (!tournament) {
+      return res.status(404).json({ message: 'Tournament not found' });
+    }
+
+    const registrations = await Registration.find({ tournamentId: tournament._id, status: 'registered' })
+      .populate('teamId', 'name')
+      .sort({ slotNumber: 1, registrationDate: 1 });
+
+    const bySlot = new Map(registrations.filter(r => r.slotNumber).map(r => [r.slotNumber, r]));
+    const rows = [];
+    for (let slot = 1; slot <= tournament.maxSlots; slot++) {
+      rows.push({ slot: String(slot), registration: bySlot.get(slot) });
+    }
+    registrations.filter(r => !r.slotNumber).forEach(registration => rows.push({ slot: '-', registration }));
+
+    const columns = (row) => {
+      const registration = row.registration;
+      return [
+        row.slot,
+        registration?.teamId?.name || registration?.teamSelection || '',
+        registration?.metadata?.userSnapshot?.fullname || '',
+        registration?.freeFireId || ''
+      ];
+    };
+
+    if (req.query.format === 'csv') {
+      const csvCell = (value) => /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+      const csv = [['Slot', 'Team', 'Player', 'Free Fire ID'], ...rows.map(columns)]
+        .map(cells => cells.map(csvCell).join(','))
+        .join('\n');
+
+      res.set('Content-Type', 'text/csv');
+      res.set('Content-Disposition', `attachment; filename="lobby-${tournament.tournamentId}.csv"`);
+      return res.send(csv);
+    }
+
+    const htmlCell = (value) => String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+
+    res.set('Content-Type', 'text/html');
+    res.send(`<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Lobby sheet - ${htmlCell(tournament.tournamentId)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; margin: 24px; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border: 1px solid #999; padding: 4px 8px; text-align: left; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <h2>${htmlCell(tournament.tournamentId)} - ${htmlCell(tournament.map)} (${htmlCell(tournament.mode)})</h2>
+  <p>Start: ${htmlCell(tournament.startTime.toISOString())} | Players: ${registrations.length}/${tournament.maxSlots}</p>
+  <table>
+    <tr><th>Slot</th><th>Team</th><th>Player</th><th>Free Fire ID</th></tr>
+    ${rows.map(row => `<tr>${columns(row).map(cell => `<td>${htmlCell(cell)}</td>`).join('')}</tr>`).join('\n    ')}
+  </table>
+</body>
+</html>`);
+  } catch (error) {
+    console.error('Lobby sheet error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update tournament room details, URLs, and additional info (Admin only)
+app.put('/admin/tournaments/:tournamentId/room-details', authenticateToken, requireAdmin('tournaments:write'), async (req, res) => {
+  try {
+    const { tournamentId } = req.params;
+    const { roomId, roomPassword, customUrl, roomNotes } = req.body;
+
+    // Validate tournament exists
+    const tournament = await Tournament.findById(tournamentId);
+    if (!tournament) {
+      return res.status(404).json({ message: 'Tournament not found' });
+    }
+
+    // Validate input
+    if (roomId !== undefined) {
+      if (typeof roomId !== 'string' || roomId.trim().length === 0) {
+        return res.status(400).json({ message: 'Room ID must be a non-empty string' });
+      }
+      tournament.roomId = roomId.trim();
+    }
+
+    if (roomPassword !== undefined) {
+      if (typeof roomPassword !== 'string' || roomPassword.trim().length === 0) {
+        return res.status(400).json({ message: 'Room password must be a non-empty string' });
+      }
+      tournament.roomPassword = roomPassword.trim();
+    }
+
+    // Add custom URL field if not exists
+    if (customUrl !== undefined) {
+      if (customUrl && (typeof customUrl !== 'string' || !customUrl.match(/^https?:\/\/.+/))) {
+        return res.status(400).json({ message: 'Custom URL must be a valid HTTP/HTTPS URL' });
+      }
+      tournament.customUrl = customUrl || '';
+    }
+
+    // Add room notes field if not exists
+    if (roomNotes !== undefined) {
+      tournament.roomNotes = roomNotes || '';
+    }
+
+    await tournament.save();
+
+    res.json({
+      message: 'Tournament room details updated successfully',
+      tournament: {
+        _id: tournament._id,
+        tournamentId: tournament.tournamentId,
+        roomId: tournament.roomId,
+        roomPassword: tournament.roomPassword,
+        customUrl: tournament.customUrl,
+        roomNotes: tournament.roomNotes
+      }
+    });
+
+  } catch (error) {
+    console.error('Error updating tournament room details:', error);
+    if (error.name === 'ValidationError') {
+      res.status(400).json({ message: 'Validation error', errors: error.errors });
+    } else {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+});
+
+// Update tournament room details and prizes (Admin only)
+app.put('/admin/tournaments/:tournamentId/details', authenticateToken, requireAdmin('tournaments:write'), async (req, res) => {
+  try {
+    const { tournamentId } = req.params;
+    const { roomId, roomPassword, prizes, refundPolicy, slotGroupSize, scoring } = req.body;
+
+    // Validate tournament exists
+    const tournament = await Tournament.findById(tournamentId);
+    if (!tournament) {
+      return res.status(404).json({ message: 'Tournament not found' });
+    }
+
+    // Validate input
+    if (roomId !== undefined) {
+      if (typeof roomId !== 'string' || roomId.trim().length === 0) {
+        return res.status(400).json({ message: 'Room ID must be a non-empty string' });
+      }
+      tournament.roomId = roomId.trim();
+    }
+
+    if (roomPassword !== undefined) {
+      if (typeof roomPassword !== 'string' || roomPassword.trim().length === 0) {
+        return res.status(400).json({ message: 'Room password must be a non-empty string' });
+      }
+      tournament.roomPassword = roomPassword.trim();
+    }
+
+    if (prizes !== undefined) {
+      // Validate prizes structure
+      if (typeof prizes !== 'object') {
+        return res.status(400).json({ message: 'Prizes must be an object' });
+      }
+
+      if (prizes.top5 && !Array.isArray(prizes.top5)) {
+        return res.status(400).json({ message: 'top5 prizes must be an array' });
+      }
+
+      if (prizes.top10 && !Array.isArray(prizes.top10)) {
+        return res.status(400).json({ message: 'top10 prizes must be an array' });
+      }
+
+      if (prizes.perKill !== undefined && (typeof prizes.perKill !== 'number' || prizes.perKill < 0)) {
+        return res.status(400).json({ message: 'perKill must be a non-negative number' });
+      }
+
+      tournament.prizes = {
+        top5: prizes.top5 || tournament.prizes?.top5 || [],
+        top10: prizes.top10 || tournament.prizes?.top10 || [],
+        perKill: prizes.perKill !== undefined ? prizes.perKill : tournament.prizes?.perKill || 0
+      };
+    }
+
+    if (refundPolicy !== undefined) {
+      const refundPolicyError = validateRefundPolicy(refundPolicy);
+      if (refundPolicyError) {
+        return res.status(400).json({ message: refundPolicyError });
+      }
+      tournament.refundPolicy = refundPolicy;
+    }
+
+    if (slotGroupSize !== undefined) {
+      if (!Number.isInteger(slotGroupSize) || slotGroupSize < 1 || slotGroupSize > tournament.maxSlots) {
+        return res.status(400).json({ message: `slotGroupSize must be a whole number between 1 and ${tournament.maxSlots}` });
+      }
+      tournament.slotGroupSize = slotGroupSize;
+    }
+
+    if (scoring !== undefined) {
+      const scoringError = validateScoring(scoring);
+      if (scoringError) {
+        return res.status(400).json({ message: scoringError });
+      }
+      tournament.scoring = {
+        placementPoints: scoring.placementPoints || tournament.scoring.placementPoints,
+        pointsPerKill: scoring.pointsPerKill !== undefined ? scoring.pointsPerKill : tournament.scoring.pointsPerKill
+      };
+    }
+
+    await tournament.save();
+
+    res.json({
+      message: 'Tournament details updated successfully',
+      tournament: {
+        _id: tournament._id,
+        tournamentId: tournament.tournamentId,
+        roomId: tournament.roomId,
+        roomPassword: tournament.roomPassword,
+        prizes: tournament.prizes,
+        refundPolicy: tournament.refundPolicy,
+        slotGroupSize: tournament.slotGroupSize,
+        scoring: tournament.scoring
+      }
+    });
+
+  } catch (error) {
+    console.error('Error updating tournament details:', error);
+    if (error.name === 'ValidationError') {
+      res.status(400).json({ message: 'Validation error', errors: error.errors });
+    } else {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+});
+
+// Enter match results and preview payouts (Admin only). Saves a draft that replaces any earlier draft.
+app.post('/admin/tournaments/:id/results', authenticateToken, requireAdmin('tournaments:write'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Tournament not found' });
+    }
+
+    const { results } = req.body;
+
+    if (!Array.isArray(results) || results.length === 0) {
+      return res.status(400).json({ message: 'results must be a non-empty array' });
+    }
+
+    const tournament = await Tournament.findById(req.params.id);
+    if (!tournament) {
+      return res.status(404).json({ message: 'Tournament not found' });
+    }
+
+    if (tournament.status !== 'results_pending') {
+      return res.status(400).json({ message: 'Results can only be entered while the tournament is pending results' });
+    }
+
+    const existing = await TournamentResult.findOne({ tournamentId: tournament._id });
+    if (existing && existing.status === 'confirmed') {
+      return res.status(400).json({ message: 'Results have already been confirmed' });
+    }
+
+    const registrations = await Registration.find({ tournamentId: tournament._id, status: 'registered' });
+    const { entries, errors } = buildResultEntries(tournament, registrations, results);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid results', errors });
+    }
+
+    const result = await saveDraftResults(tournament, entries, req.admin._id);
+
+    res.json({
+      message: 'Results saved. Review the payouts and confirm to credit players.',
+      preview: result
+    });
+  } catch (error) {
+    console.error('Error saving tournament results:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Confirm the draft results: credit every payout and complete the tournament in one batch (Admin only)
+app.post('/admin/tournaments/:id/results/confirm', authenticateToken, requireAdmin('transactions:write'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Tournament not found' });
+    }
+
+    const draft = await TournamentResult.findOne({ tournamentId: req.params.id });
+    if (!draft) {
+      return res.status(404).json({ message: 'No results have been entered for this tournament' });
+    }
+
+    if (draft.status === 'confirmed') {
+      return res.json({ message: 'Results were already confirmed', results: draft });
+    }
+
+    const confirmed = await runInTransaction(async (session) => {
+      // Claiming the draft first makes a concurrent confirm fail instead of paying twice
+      const claimed = await TournamentResult.findOneAndUpdate(
+        { _id: draft._id, status: 'draft', submittedAt: draft.submittedAt },
+        { status: 'confirmed', confirmedBy: req.admin._id, confirmedAt: new Date() },
+        { new: true, session }
+      );
+      if (!claimed) {
+        throw httpError(409, 'Results changed or were confirmed concurrently. Please review and retry.');
       }
 
-      // Update user winning amount
-      user.winningAmount += amount;
-      await user.save();
+      const tournament = await transitionTournament(req.params.id, 'completed', {
+        adminId: req.admin._id,
+        reason: 'Results confirmed'
+      }, session);
+
+      for (const entry of claimed.entries) {
+        if (entry.totalPrize <= 0) continue;
+
+        await walletCredit({
+          userId: entry.userId,
+          bucket: 'winning',
+          amount: entry.totalPrize,
+          type: 'winning',
+          description: `Tournament winnings - ${tournament.tournamentId} (Position ${entry.placement}, ${entry.kills} kills)`,
+          reference: `result_${tournament._id}_${entry.registrationId}`,
+          referenceType: 'tournament_id',
+          metadata: { tournamentId: tournament._id, position: entry.placement }
+        }, session);
+      }
 
-      // Log the winning transaction
-      try {
-        await logTransaction(
-          userId,
-          'winning',
-          amount,
-          `Tournament winnings - ${tournament.tournamentId} (Position ${position})`,
-          `${tournamentId}_${userId}_${position}`,
-          'tournament_id',
-          {
-            tournamentId: tournament._id,
-            position: position
-          }
-        );
+      return claimed;
+    });
 
-        results.push({
-          userId,
-          success: true,
-          amount,
-          newWinningBalance: user.winningAmount,
-          newTotalBalance: user.depositAmount + user.winningAmount
-        });
-      } catch (transactionError) {
-        console.error('Error logging winning transaction:', transactionError);
-        results.push({ userId, success: false, error: 'Failed to log transaction' });
+    res.json({ message: 'Results confirmed and winnings credited', results: confirmed });
+  } catch (error) {
+    console.error('Error confirming tournament results:', error);
+    if (error.status) {
+      res.status(error.status).json({ message: error.message });
+    } else if (error.code === 11000) {
+      res.status(400).json({ message: 'Winnings for this tournament have already been credited' });
+    } else {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+});
+
+// Get tournament statistics (Admin only)
+app.get('/admin/tournaments/:tournamentId/stats', authenticateToken, requireAdmin('tournaments:read'), async (req, res) => {
+  try {
+    const { tournamentId } = req.params;
+
+    const tournament = await Tournament.findById(tournamentId);
+    if (!tournament) {
+      return res.status(404).json({ message: 'Tournament not found' });
+    }
+
+    // Get registration statistics
+    const totalRegistrations = tournament.registeredPlayers;
+    const availableSlots = tournament.maxSlots - totalRegistrations;
+
+    // Get balance statistics for registered users
+    const registeredUsers = await User.find({ _id: { $in: tournament.registeredUsers } })
+      .select('winningAmount depositAmount');
+
+    let totalDepositBalance = 0;
+    let totalWinningBalance = 0;
+    let totalCombinedBalance = 0;
+
+    registeredUsers.forEach(user => {
+      const deposit = user.depositAmount || 0;
+      const winning = user.winningAmount || 0;
+      totalDepositBalance += deposit;
+      totalWinningBalance += winning;
+      totalCombinedBalance += deposit + winning;
+    });
+
+    // Calculate expected revenue
+    const expectedRevenue = totalRegistrations * tournament.entryFee;
+
+    res.json({
+      tournamentId: tournament.tournamentId,
+      mode: tournament.mode,
+      status: tournament.status,
+      registrationStats: {
+        totalRegistrations,
+        availableSlots,
+        maxSlots: tournament.maxSlots,
+        registrationRate: ((totalRegistrations / tournament.maxSlots) * 100).toFixed(1)
+      },
+      balanceStats: {
+        totalDepositBalance: totalDepositBalance.toFixed(2),
+        totalWinningBalance: totalWinningBalance.toFixed(2),
+        totalCombinedBalance: totalCombinedBalance.toFixed(2),
+        averageBalance: totalRegistrations > 0 ? (totalCombinedBalance / totalRegistrations).toFixed(2) : 0
+      },
+      revenueStats: {
+        entryFee: tournament.entryFee,
+        expectedRevenue: expectedRevenue.toFixed(2),
+        collectedRevenue: expectedRevenue.toFixed(2) // Assuming all payments are collected
+      },
+      roomDetails: {
+        roomId: tournament.roomId || null,
+        hasRoomPassword: !!tournament.roomPassword,
+        prizesConfigured: !!(tournament.prizes?.top5?.length || tournament.prizes?.top10?.length || tournament.prizes?.perKill)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching tournament stats:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Bulk update tournament prizes (Admin only)
+app.put('/admin/tournaments/:tournamentId/prizes', authenticateToken, requireAdmin('tournaments:write'), async (req, res) => {
+  try {
+    const { tournamentId } = req.params;
+    const { top5, top10, perKill } = req.body;
+
+    const tournament = await Tournament.findById(tournamentId);
+    if (!tournament) {
+      return res.status(404).json({ message: 'Tournament not found' });
+    }
+
+    // Validate prize arrays
+    if (top5 && !Array.isArray(top5)) {
+      return res.status(400).json({ message: 'top5 must be an array of numbers' });
+    }
+
+    if (top10 && !Array.isArray(top10)) {
+      return res.status(400).json({ message: 'top10 must be an array of numbers' });
+    }
+
+    // Validate all prize values are numbers >= 0
+    const validatePrizes = (prizes, fieldName) => {
+      for (let i = 0; i < prizes.length; i++) {
+        if (typeof prizes[i] !== 'number' || prizes[i] < 0) {
+          throw new Error(`${fieldName}[${i}] must be a non-negative number`);
+        }
       }
+    };
+
+    if (top5) validatePrizes(top5, 'top5');
+    if (top10) validatePrizes(top10, 'top10');
+
+    if (perKill !== undefined && (typeof perKill !== 'number' || perKill < 0)) {
+      return res.status(400).json({ message: 'perKill must be a non-negative number' });
     }
 
+    // Update prizes
+    tournament.prizes = {
+      top5: top5 || tournament.prizes?.top5 || [],
+      top10: top10 || tournament.prizes?.top10 || [],
+      perKill: perKill !== undefined ? perKill : tournament.prizes?.perKill || 0
+    };
+
+    await tournament.save();
+
     res.json({
-      message: 'Winnings processed',
+      message: 'Tournament prizes updated successfully',
+      prizes: tournament.prizes
+    });
+
+  } catch (error) {
+    console.error('Error updating tournament prizes:', error);
+    if (error.message.includes('must be')) {
+      res.status(400).json({ message: error.message });
+    } else {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+});
+
+// Get all tournament registrations (Admin only) - Global view
+app.get('/admin/registrations', authenticateToken, requireAdmin('registrations:read'), async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 50,
+      sortBy = 'registrationDate',
+      sortOrder = 'desc',
+      search,
       tournamentId,
-      results
+      status = 'registered'
+    } = req.query;
+
+    const skip = (page - 1) * limit;
+
+    // Build query
+    let query = { status: status };
+
+    if (search) {
+      query.$or = [
+        { 'metadata.userSnapshot.fullname': { $regex: search, $options: 'i' } },
+        { 'metadata.userSnapshot.email': { $regex: search, $options: 'i' } },
+        { tournamentIdString: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    if (tournamentId) {
+      query.tournamentIdString = { $regex: tournamentId, $options: 'i' };
+    }
+
+    // Build sort object
+    const sortOptions = {};
+    const validSortFields = ['registrationDate', 'metadata.userSnapshot.fullname', 'tournamentIdString', 'entryFee'];
+    if (validSortFields.includes(sortBy)) {
+      sortOptions[sortBy] = sortOrder === 'asc' ? 1 : -1;
+    } else {
+      sortOptions.registrationDate = -1; // Default sort
+    }
+
+    // Get registrations with pagination
+    const registrations = await Registration.find(query)
+      .populate('userId', 'fullname email')
+      .populate('tournamentId', 'tournamentId mode map startTime status')
+      .sort(sortOptions)
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Registration.countDocuments(query);
+
+    // Format response
+    const formattedRegistrations = registrations.map(reg => ({
+      _id: reg._id,
+      user: {
+        _id: reg.userId._id,
+        fullname: reg.metadata.userSnapshot.fullname,
+        email: reg.metadata.userSnapshot.email,
+        mobile: reg.metadata.userSnapshot.mobile || '',
+        age: reg.metadata.userSnapshot.age || null,
+        state: reg.metadata.userSnapshot.state || ''
+      },
+      tournament: {
+        _id: reg.tournamentId._id,
+        tournamentId: reg.tournamentIdString,
+        mode: reg.metadata.tournamentSnapshot.mode,
+        teamSize: reg.metadata.tournamentSnapshot.teamSize,
+        map: reg.metadata.tournamentSnapshot.map,
+        startTime: reg.metadata.tournamentSnapshot.startTime,
+        status: reg.tournamentId.status
+      },
+      registrationDate: reg.registrationDate,
+      entryFee: reg.entryFee,
+      status: reg.status,
+      paymentMethod: reg.paymentMethod,
+      freeFireId: reg.freeFireId,
+      termsAccepted: reg.termsAccepted,
+      teamSelection: reg.teamSelection
+    }));
+
+    res.json({
+      registrations: formattedRegistrations,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      },
+      sortBy,
+      sortOrder
     });
+
   } catch (error) {
-    console.error('Error awarding winnings:', error);
+    console.error('Error fetching all registrations:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get transaction statistics (admin)
-app.get('/admin/transaction-stats', authenticateToken, async (req, res) => {
+// Get user registration details for a specific tournament
+app.get('/user/registration/:tournamentId', authenticateToken, async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Admin access required' });
-    }
+    // Latest registration first - earlier ones may have been withdrawn
+    const registration = await Registration.findOne({
+      userId: req.user.userId,
+      tournamentId: req.params.tournamentId
+    })
+      .sort({ registrationDate: -1 })
+      .populate('tournamentId', 'status startTime refundPolicy');
 
-    const stats = await Transaction.aggregate([
-      {
-        $group: {
-          _id: '$type',
-          count: { $sum: 1 },
-          totalAmount: { $sum: '$amount' }
-        }
-      }
-    ]);
+    if (!registration) {
+      return res.status(404).json({ message: 'Registration not found' });
+    }
 
-    const totalTransactions = await Transaction.countDocuments();
-    const todayTransactions = await Transaction.countDocuments({
-      createdAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) }
-    });
+    const tournament = registration.tournamentId;
+    const canCancel = registration.status === 'registered' && tournament &&
+      tournament.status === 'upcoming' && tournament.startTime > new Date();
 
     res.json({
-      totalTransactions,
-      todayTransactions,
-      typeBreakdown: stats
+      _id: registration._id,
+      freeFireId: registration.freeFireId,
+      teamSelection: registration.teamSelection,
+      slotNumber: registration.status === 'registered' ? registration.slotNumber : null,
+      registrationDate: registration.registrationDate,
+      status: registration.status,
+      entryFee: registration.entryFee,
+      canCancel,
+      cancellationRefundPercent: canCancel ? getRefundPercent(tournament) : 0
     });
   } catch (error) {
-    console.error('Error fetching transaction stats:', error);
+    console.error('Error fetching user registration:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Tournament Registration Management Endpoints
-
-// Get registered users for a specific tournament (Admin only)
-app.get('/admin/tournaments/:tournamentId/registrations', authenticateToken, async (req, res) => {
+// Generate a knockout bracket from the registered entrants (Admin only). Teams enter as one entrant.
+// Seeded brackets take `seeds` as registration or team ids in seed order; anyone left out is seeded
+// after them at random. A bracket can be regenerated until the first match result is reported.
+app.post('/admin/tournaments/:id/bracket', authenticateToken, requireAdmin('tournaments:write'), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Admin access required' });
+    const { type = 'single_elimination', seeding = 'random', seeds = [] } = req.body;
+
+    if (!['single_elimination', 'double_elimination'].includes(type)) {
+      return res.status(400).json({ message: 'type must be single_elimination or double_elimination' });
     }
 
-    const { tournamentId } = req.params;
-    const { page = 1, limit = 20, search } = req.query;
+    if (!['random', 'seeded'].includes(seeding)) {
+      return res.status(400).json({ message: 'seeding must be random or seeded' });
+    }
 
-    // Validate tournament exists - support both MongoDB ObjectId and tournamentId string
-    let tournament;
-    if (mongoose.Types.ObjectId.isValid(tournamentId)) {
-      tournament = await Tournament.findById(tournamentId);
-    } else {
-      tournament = await Tournament.findOne({ tournamentId: tournamentId });
+    if (!Array.isArray(seeds) || (seeding === 'seeded' && seeds.length === 0)) {
+      return res.status(400).json({ message: 'Seeded brackets need a seeds array of registration or team ids' });
     }
 
+    const tournament = await Tournament.findById(req.params.id);
     if (!tournament) {
       return res.status(404).json({ message: 'Tournament not found' });
     }
 
-    const skip = (page - 1) * limit;
-    let query = { _id: { $in: tournament.registeredUsers } };
+    if (tournament.mode !== 'clash_squad') {
+      return res.status(400).json({ message: 'Brackets are only available for Clash Squad tournaments' });
+    }
 
-    // Add search functionality
-    if (search) {
-      query = {
-        $and: [
-          { _id: { $in: tournament.registeredUsers } },
-          {
-            $or: [
-              { fullname: { $regex: search, $options: 'i' } },
-              { email: { $regex: search, $options: 'i' } }
-            ]
-          }
-        ]
-      };
+    if (!['registration_closed', 'live'].includes(tournament.status)) {
+      return res.status(400).json({ message: 'Brackets can be generated once registration has closed' });
     }
 
-    // Get registered users with pagination
-    const users = await User.find(query)
-      .select('fullname email mobile age state winningAmount depositAmount createdAt')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
+    const existing = await Bracket.findOne({ tournamentId: tournament._id });
+    if (existing && existing.matches.some(match => match.status === 'completed')) {
+      return res.status(400).json({ message: 'Match results have already been reported for this bracket' });
+    }
 
-    const total = await User.countDocuments(query);
+    const registrations = await Registration.find({ tournamentId: tournament._id, status: 'registered' })
+      .populate('teamId', 'name captainId')
+      .sort({ registrationDate: 1 });
+
+    // One entrant per team (captain first, since they receive any prize) and one per solo player
+    const entrants = [];
+    const teamEntrants = new Map();
+    for (const registration of registrations) {
+      const team = registration.teamId;
+      if (!team) {
+        entrants.push({
+          key: registration._id.toString(),
+          registrationIds: [registration._id],
+          name: registration.metadata?.userSnapshot?.fullname || registration.freeFireId
+        });
+        continue;
+      }
 
-    // Get registration details for each user
-    const usersWithRegistrationDetails = await Promise.all(users.map(async (user) => {
-      const registration = await Registration.findOne({
-        userId: user._id,
-        tournamentId: tournament._id
-      });
+      let entrant = teamEntrants.get(team._id.toString());
+      if (!entrant) {
+        entrant = { key: team._id.toString(), registrationIds: [], teamId: team._id, name: team.name };
+        teamEntrants.set(entrant.key, entrant);
+        entrants.push(entrant);
+      }
+      if (registration.userId.equals(team.captainId)) {
+        entrant.registrationIds.unshift(registration._id);
+      } else {
+        entrant.registrationIds.push(registration._id);
+      }
+    }
 
-      return {
-        _id: user._id,
-        fullname: user.fullname,
-        email: user.email,
-        mobile: user.mobile || '',
-        age: user.age || null,
-        state: user.state || '',
-        totalBalance: (user.winningAmount || 0) + (user.depositAmount || 0),
-        winningAmount: user.winningAmount || 0,
-        depositAmount: user.depositAmount || 0,
-        registrationTime: registration ? registration.registrationDate : user.createdAt,
-        status: 'registered',
-        freeFireId: registration ? registration.freeFireId : '',
-        termsAccepted: registration ? registration.termsAccepted : false,
-        teamSelection: registration ? registration.teamSelection : null
-      };
-    }));
+    const minimum = type === 'double_elimination' ? 3 : 2;
+    if (entrants.length < minimum) {
+      return res.status(400).json({ message: `At least ${minimum} entrants are needed for this bracket` });
+    }
 
-    res.json({
-      tournament: {
-        _id: tournament._id,
-        tournamentId: tournament.tournamentId,
-        mode: tournament.mode,
-        teamSize: tournament.teamSize,
-        maxSlots: tournament.maxSlots,
-        registeredPlayers: tournament.registeredPlayers,
-        status: tournament.status,
-        startTime: tournament.startTime,
-        roomId: tournament.roomId,
-        roomPassword: tournament.roomPassword,
-        prizes: tournament.prizes
-      },
-      registrations: usersWithRegistrationDetails,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
+    // Seeded entrants first, in the order given; everyone else in random order
+    const byKey = new Map(entrants.map(entrant => [entrant.key, entrant]));
+    const seeded = [];
+    for (const id of seeds) {
+      const entrant = byKey.get(String(id)) ||
+        entrants.find(candidate => candidate.registrationIds.some(regId => regId.toString() === String(id)));
+      if (!entrant) {
+        return res.status(400).json({ message: `Seed ${id} is not a registered entrant` });
+      }
+      if (seeded.includes(entrant)) {
+        return res.status(400).json({ message: `Seed ${id} is listed more than once` });
       }
+      seeded.push(entrant);
+    }
+    const ordered = [...seeded, ...shuffleInPlace(entrants.filter(entrant => !seeded.includes(entrant)))];
+
+    const bracketEntrants = ordered.map((entrant, index) => ({
+      _id: new mongoose.Types.ObjectId(),
+      registrationIds: entrant.registrationIds,
+      teamId: entrant.teamId || null,
+      name: entrant.name,
+      seed: index + 1
+    }));
+
+    await Bracket.deleteOne({ tournamentId: tournament._id });
+    const bracket = await Bracket.create({
+      tournamentId: tournament._id,
+      type,
+      seeding,
+      entrants: bracketEntrants,
+      matches: buildBracketMatches(bracketEntrants, type),
+      createdBy: req.admin._id
     });
 
+    res.status(201).json({ message: 'Bracket generated', bracket });
   } catch (error) {
-    console.error('Error fetching tournament registrations:', error);
-    res.status(500).json({ message: 'Server error' });
+    console.error('Bracket generation error:', error);
+    if (error.code === 11000) {
+      res.status(409).json({ message: 'The bracket was regenerated concurrently. Please retry.' });
+    } else {
+      res.status(500).json({ message: 'Server error' });
+    }
   }
 });
 
-// Update tournament room details, URLs, and additional info (Admin only)
-app.put('/admin/tournaments/:tournamentId/room-details', authenticateToken, async (req, res) => {
+// Report a match winner and advance the bracket (Admin only). `winner` is 'a', 'b' or the entrant id.
+// When the deciding match is reported, the final standings become draft results for the usual payout confirm.
+app.post('/admin/tournaments/:id/bracket/matches/:matchId', authenticateToken, requireAdmin('tournaments:write'), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Admin access required' });
-    }
+    const { winner } = req.body;
 
-    const { tournamentId } = req.params;
-    const { roomId, roomPassword, customUrl, roomNotes } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Tournament not found' });
+    }
 
-    // Validate tournament exists
-    const tournament = await Tournament.findById(tournamentId);
+    const tournament = await Tournament.findById(req.params.id).select('status');
     if (!tournament) {
       return res.status(404).json({ message: 'Tournament not found' });
     }
 
-    // Validate input
-    if (roomId !== undefined) {
-      if (typeof roomId !== 'string' || roomId.trim().length === 0) {
-        return res.status(400).json({ message: 'Room ID must be a non-empty string' });
-      }
-      tournament.roomId = roomId.trim();
+    if (!['live', 'results_pending'].includes(tournament.status)) {
+      return res.status(400).json({ message: 'Matches can only be reported while the tournament is live or results are pending' });
     }
 
-    if (roomPassword !== undefined) {
-      if (typeof roomPassword !== 'string' || roomPassword.trim().length === 0) {
-        return res.status(400).json({ message: 'Room password must be a non-empty string' });
-      }
-      tournament.roomPassword = roomPassword.trim();
+    const bracket = await Bracket.findOne({ tournamentId: req.params.id });
+    if (!bracket) {
+      return res.status(404).json({ message: 'No bracket has been generated for this tournament' });
     }
 
-    // Add custom URL field if not exists
-    if (customUrl !== undefined) {
-      if (customUrl && (typeof customUrl !== 'string' || !customUrl.match(/^https?:\/\/.+/))) {
-        return res.status(400).json({ message: 'Custom URL must be a valid HTTP/HTTPS URL' });
-      }
-      tournament.customUrl = customUrl || '';
+    const match = bracket.matches.find(m => m.matchId === req.params.matchId);
+    if (!match) {
+      return res.status(404).json({ message: 'Match not found' });
     }
 
-    // Add room notes field if not exists
-    if (roomNotes !== undefined) {
-      tournament.roomNotes = roomNotes || '';
+    if (match.status !== 'ready') {
+      return res.status(400).json({ message: `Match is ${match.status} and can't be reported` });
     }
 
-    await tournament.save();
+    const winnerId = winner === 'a' ? match.entrantA
+      : winner === 'b' ? match.entrantB
+        : [match.entrantA, match.entrantB].find(entrant => entrant.toString() === String(winner));
+    if (!winnerId) {
+      return res.status(400).json({ message: "winner must be 'a', 'b' or one of the match's entrant ids" });
+    }
+
+    finishBracketMatch(bracket.matches, match, winnerId);
+    match.reportedBy = req.admin._id;
+
+    const standings = computeBracketStandings(bracket);
+    if (standings) {
+      bracket.status = 'completed';
+      bracket.standings = standings;
+      bracket.completedAt = new Date();
+    }
+
+    await bracket.save();
+
+    let results = null;
+    let resultErrors = [];
+    if (standings) {
+      ({ result: results, errors: resultErrors } = await draftBracketResults(bracket, req.admin._id));
+    }
 
     res.json({
-      message: 'Tournament room details updated successfully',
-      tournament: {
-        _id: tournament._id,
-        tournamentId: tournament.tournamentId,
-        roomId: tournament.roomId,
-        roomPassword: tournament.roomPassword,
-        customUrl: tournament.customUrl,
-        roomNotes: tournament.roomNotes
-      }
+      message: !standings ? 'Match result recorded'
+        : resultErrors.length > 0
+          ? 'Bracket completed, but some entrants could not be added to the draft results. Fix them before confirming.'
+          : 'Bracket completed. Review the draft results and confirm to pay out prizes.',
+      match,
+      bracketStatus: bracket.status,
+      standings: bracket.standings,
+      results,
+      resultErrors
     });
-
   } catch (error) {
-    console.error('Error updating tournament room details:', error);
-    if (error.name === 'ValidationError') {
-      res.status(400).json({ message: 'Validation error', errors: error.errors });
+    console.error('Bracket match report error:', error);
+    if (error.name === 'VersionError') {
+      res.status(409).json({ message: 'The bracket changed while you were reporting. Please reload and retry.' });
+    } else if (error.status) {
+      res.status(error.status).json({ message: error.message });
     } else {
       res.status(500).json({ message: 'Server error' });
     }
   }
 });
 
-// Update tournament room details and prizes (Admin only)
-app.put('/admin/tournaments/:tournamentId/details', authenticateToken, async (req, res) => {
+// Public bracket tree for rendering, grouped by bracket and round
+app.get('/tournaments/:id/bracket', async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Admin access required' });
-    }
-
-    const { tournamentId } = req.params;
-    const { roomId, roomPassword, prizes } = req.body;
-
-    // Validate tournament exists
-    const tournament = await Tournament.findById(tournamentId);
-    if (!tournament) {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
       return res.status(404).json({ message: 'Tournament not found' });
     }
 
-    // Validate input
-    if (roomId !== undefined) {
-      if (typeof roomId !== 'string' || roomId.trim().length === 0) {
-        return res.status(400).json({ message: 'Room ID must be a non-empty string' });
-      }
-      tournament.roomId = roomId.trim();
+    const bracket = await Bracket.findOne({ tournamentId: req.params.id });
+    if (!bracket) {
+      return res.status(404).json({ message: 'No bracket has been published for this tournament' });
     }
 
-    if (roomPassword !== undefined) {
-      if (typeof roomPassword !== 'string' || roomPassword.trim().length === 0) {
-        return res.status(400).json({ message: 'Room password must be a non-empty string' });
-      }
-      tournament.roomPassword = roomPassword.trim();
+    const entrants = new Map(bracket.entrants.map(entrant => [entrant._id.toString(), entrant]));
+    const entrantView = (id) => {
+      const entrant = id && entrants.get(id.toString());
+      return entrant ? { _id: entrant._id, name: entrant.name, seed: entrant.seed } : null;
+    };
+
+    const rounds = { winners: [], losers: [], grand_final: [] };
+    for (const match of bracket.matches) {
+      const list = rounds[match.bracket];
+      list[match.round - 1] = list[match.round - 1] || [];
+      list[match.round - 1].push({
+        matchId: match.matchId,
+        round: match.round,
+        position: match.position,
+        status: match.status,
+        entrantA: entrantView(match.entrantA),
+        entrantB: entrantView(match.entrantB),
+        winner: entrantView(match.winner),
+        nextMatchId: match.winnerToMatch || null,
+        loserNextMatchId: match.loserToMatch || null,
+        completedAt: match.completedAt
+      });
     }
 
-    if (prizes !== undefined) {
-      // Validate prizes structure
-      if (typeof prizes !== 'object') {
-        return res.status(400).json({ message: 'Prizes must be an object' });
-      }
+    res.json({
+      type: bracket.type,
+      seeding: bracket.seeding,
+      status: bracket.status,
+      entrants: bracket.entrants.map(entrant => entrantView(entrant._id)),
+      rounds,
+      standings: bracket.standings.map(standing => ({
+        place: standing.place,
+        entrant: entrantView(standing.entrantId)
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching bracket:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-      if (prizes.top5 && !Array.isArray(prizes.top5)) {
-        return res.status(400).json({ message: 'top5 prizes must be an array' });
-      }
+// Add a match to a tournament's series (Admin only). Matches are numbered in play order.
+app.post('/admin/tournaments/:id/matches', authenticateToken, requireAdmin('tournaments:write'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Tournament not found' });
+    }
 
-      if (prizes.top10 && !Array.isArray(prizes.top10)) {
-        return res.status(400).json({ message: 'top10 prizes must be an array' });
-      }
+    const { map, startTime, roomId, roomPassword } = req.body;
 
-      if (prizes.perKill !== undefined && (typeof prizes.perKill !== 'number' || prizes.perKill < 0)) {
-        return res.status(400).json({ message: 'perKill must be a non-negative number' });
-      }
+    const tournament = await Tournament.findById(req.params.id);
+    if (!tournament) {
+      return res.status(404).json({ message: 'Tournament not found' });
+    }
 
-      tournament.prizes = {
-        top5: prizes.top5 || tournament.prizes?.top5 || [],
-        top10: prizes.top10 || tournament.prizes?.top10 || [],
-        perKill: prizes.perKill !== undefined ? prizes.perKill : tournament.prizes?.perKill || 0
-      };
+    if (['completed', 'cancelled'].includes(tournament.status)) {
+      return res.status(400).json({ message: `Matches can't be added to a ${tournament.status} tournament` });
     }
 
-    await tournament.save();
+    const start = startTime ? new Date(startTime) : null;
+    if (start && isNaN(start.getTime())) {
+      return res.status(400).json({ message: 'Invalid startTime format' });
+    }
 
-    res.json({
-      message: 'Tournament details updated successfully',
-      tournament: {
-        _id: tournament._id,
-        tournamentId: tournament.tournamentId,
-        roomId: tournament.roomId,
-        roomPassword: tournament.roomPassword,
-        prizes: tournament.prizes
-      }
+    const last = await TournamentMatch.findOne({ tournamentId: tournament._id }).sort({ matchNumber: -1 });
+    const match = await TournamentMatch.create({
+      tournamentId: tournament._id,
+      matchNumber: req.body.matchNumber !== undefined ? parseInt(req.body.matchNumber) : (last ? last.matchNumber + 1 : 1),
+      map: map || tournament.map,
+      startTime: start,
+      roomId: roomId || '',
+      roomPassword: roomPassword || ''
     });
 
+    res.status(201).json({ message: 'Match added', match });
   } catch (error) {
-    console.error('Error updating tournament details:', error);
-    if (error.name === 'ValidationError') {
-      res.status(400).json({ message: 'Validation error', errors: error.errors });
+    console.error('Match creation error:', error);
+    if (error.code === 11000) {
+      res.status(400).json({ message: 'That match number already exists for this tournament' });
+    } else if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      res.status(400).json({ message: 'Validation error', errors });
     } else {
       res.status(500).json({ message: 'Server error' });
     }
   }
 });
 
-// Get tournament statistics (Admin only)
-app.get('/admin/tournaments/:tournamentId/stats', authenticateToken, async (req, res) => {
+// Update a match's map, time, room credentials or status (Admin only)
+app.put('/admin/tournaments/:id/matches/:matchNumber', authenticateToken, requireAdmin('tournaments:write'), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Admin access required' });
-    }
-
-    const { tournamentId } = req.params;
-
-    const tournament = await Tournament.findById(tournamentId);
-    if (!tournament) {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
       return res.status(404).json({ message: 'Tournament not found' });
     }
 
-    // Get registration statistics
-    const totalRegistrations = tournament.registeredPlayers;
-    const availableSlots = tournament.maxSlots - totalRegistrations;
+    if (!/^\d+$/.test(req.params.matchNumber)) {
+      return res.status(404).json({ message: 'Match not found' });
+    }
 
-    // Get balance statistics for registered users
-    const registeredUsers = await User.find({ _id: { $in: tournament.registeredUsers } })
-      .select('winningAmount depositAmount');
+    const { map, startTime, roomId, roomPassword, status } = req.body;
 
-    let totalDepositBalance = 0;
-    let totalWinningBalance = 0;
-    let totalCombinedBalance = 0;
+    const match = await TournamentMatch.findOne({ tournamentId: req.params.id, matchNumber: parseInt(req.params.matchNumber) });
+    if (!match) {
+      return res.status(404).json({ message: 'Match not found' });
+    }
 
-    registeredUsers.forEach(user => {
-      const deposit = user.depositAmount || 0;
-      const winning = user.winningAmount || 0;
-      totalDepositBalance += deposit;
-      totalWinningBalance += winning;
-      totalCombinedBalance += deposit + winning;
-    });
+    if (map !== undefined) match.map = map;
+    if (roomId !== undefined) match.roomId = String(roomId).trim();
+    if (roomPassword !== undefined) match.roomPassword = String(roomPassword).trim();
 
-    // Calculate expected revenue
-    const expectedRevenue = totalRegistrations * tournament.entryFee;
+    if (startTime !== undefined) {
+      const start = new Date(startTime);
+      if (isNaN(start.getTime())) {
+        return res.status(400).json({ message: 'Invalid startTime format' });
+      }
+      match.startTime = start;
+    }
 
-    res.json({
-      tournamentId: tournament.tournamentId,
-      mode: tournament.mode,
-      status: tournament.status,
-      registrationStats: {
-        totalRegistrations,
-        availableSlots,
-        maxSlots: tournament.maxSlots,
-        registrationRate: ((totalRegistrations / tournament.maxSlots) * 100).toFixed(1)
-      },
-      balanceStats: {
-        totalDepositBalance: totalDepositBalance.toFixed(2),
-        totalWinningBalance: totalWinningBalance.toFixed(2),
-        totalCombinedBalance: totalCombinedBalance.toFixed(2),
-        averageBalance: totalRegistrations > 0 ? (totalCombinedBalance / totalRegistrations).toFixed(2) : 0
-      },
-      revenueStats: {
-        entryFee: tournament.entryFee,
-        expectedRevenue: expectedRevenue.toFixed(2),
-        collectedRevenue: expectedRevenue.toFixed(2) // Assuming all payments are collected
-      },
-      roomDetails: {
-        roomId: tournament.roomId || null,
-        hasRoomPassword: !!tournament.roomPassword,
-        prizesConfigured: !!(tournament.prizes?.top5?.length || tournament.prizes?.top10?.length || tournament.prizes?.perKill)
+    // Matches are completed by submitting their results
+    if (status !== undefined) {
+      if (!['scheduled', 'live'].includes(status) || match.status === 'completed') {
+        return res.status(400).json({ message: 'Status can only be set to scheduled or live before results are in' });
       }
-    });
+      match.status = status;
+    }
+
+    await match.save();
 
+    res.json({ message: 'Match updated', match });
   } catch (error) {
-    console.error('Error fetching tournament stats:', error);
+    console.error('Match update error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Bulk update tournament prizes (Admin only)
-app.put('/admin/tournaments/:tournamentId/prizes', authenticateToken, async (req, res) => {
+// Enter (or correct) a match's results and score them with the tournament's points table (Admin only)
+app.post('/admin/tournaments/:id/matches/:matchNumber/results', authenticateToken, requireAdmin('tournaments:write'), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Admin access required' });
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Tournament not found' });
     }
 
-    const { tournamentId } = req.params;
-    const { top5, top10, perKill } = req.body;
+    if (!/^\d+$/.test(req.params.matchNumber)) {
+      return res.status(404).json({ message: 'Match not found' });
+    }
 
-    const tournament = await Tournament.findById(tournamentId);
+    const { results } = req.body;
+
+    if (!Array.isArray(results) || results.length === 0) {
+      return res.status(400).json({ message: 'results must be a non-empty array' });
+    }
+
+    const tournament = await Tournament.findById(req.params.id);
     if (!tournament) {
       return res.status(404).json({ message: 'Tournament not found' });
     }
 
-    // Validate prize arrays
-    if (top5 && !Array.isArray(top5)) {
-      return res.status(400).json({ message: 'top5 must be an array of numbers' });
+    if (!['live', 'results_pending'].includes(tournament.status)) {
+      return res.status(400).json({ message: 'Match results can only be entered while the tournament is live or pending results' });
     }
 
-    if (top10 && !Array.isArray(top10)) {
-      return res.status(400).json({ message: 'top10 must be an array of numbers' });
+    const match = await TournamentMatch.findOne({ tournamentId: tournament._id, matchNumber: parseInt(req.params.matchNumber) });
+    if (!match) {
+      return res.status(404).json({ message: 'Match not found' });
     }
 
-    // Validate all prize values are numbers >= 0
-    const validatePrizes = (prizes, fieldName) => {
-      for (let i = 0; i < prizes.length; i++) {
-        if (typeof prizes[i] !== 'number' || prizes[i] < 0) {
-          throw new Error(`${fieldName}[${i}] must be a non-negative number`);
-        }
-      }
-    };
-
-    if (top5) validatePrizes(top5, 'top5');
-    if (top10) validatePrizes(top10, 'top10');
-
-    if (perKill !== undefined && (typeof perKill !== 'number' || perKill < 0)) {
-      return res.status(400).json({ message: 'perKill must be a non-negative number' });
+    const registrations = await Registration.find({ tournamentId: tournament._id, status: 'registered' })
+      .populate('teamId', 'name captainId');
+    const { entries, errors } = buildMatchResults(tournament, registrations, results);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid results', errors });
     }
 
-    // Update prizes
-    tournament.prizes = {
-      top5: top5 || tournament.prizes?.top5 || [],
-      top10: top10 || tournament.prizes?.top10 || [],
-      perKill: perKill !== undefined ? perKill : tournament.prizes?.perKill || 0
-    };
+    match.results = entries;
+    match.status = 'completed';
+    match.submittedBy = req.admin._id;
+    match.submittedAt = new Date();
+    await match.save();
 
-    await tournament.save();
+    const matches = await TournamentMatch.find({ tournamentId: tournament._id });
 
     res.json({
-      message: 'Tournament prizes updated successfully',
-      prizes: tournament.prizes
+      message: 'Match results saved',
+      match,
+      ...computeSeriesStandings(matches)
     });
-
   } catch (error) {
-    console.error('Error updating tournament prizes:', error);
-    if (error.message.includes('must be')) {
-      res.status(400).json({ message: error.message });
-    } else {
-      res.status(500).json({ message: 'Server error' });
-    }
+    console.error('Match results error:', error);
+    res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get all tournament registrations (Admin only) - Global view
-app.get('/admin/registrations', authenticateToken, async (req, res) => {
+// Turn the series standings into draft tournament results for the usual payout confirm (Admin only).
+// Placement prizes follow the overall rank; kill prizes use each entrant's total kills.
+app.post('/admin/tournaments/:id/standings/results', authenticateToken, requireAdmin('tournaments:write'), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Admin access required' });
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Tournament not found' });
     }
 
-    const {
-      page = 1,
-      limit = 50,
-      sortBy = 'registrationDate',
-      sortOrder = 'desc',
-      search,
-      tournamentId,
-      status = 'registered'
-    } = req.query;
+    const tournament = await Tournament.findById(req.params.id);
+    if (!tournament) {
+      return res.status(404).json({ message: 'Tournament not found' });
+    }
 
-    const skip = (page - 1) * limit;
+    if (tournament.status !== 'results_pending') {
+      return res.status(400).json({ message: 'Results can only be entered while the tournament is pending results' });
+    }
 
-    // Build query
-    let query = { status: status };
+    const existing = await TournamentResult.findOne({ tournamentId: tournament._id });
+    if (existing && existing.status === 'confirmed') {
+      return res.status(400).json({ message: 'Results have already been confirmed' });
+    }
 
-    if (search) {
-      query.$or = [
-        { 'metadata.userSnapshot.fullname': { $regex: search, $options: 'i' } },
-        { 'metadata.userSnapshot.email': { $regex: search, $options: 'i' } },
-        { tournamentIdString: { $regex: search, $options: 'i' } }
-      ];
+    const matches = await TournamentMatch.find({ tournamentId: tournament._id });
+    const { standings } = computeSeriesStandings(matches);
+    if (standings.length === 0) {
+      return res.status(400).json({ message: 'No match results have been entered yet' });
     }
 
-    if (tournamentId) {
-      query.tournamentIdString = { $regex: tournamentId, $options: 'i' };
+    const registrations = await Registration.find({ tournamentId: tournament._id, status: 'registered' });
+    const { entries, errors } = buildResultEntries(tournament, registrations, standings.map(row => ({
+      registrationId: row.registrationId,
+      placement: row.rank,
+      kills: row.kills
+    })));
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid results', errors });
     }
 
-    // Build sort object
-    const sortOptions = {};
-    const validSortFields = ['registrationDate', 'metadata.userSnapshot.fullname', 'tournamentIdString', 'entryFee'];
-    if (validSortFields.includes(sortBy)) {
-      sortOptions[sortBy] = sortOrder === 'asc' ? 1 : -1;
-    } else {
-      sortOptions.registrationDate = -1; // Default sort
+    const result = await saveDraftResults(tournament, entries, req.admin._id);
+
+    res.json({
+      message: 'Results saved. Review the payouts and confirm to credit players.',
+      preview: result
+    });
+  } catch (error) {
+    console.error('Error drafting results from standings:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Public list of a tournament's matches (room credentials are only shown to registered players)
+app.get('/tournaments/:id/matches', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Tournament not found' });
     }
 
-    // Get registrations with pagination
-    const registrations = await Registration.find(query)
-      .populate('userId', 'fullname email')
-      .populate('tournamentId', 'tournamentId mode map startTime status')
-      .sort(sortOptions)
-      .skip(skip)
-      .limit(parseInt(limit));
+    const matches = await TournamentMatch.find({ tournamentId: req.params.id })
+      .select('-roomId -roomPassword -submittedBy -results.registrationId')
+      .sort({ matchNumber: 1 });
 
-    const total = await Registration.countDocuments(query);
+    res.json(matches);
+  } catch (error) {
+    console.error('Error fetching matches:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    // Format response
-    const formattedRegistrations = registrations.map(reg => ({
-      _id: reg._id,
-      user: {
-        _id: reg.userId._id,
-        fullname: reg.metadata.userSnapshot.fullname,
-        email: reg.metadata.userSnapshot.email,
-        mobile: reg.metadata.userSnapshot.mobile || '',
-        age: reg.metadata.userSnapshot.age || null,
-        state: reg.metadata.userSnapshot.state || ''
-      },
-      tournament: {
-        _id: reg.tournamentId._id,
-        tournamentId: reg.tournamentIdString,
-        mode: reg.metadata.tournamentSnapshot.mode,
-        teamSize: reg.metadata.tournamentSnapshot.teamSize,
-        map: reg.metadata.tournamentSnapshot.map,
-        startTime: reg.metadata.tournamentSnapshot.startTime,
-        status: reg.tournamentId.status
-      },
-      registrationDate: reg.registrationDate,
-      entryFee: reg.entryFee,
-      status: reg.status,
-      paymentMethod: reg.paymentMethod,
-      freeFireId: reg.freeFireId,
-      termsAccepted: reg.termsAccepted,
-      teamSelection: reg.teamSelection
-    }));
+// Live cumulative standings for a multi-match series
+app.get('/tournaments/:id/standings', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Tournament not found' });
+    }
+
+    const tournament = await Tournament.findById(req.params.id).select('tournamentId status scoring');
+    if (!tournament) {
+      return res.status(404).json({ message: 'Tournament not found' });
+    }
+
+    const matches = await TournamentMatch.find({ tournamentId: tournament._id });
+    const { matchesCompleted, standings } = computeSeriesStandings(matches);
 
     res.json({
-      registrations: formattedRegistrations,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
-      },
-      sortBy,
-      sortOrder
+      tournamentId: tournament.tournamentId,
+      status: tournament.status,
+      scoring: tournament.scoring,
+      matchesPlayed: matchesCompleted,
+      matchesTotal: matches.length,
+      standings: standings.map(row => ({
+        rank: row.rank,
+        name: row.name,
+        teamId: row.teamId,
+        matchesPlayed: row.matchesPlayed,
+        booyahs: row.booyahs,
+        kills: row.kills,
+        placementPoints: row.placementPoints,
+        killPoints: row.killPoints,
+        totalPoints: row.totalPoints
+      }))
     });
-
   } catch (error) {
-    console.error('Error fetching all registrations:', error);
+    console.error('Error fetching standings:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get user registration details for a specific tournament
-app.get('/user/registration/:tournamentId', authenticateToken, async (req, res) => {
+// Public results for a tournament (only once confirmed)
+app.get('/tournaments/:id/results', async (req, res) => {
   try {
-    const registration = await Registration.findOne({
-      userId: req.user.userId,
-      tournamentId: req.params.tournamentId
-    });
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Tournament not found' });
+    }
 
-    if (!registration) {
-      return res.status(404).json({ message: 'Registration not found' });
+    const tournament = await Tournament.findById(req.params.id).select('tournamentId mode teamSize map startTime status prizes');
+    if (!tournament) {
+      return res.status(404).json({ message: 'Tournament not found' });
+    }
+
+    const result = await TournamentResult.findOne({ tournamentId: tournament._id, status: 'confirmed' });
+    if (!result) {
+      return res.status(404).json({ message: 'Results have not been published yet' });
     }
 
     res.json({
-      _id: registration._id,
-      freeFireId: registration.freeFireId,
-      teamSelection: registration.teamSelection,
-      registrationDate: registration.registrationDate,
-      status: registration.status,
-      entryFee: registration.entryFee
+      tournament: {
+        _id: tournament._id,
+        tournamentId: tournament.tournamentId,
+        mode: tournament.mode,
+        teamSize: tournament.teamSize,
+        map: tournament.map,
+        startTime: tournament.startTime,
+        status: tournament.status
+      },
+      standings: result.entries.map(entry => ({
+        placement: entry.placement,
+        playerName: entry.playerName,
+        freeFireId: entry.freeFireId,
+        kills: entry.kills,
+        placementPrize: entry.placementPrize,
+        killPrize: entry.killPrize,
+        totalPrize: entry.totalPrize
+      })),
+      totalPayout: result.totalPayout,
+      publishedAt: result.confirmedAt
     });
   } catch (error) {
-    console.error('Error fetching user registration:', error);
+    console.error('Error fetching tournament results:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -1907,6 +8432,10 @@ app.get('/user/registration/:tournamentId', authenticateToken, async (req, res)
 // Get tournament room details (for registered users)
 app.get('/tournaments/:tournamentId/room', authenticateToken, async (req, res) => {
   try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.tournamentId)) {
+      return res.status(404).json({ message: 'Tournament not found' });
+    }
+
     const { tournamentId } = req.params;
 
     const tournament = await Tournament.findById(tournamentId);
@@ -1919,18 +8448,24 @@ app.get('/tournaments/:tournamentId/room', authenticateToken, async (req, res) =
       return res.status(403).json({ message: 'You are not registered for this tournament' });
     }
 
-    // Only show room details if tournament is active or completed
-    if (!['active', 'completed'].includes(tournament.status)) {
+    // Only show room details once registration has closed and until the match is over
+    if (!['registration_closed', 'live'].includes(tournament.status)) {
       return res.status(400).json({ message: 'Room details are not available yet' });
     }
 
+    // Multi-match series have separate rooms for each match still to be played
+    const matches = await TournamentMatch.find({ tournamentId: tournament._id, status: { $ne: 'completed' } })
+      .select('matchNumber map startTime status roomId roomPassword')
+      .sort({ matchNumber: 1 });
+
     res.json({
       tournamentId: tournament.tournamentId,
       roomId: tournament.roomId,
       roomPassword: tournament.roomPassword,
       prizes: tournament.prizes,
       status: tournament.status,
-      startTime: tournament.startTime
+      startTime: tournament.startTime,
+      matches
     });
 
   } catch (error) {
@@ -1940,11 +8475,30 @@ app.get('/tournaments/:tournamentId/room', authenticateToken, async (req, res) =
 });
 
 
-// Auto-complete tournaments every 30 seconds
-setInterval(autoCompleteTournaments, 30 * 1000);
+if (require.main === module) {
+  // Advance tournament lifecycles every 30 seconds
+  setInterval(advanceTournamentLifecycles, 30 * 1000);
 
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  // Run initial check on startup
-  autoCompleteTournaments();
-});
\ No newline at end of file
+  app.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+    // Run initial check on startup
+    migrateTournamentStatuses().then(advanceTournamentLifecycles);
+    ensureBootstrapAdmin();
+    ensureDefaultGames();
+    migrateRegistrationIndexes();
+    scheduleNightlyReconciliation();
+  });
+}
+
+// The app and its pure helpers, exported for the tests in test/
+module.exports = {
+  app,
+  buildResultEntries,
+  buildBracketMatches,
+  finishBracketMatch,
+  computeBracketStandings,
+  buildPrizeTable,
+  computeSeriesStandings,
+  encodeTournamentCursor,
+  decodeTournamentCursor
+};
@@ -0,0 +1,113 @@
+// Helpers for the HTTP tests. These run the real app against MongoDB, which has to be a replica set
+// because wallet and registration writes use transactions. Set MONGODB_TEST_URI to run them; without
+// it they are skipped. Test files run in parallel, so each gets its own ff_test_<name> database,
+// dropped when the file starts.
+const { once } = require('node:events');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const nodemailer = require('nodemailer');
+
+// No mail leaves the tests. Must be patched before server.js creates its transporter.
+const sentMail = [];
+nodemailer.createTransport = () => ({
+  sendMail: async (message) => {
+    sentMail.push(message);
+    return {};
+  }
+});
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.RAZORPAY_WEBHOOK_SECRET = process.env.RAZORPAY_WEBHOOK_SECRET || 'test-webhook-secret';
+
+const { app } = require('./load-server');
+
+const skip = process.env.MONGODB_TEST_URI ? false : 'set MONGODB_TEST_URI to a replica set database to run the HTTP tests';
+
+let server;
+let baseUrl;
+let created = 0;
+
+async function startServer(name) {
+  await mongoose.connect(process.env.MONGODB_TEST_URI, { dbName: `ff_test_${name}` });
+  await mongoose.connection.dropDatabase();
+  await mongoose.connection.syncIndexes();
+
+  server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+}
+
+async function stopServer() {
+  if (server) {
+    server.closeAllConnections();
+    server.close();
+  }
+  await mongoose.disconnect();
+}
+
+// Send a request and return { status, body }. A string body is sent as is (for signed webhooks).
+async function request(method, path, { token, body, headers = {} } = {}) {
+  const response = await fetch(baseUrl + path, {
+    method,
+    headers: {
+      ...(body !== undefined && { 'Content-Type': 'application/json' }),
+      ...(token && { Authorization: `Bearer ${token}` }),
+      ...headers
+    },
+    body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json().catch(() => null) };
+}
+
+// A player with a live login session. Returns { user, token }.
+async function createUser(fields = {}) {
+  created += 1;
+  const user = await mongoose.model('User').create({
+    fullname: `Player ${created}`,
+    email: `player${created}@example.com`,
+    password: 'not-used',
+    ...fields
+  });
+  const session = await mongoose.model('Session').create({
+    userId: user._id,
+    refreshTokenHash: 'not-used',
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+  });
+  const token = jwt.sign(
+    { userId: user._id, email: user.email, sessionId: session._id },
+    process.env.JWT_SECRET,
+    { expiresIn: '15m' }
+  );
+  return { user, token };
+}
+
+// An active admin with the given role. Returns { admin, token }.
+async function createAdmin(role = 'superadmin') {
+  created += 1;
+  const admin = await mongoose.model('Admin').create({
+    username: `admin${created}`,
+    email: `admin${created}@example.com`,
+    password: 'not-used',
+    role
+  });
+  const token = jwt.sign(
+    { adminId: admin._id, username: admin.username, email: admin.email, role: 'admin', adminRole: admin.role },
+    process.env.JWT_SECRET,
+    { expiresIn: '8h' }
+  );
+  return { admin, token };
+}
+
+// Poll until check() returns something truthy (for work the server finishes in the background)
+async function waitFor(check, { timeout = 5000, interval = 50 } = {}) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const result = await check();
+    if (result || Date.now() > deadline) {
+      return result;
+    }
+    await new Promise(resolve => setTimeout(resolve, interval));
+  }
+}
+
+module.exports = { skip, sentMail, startServer, stopServer, request, createUser, createAdmin, waitFor };
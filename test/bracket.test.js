@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { buildBracketMatches, finishBracketMatch, computeBracketStandings } = require('./load-server');
+
+function makeEntrants(count) {
+  return Array.from({ length: count }, (_, index) => ({ _id: new mongoose.Types.ObjectId(), seed: index + 1 }));
+}
+
+// Play every ready match until the bracket is decided. `pickWinner` chooses between entrantA and entrantB.
+function playOut(type, entrants, pickWinner) {
+  const bracket = { type, matches: buildBracketMatches(entrants, type) };
+  for (let played = 0; ; played++) {
+    assert.ok(played <= bracket.matches.length, 'bracket never finishes');
+    const standings = computeBracketStandings(bracket);
+    if (standings) {
+      return { bracket, standings };
+    }
+    const match = bracket.matches.find(m => m.status === 'ready');
+    assert.ok(match, 'bracket is stuck with no ready match');
+    finishBracketMatch(bracket.matches, match, pickWinner(match));
+  }
+}
+
+const pickers = {
+  'top seed wins': match => match.entrantA,
+  'bottom seed wins': match => match.entrantB,
+  'alternating': (() => {
+    let flip = false;
+    return match => ((flip = !flip) ? match.entrantA : match.entrantB);
+  })()
+};
+
+for (const [type, minimum] of [['single_elimination', 2], ['double_elimination', 3]]) {
+  test(`${type} brackets of ${minimum}-17 entrants finish with everyone placed`, () => {
+    for (let count = minimum; count <= 17; count++) {
+      for (const [name, pickWinner] of Object.entries(pickers)) {
+        const entrants = makeEntrants(count);
+        const { standings } = playOut(type, entrants, pickWinner);
+        const label = `${count} entrants, ${name}`;
+
+        assert.equal(standings.length, count, label);
+        const placed = new Set(standings.map(row => row.entrantId.toString()));
+        assert.equal(placed.size, count, `${label}: an entrant is placed twice`);
+        entrants.forEach(entrant => assert.ok(placed.has(entrant._id.toString()), label));
+
+        assert.equal(standings.filter(row => row.place === 1).length, 1, label);
+        assert.ok(standings.every(row => row.place >= 1 && row.place <= count), label);
+      }
+    }
+  });
+}
+
+test('first-round byes go to the top seeds', () => {
+  const entrants = makeEntrants(5);
+  const matches = buildBracketMatches(entrants, 'single_elimination');
+  const byes = matches.filter(m => m.status === 'bye');
+
+  assert.deepEqual(
+    byes.map(m => m.winner.toString()).sort(),
+    entrants.slice(0, 3).map(e => e._id.toString()).sort()
+  );
+});
+
+test('single elimination champion and runner-up take 1st and 2nd', () => {
+  const entrants = makeEntrants(8);
+  const { standings } = playOut('single_elimination', entrants, match => match.entrantA);
+
+  assert.ok(standings[0].entrantId.equals(entrants[0]._id));
+  assert.equal(standings[0].place, 1);
+  assert.equal(standings[1].place, 2);
+  // Semi-final losers share 3rd, quarter-final losers share 5th
+  assert.deepEqual(standings.map(row => row.place), [1, 2, 3, 3, 5, 5, 5, 5]);
+});
+
+test('double elimination plays the reset match when the losers bracket champion wins the grand final', () => {
+  const entrants = makeEntrants(4);
+  const bracket = { type: 'double_elimination', matches: buildBracketMatches(entrants, 'double_elimination') };
+
+  let match;
+  while ((match = bracket.matches.find(m => m.status === 'ready' && m.matchId !== 'GF1-1' && m.matchId !== 'GF2-1'))) {
+    finishBracketMatch(bracket.matches, match, match.entrantA);
+  }
+  const grandFinal = bracket.matches.find(m => m.matchId === 'GF1-1');
+  assert.equal(grandFinal.status, 'ready');
+  finishBracketMatch(bracket.matches, grandFinal, grandFinal.entrantB);
+
+  const reset = bracket.matches.find(m => m.matchId === 'GF2-1');
+  assert.equal(reset.status, 'ready');
+  assert.equal(computeBracketStandings(bracket), null);
+
+  finishBracketMatch(bracket.matches, reset, reset.entrantA);
+  const standings = computeBracketStandings(bracket);
+  assert.ok(standings[0].entrantId.equals(reset.entrantA));
+  assert.ok(standings[1].entrantId.equals(reset.entrantB));
+});
@@ -0,0 +1,6 @@
+// server.js creates its Razorpay client on load, which refuses to start without a key id.
+// Nothing in the tests talks to Razorpay or MongoDB.
+process.env.RAZORPAY_KEY_ID = process.env.RAZORPAY_KEY_ID || 'rzp_test_key';
+process.env.RAZORPAY_KEY_SECRET = process.env.RAZORPAY_KEY_SECRET || 'rzp_test_secret';
+
+module.exports = require('../server');
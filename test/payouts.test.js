@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { buildResultEntries, buildPrizeTable } = require('./load-server');
+
+const tournament = {
+  prizes: { top5: [1000, 500, 300, 200, 100], top10: [50, 40, 30, 20, 10], perKill: 5 }
+};
+
+function makeRegistrations(count) {
+  return Array.from({ length: count }, (_, index) => ({
+    _id: new mongoose.Types.ObjectId(),
+    userId: new mongoose.Types.ObjectId(),
+    freeFireId: String(100000000 + index),
+    metadata: { userSnapshot: { fullname: `Player ${index + 1}` } }
+  }));
+}
+
+const sum = values => values.reduce((total, value) => total + value, 0);
+
+test('each placement gets its prize plus kill prizes', () => {
+  const registrations = makeRegistrations(12);
+  const results = registrations.map((reg, index) => ({ registrationId: reg._id, placement: index + 1, kills: 2 }));
+  const { entries, errors } = buildResultEntries(tournament, registrations, results);
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(entries.map(e => e.placementPrize), [1000, 500, 300, 200, 100, 50, 40, 30, 20, 10, 0, 0]);
+  assert.ok(entries.every(e => e.killPrize === 10 && e.totalPrize === e.placementPrize + 10));
+  assert.equal(sum(entries.map(e => e.placementPrize)), buildPrizeTable(tournament.prizes).placementTotal);
+});
+
+test('a repeated placement is rejected unless ties are allowed', () => {
+  const registrations = makeRegistrations(3);
+  const results = [
+    { registrationId: registrations[0]._id, placement: 1 },
+    { registrationId: registrations[1]._id, placement: 2 },
+    { freeFireId: registrations[2].freeFireId, placement: 2 }
+  ];
+
+  const strict = buildResultEntries(tournament, registrations, results);
+  assert.deepEqual(strict.errors, ['results[2]: placement 2 is already taken']);
+  assert.equal(strict.entries.length, 2);
+
+  const tied = buildResultEntries(tournament, registrations, results, { allowTies: true });
+  assert.deepEqual(tied.errors, []);
+  assert.equal(tied.entries.length, 3);
+});
+
+test('tied entrants split the prizes of the places the tie covers', () => {
+  const registrations = makeRegistrations(4);
+  const results = [
+    { registrationId: registrations[0]._id, placement: 1 },
+    { registrationId: registrations[1]._id, placement: 2 },
+    { registrationId: registrations[2]._id, placement: 3 },
+    { registrationId: registrations[3]._id, placement: 3 }
+  ];
+  const { entries } = buildResultEntries(tournament, registrations, results, { allowTies: true });
+
+  // Two 3rd places share the 3rd and 4th place prizes
+  assert.deepEqual(entries.map(e => e.placementPrize), [1000, 500, 250, 250]);
+});
+
+test('tie splits never pay out more than the prize table', () => {
+  const prizes = { top5: [1000, 333.33, 101, 77.77, 10], top10: [9.99, 7, 5, 3, 1] };
+  const { placementTotal } = buildPrizeTable(prizes);
+
+  // Every way of grouping 10 finishers into consecutive tied places
+  for (let mask = 0; mask < 2 ** 9; mask++) {
+    const registrations = makeRegistrations(10);
+    let placement = 1;
+    const results = registrations.map((reg, index) => {
+      if (index > 0 && !(mask & (1 << (index - 1)))) {
+        placement = index + 1;
+      }
+      return { registrationId: reg._id, placement };
+    });
+
+    const { entries, errors } = buildResultEntries({ prizes }, registrations, results, { allowTies: true });
+    assert.deepEqual(errors, []);
+
+    const paid = sum(entries.map(e => e.placementPrize));
+    assert.ok(paid <= placementTotal + 1e-9, `mask ${mask}: paid ${paid} of ${placementTotal}`);
+    // Rounding down loses less than a paisa per entrant
+    assert.ok(placementTotal - paid < entries.length * 0.01, `mask ${mask}: paid ${paid} of ${placementTotal}`);
+    entries.forEach(e => assert.equal(Math.round(e.placementPrize * 100) / 100, e.placementPrize));
+  }
+});
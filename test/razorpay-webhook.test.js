@@ -0,0 +1,91 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { skip, startServer, stopServer, request, createUser } = require('./api-server');
+
+// Deliver a webhook the way Razorpay does: the signature covers the exact body bytes
+function deliver(payload, signature) {
+  const body = JSON.stringify(payload);
+  return request('POST', '/webhooks/razorpay', {
+    body,
+    headers: {
+      'X-Razorpay-Signature': signature ||
+        crypto.createHmac('sha256', process.env.RAZORPAY_WEBHOOK_SECRET).update(body).digest('hex')
+    }
+  });
+}
+
+const captured = (orderId, paymentId, amount, currency = 'INR') => ({
+  event: 'payment.captured',
+  payload: { payment: { entity: { id: paymentId, order_id: orderId, amount, currency, status: 'captured' } } }
+});
+
+describe('Razorpay webhook', { skip }, () => {
+  before(() => startServer('razorpay_webhook'));
+  after(stopServer);
+
+  let orders = 0;
+  async function createOrder(user, amount) {
+    orders += 1;
+    return mongoose.model('PaymentOrder').create({ orderId: `order_test${orders}`, userId: user._id, amount });
+  }
+
+  const deposit = async (user) => (await mongoose.model('User').findById(user._id)).depositAmount;
+  const deposits = (user) => mongoose.model('Transaction').countDocuments({ userId: user._id, type: 'deposit' });
+
+  test('a captured payment is credited once, however often it is delivered', async () => {
+    const { user } = await createUser();
+    const order = await createOrder(user, 500);
+
+    for (let i = 0; i < 3; i++) {
+      const response = await deliver(captured(order.orderId, 'pay_once', 50000));
+      assert.equal(response.status, 200);
+    }
+
+    assert.equal(await deposit(user), 500);
+    assert.equal(await deposits(user), 1);
+    assert.equal((await mongoose.model('PaymentOrder').findById(order._id)).status, 'paid');
+  });
+
+  test('a bad signature is rejected without crediting', async () => {
+    const { user } = await createUser();
+    const order = await createOrder(user, 500);
+
+    const response = await deliver(captured(order.orderId, 'pay_forged', 50000), 'a'.repeat(64));
+    assert.equal(response.status, 400);
+    assert.equal(await deposit(user), 0);
+  });
+
+  test('a payment that does not match the order amount or currency is not credited', async () => {
+    const { user } = await createUser();
+    const short = await createOrder(user, 500);
+    const foreign = await createOrder(user, 500);
+
+    assert.equal((await deliver(captured(short.orderId, 'pay_short', 100))).status, 200);
+    assert.equal((await deliver(captured(foreign.orderId, 'pay_usd', 50000, 'USD'))).status, 200);
+
+    assert.equal(await deposit(user), 0);
+    for (const order of [short, foreign]) {
+      const stored = await mongoose.model('PaymentOrder').findById(order._id);
+      assert.equal(stored.status, 'failed');
+      assert.equal(stored.failureReason, 'Captured amount does not match the order');
+    }
+  });
+
+  test('a processed refund is taken back from the deposit balance once', async () => {
+    const { user } = await createUser();
+    const order = await createOrder(user, 500);
+    await deliver(captured(order.orderId, 'pay_refunded', 50000));
+
+    const refund = {
+      event: 'refund.processed',
+      payload: { refund: { entity: { id: 'rfnd_once', payment_id: 'pay_refunded', amount: 20000 } } }
+    };
+    assert.equal((await deliver(refund)).status, 200);
+    assert.equal((await deliver(refund)).status, 200);
+
+    assert.equal(await deposit(user), 300);
+    assert.equal((await mongoose.model('PaymentOrder').findById(order._id)).status, 'refunded');
+  });
+});
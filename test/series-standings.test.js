@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeSeriesStandings } = require('./load-server');
+
+// A completed match from { entrantKey: [placement, kills, totalPoints] }
+function match(matchNumber, results, status = 'completed') {
+  return {
+    matchNumber,
+    status,
+    results: Object.entries(results).map(([entrantKey, [placement, kills, totalPoints]]) => ({
+      entrantKey,
+      name: entrantKey,
+      placement,
+      kills,
+      placementPoints: totalPoints - kills,
+      killPoints: kills,
+      totalPoints
+    }))
+  };
+}
+
+const order = standings => standings.map(row => row.entrantKey);
+
+test('totals points, kills and booyahs across completed matches only', () => {
+  const { matchesCompleted, standings } = computeSeriesStandings([
+    match(1, { a: [1, 5, 17], b: [2, 3, 12] }),
+    match(2, { a: [2, 2, 11], b: [1, 4, 16] }),
+    match(3, { a: [1, 9, 21], b: [2, 0, 9] }, 'scheduled')
+  ]);
+
+  assert.equal(matchesCompleted, 2);
+  assert.deepEqual(standings.map(({ entrantKey, matchesPlayed, booyahs, kills, totalPoints, rank }) =>
+    ({ entrantKey, matchesPlayed, booyahs, kills, totalPoints, rank })), [
+    { entrantKey: 'b', matchesPlayed: 2, booyahs: 1, kills: 7, totalPoints: 28, rank: 1 },
+    { entrantKey: 'a', matchesPlayed: 2, booyahs: 1, kills: 7, totalPoints: 28, rank: 2 }
+  ]);
+});
+
+test('ties break on points, then booyahs, then kills, then the latest match placement', () => {
+  // More points wins outright
+  assert.deepEqual(order(computeSeriesStandings([
+    match(1, { a: [2, 0, 10], b: [1, 0, 11] })
+  ]).standings), ['b', 'a']);
+
+  // Equal points: more booyahs
+  assert.deepEqual(order(computeSeriesStandings([
+    match(1, { a: [2, 5, 15], b: [1, 0, 12] }),
+    match(2, { a: [3, 0, 7], b: [4, 4, 10] })
+  ]).standings), ['b', 'a']);
+
+  // Equal points and booyahs: more kills
+  assert.deepEqual(order(computeSeriesStandings([
+    match(1, { a: [2, 1, 10], b: [3, 3, 10] })
+  ]).standings), ['b', 'a']);
+
+  // Equal points, booyahs and kills: better placement in the latest match, whatever order they arrive in
+  assert.deepEqual(order(computeSeriesStandings([
+    match(2, { a: [3, 2, 10], b: [2, 2, 10] }),
+    match(1, { a: [2, 2, 10], b: [3, 2, 10] })
+  ]).standings), ['b', 'a']);
+});
@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { encodeTournamentCursor, decodeTournamentCursor } = require('./load-server');
+
+test('a cursor decodes back to the tournament it was made from', () => {
+  const tournament = { _id: new mongoose.Types.ObjectId(), startTime: new Date('2026-05-01T18:30:00.000Z') };
+  const decoded = decodeTournamentCursor(encodeTournamentCursor(tournament));
+
+  assert.equal(decoded.startTime.getTime(), tournament.startTime.getTime());
+  assert.ok(decoded.id.equals(tournament._id));
+});
+
+test('malformed cursors decode to null', () => {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+  for (const cursor of ['', 'not a cursor', encode({ t: 'soon', id: new mongoose.Types.ObjectId() }), encode({ t: 1, id: 'nope' }), encode(null)]) {
+    assert.equal(decodeTournamentCursor(cursor), null, cursor);
+  }
+});
@@ -0,0 +1,136 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { skip, startServer, stopServer, request, createUser, waitFor } = require('./api-server');
+
+describe('waitlist promotion', { skip }, () => {
+  before(async () => {
+    await startServer('waitlist');
+    await mongoose.model('Game').create({
+      key: 'free_fire',
+      name: 'Free Fire',
+      playerIdLabel: 'Free Fire ID',
+      playerIdPattern: '^\\d+$',
+      playerIdHint: 'must contain only numbers'
+    });
+  });
+  after(stopServer);
+
+  let created = 0;
+
+  // A player with a verified Free Fire account
+  async function createPlayer(fields) {
+    created += 1;
+    const player = await createUser(fields);
+    await mongoose.model('GameAccount').create({
+      userId: player.user._id,
+      game: 'free_fire',
+      uid: String(900000000 + created),
+      ign: `player${created}`,
+      proofUrl: '/uploads/proof.png',
+      proofKey: 'proof.png',
+      status: 'verified'
+    });
+    return player;
+  }
+
+  // A one-seat Battle Royale tournament starting tomorrow, so withdrawing refunds in full
+  function createTournament() {
+    created += 1;
+    return mongoose.model('Tournament').create({
+      tournamentId: `WAIT${created}`,
+      game: 'free_fire',
+      map: 'Bermuda',
+      mode: 'battle_royal',
+      entryFee: 50,
+      winningFee: 0,
+      maxSlots: 1,
+      startTime: new Date(Date.now() + 24 * 60 * 60 * 1000)
+    });
+  }
+
+  const register = (tournament, token) =>
+    request('POST', `/tournaments/${tournament._id}/register`, { token, body: { termsAccepted: true } });
+  const joinWaitlist = (tournament, token) =>
+    request('POST', `/tournaments/${tournament._id}/waitlist`, { token, body: { termsAccepted: true } });
+  const waitlistStatus = async (tournament, token) =>
+    (await request('GET', `/tournaments/${tournament._id}/waitlist`, { token })).body;
+  const deposit = async (user) => (await mongoose.model('User').findById(user._id)).depositAmount;
+
+  test('a freed seat goes to the first player in the queue, who is charged the entry fee', async () => {
+    const tournament = await createTournament();
+    const holder = await createPlayer({ depositAmount: 50 });
+    const waiting = await createPlayer({ depositAmount: 80 });
+
+    assert.equal((await register(tournament, holder.token)).status, 200);
+    assert.equal((await register(tournament, waiting.token)).status, 400);
+
+    const joined = await joinWaitlist(tournament, waiting.token);
+    assert.equal(joined.status, 201);
+    assert.equal(joined.body.position, 1);
+
+    const withdrawn = await request('DELETE', `/tournaments/${tournament._id}/register`, { token: holder.token });
+    assert.equal(withdrawn.status, 200);
+    assert.equal(withdrawn.body.refundedAmount, 50);
+    assert.equal(await deposit(holder.user), 50);
+
+    const status = await waitFor(async () => {
+      const body = await waitlistStatus(tournament, waiting.token);
+      return body.status !== 'waiting' && body;
+    });
+    assert.equal(status.status, 'promoted');
+    assert.ok(status.registrationId);
+    assert.equal(await deposit(waiting.user), 30);
+
+    const updated = await mongoose.model('Tournament').findById(tournament._id);
+    assert.equal(updated.registeredPlayers, 1);
+    assert.ok(updated.registeredUsers.some(userId => userId.equals(waiting.user._id)));
+  });
+
+  test('a player who cannot pay is skipped and the next in the queue is promoted', async () => {
+    const tournament = await createTournament();
+    const holder = await createPlayer({ depositAmount: 50 });
+    const broke = await createPlayer({ depositAmount: 10 });
+    const next = await createPlayer({ depositAmount: 50 });
+
+    await register(tournament, holder.token);
+    assert.equal((await joinWaitlist(tournament, broke.token)).status, 201);
+    assert.equal((await joinWaitlist(tournament, next.token)).status, 201);
+    // The queue is ordered by join time; make sure both joins didn't land in the same millisecond
+    await mongoose.model('WaitlistEntry').updateOne({ userId: broke.user._id }, { createdAt: new Date(Date.now() - 60 * 1000) });
+
+    await request('DELETE', `/tournaments/${tournament._id}/register`, { token: holder.token });
+
+    const nextStatus = await waitFor(async () => {
+      const body = await waitlistStatus(tournament, next.token);
+      return body.status !== 'waiting' && body;
+    });
+    assert.equal(nextStatus.status, 'promoted');
+    assert.equal(await deposit(next.user), 0);
+
+    const brokeStatus = await waitlistStatus(tournament, broke.token);
+    assert.equal(brokeStatus.status, 'skipped');
+    assert.match(brokeStatus.skipReason, /insufficient balance/);
+    assert.equal(await deposit(broke.user), 10);
+  });
+
+  test('a player whose game account is no longer verified is skipped', async () => {
+    const tournament = await createTournament();
+    const holder = await createPlayer({ depositAmount: 50 });
+    const unlinked = await createPlayer({ depositAmount: 50 });
+
+    await register(tournament, holder.token);
+    assert.equal((await joinWaitlist(tournament, unlinked.token)).status, 201);
+    await mongoose.model('GameAccount').updateOne({ userId: unlinked.user._id }, { status: 'unlinked' });
+
+    await request('DELETE', `/tournaments/${tournament._id}/register`, { token: holder.token });
+
+    const status = await waitFor(async () => {
+      const body = await waitlistStatus(tournament, unlinked.token);
+      return body.status !== 'waiting' && body;
+    });
+    assert.equal(status.status, 'skipped');
+    assert.equal(await deposit(unlinked.user), 50);
+    assert.equal((await mongoose.model('Tournament').findById(tournament._id)).registeredPlayers, 0);
+  });
+});
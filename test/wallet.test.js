@@ -0,0 +1,71 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { skip, startServer, stopServer, request, createUser, createAdmin } = require('./api-server');
+
+describe('wallet and ledger', { skip }, () => {
+  let adminToken;
+
+  before(async () => {
+    await startServer('wallet');
+    ({ token: adminToken } = await createAdmin('finance'));
+  });
+  after(stopServer);
+
+  let references = 0;
+  function post(user, type, amount, reference = `test_${++references}`) {
+    return request('POST', '/admin/transactions', {
+      token: adminToken,
+      body: { userId: user._id, type, amount, description: `Test ${type}`, reference, referenceType: 'tournament_id' }
+    });
+  }
+
+  const balances = async (user) => {
+    const { depositAmount, winningAmount } = await mongoose.model('User').findById(user._id);
+    return { depositAmount, winningAmount };
+  };
+
+  test('parallel debits never take the balance below zero', async () => {
+    const { user } = await createUser({ depositAmount: 100 });
+
+    const responses = await Promise.all(Array.from({ length: 5 }, () => post(user, 'entry_fee', 30)));
+
+    assert.equal(responses.filter(response => response.status === 201).length, 3);
+    assert.ok(responses.filter(response => response.status === 400).every(response => response.body.message === 'Insufficient balance'));
+    assert.deepEqual(await balances(user), { depositAmount: 10, winningAmount: 0 });
+  });
+
+  test('debits use the deposit balance first, then winnings', async () => {
+    const { user } = await createUser({ depositAmount: 20, winningAmount: 50 });
+
+    assert.equal((await post(user, 'entry_fee', 45)).status, 201);
+    assert.deepEqual(await balances(user), { depositAmount: 0, winningAmount: 25 });
+  });
+
+  test('a repeated reference is only credited once', async () => {
+    const { user } = await createUser();
+
+    const responses = await Promise.all([post(user, 'winning', 75, 'prize_1'), post(user, 'winning', 75, 'prize_1')]);
+
+    assert.deepEqual(responses.map(response => response.status).sort(), [201, 400]);
+    assert.deepEqual(await balances(user), { depositAmount: 0, winningAmount: 75 });
+  });
+
+  test('every ledger entry balances and reconciliation finds the wallets match it', async () => {
+    // A user with an opening balance and no wallet activity yet
+    await createUser({ depositAmount: 40, winningAmount: 60 });
+
+    const entries = await mongoose.model('LedgerEntry').find();
+    assert.ok(entries.length > 0);
+    for (const entry of entries) {
+      assert.ok(Math.abs(entry.lines.reduce((sum, line) => sum + line.amount, 0)) < 1e-6, entry.description);
+    }
+
+    const response = await request('POST', '/admin/reconciliation/run', { token: adminToken });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.report.status, 'completed');
+    assert.equal(response.body.report.mismatchCount, 0);
+    assert.ok(Math.abs(response.body.report.ledgerImbalance) < 0.005);
+    assert.ok(response.body.report.openingBalancesPosted >= 1);
+  });
+});
@@ -0,0 +1,99 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { skip, startServer, stopServer, request, createUser, createAdmin } = require('./api-server');
+
+const upi = amount => ({ amount, method: 'upi', upiId: 'player@okaxis' });
+
+describe('withdrawals', { skip }, () => {
+  let adminToken;
+
+  before(async () => {
+    await startServer('withdrawals');
+    ({ token: adminToken } = await createAdmin('finance'));
+  });
+  after(stopServer);
+
+  const winnings = async (user) => (await mongoose.model('User').findById(user._id)).winningAmount;
+  const dayTotal = async (user) => (await mongoose.model('WithdrawalDailyTotal').findOne({ userId: user._id }))?.amount;
+
+  test('a request holds winnings and counts towards the daily cap; rejecting it gives both back', async () => {
+    const { user, token } = await createUser({ winningAmount: 20000 });
+
+    const first = await request('POST', '/withdrawals', { token, body: upi(6000) });
+    assert.equal(first.status, 201);
+    assert.equal(first.body.newWinningBalance, 14000);
+
+    const overCap = await request('POST', '/withdrawals', { token, body: upi(5000) });
+    assert.equal(overCap.status, 400);
+    assert.match(overCap.body.message, /up to ₹4000 more today/);
+    assert.equal(await winnings(user), 14000);
+
+    const rejected = await request('POST', `/admin/withdrawals/${first.body.withdrawal._id}/reject`, {
+      token: adminToken,
+      body: { reason: 'Bank details do not match' }
+    });
+    assert.equal(rejected.status, 200);
+    assert.equal(await winnings(user), 20000);
+    assert.equal(await dayTotal(user), 0);
+
+    const again = await request('POST', '/withdrawals', { token, body: upi(9000) });
+    assert.equal(again.status, 201);
+  });
+
+  test('parallel requests cannot go past the daily cap', async () => {
+    const { user, token } = await createUser({ winningAmount: 20000 });
+
+    const responses = await Promise.all(
+      Array.from({ length: 5 }, () => request('POST', '/withdrawals', { token, body: upi(3000) }))
+    );
+
+    assert.equal(responses.filter(response => response.status === 201).length, 3);
+    assert.equal(responses.filter(response => response.status === 400).length, 2);
+    assert.equal(await dayTotal(user), 9000);
+    assert.equal(await winnings(user), 11000);
+  });
+
+  test('only winnings can be withdrawn, and a failed hold does not use up the cap', async () => {
+    const { user, token } = await createUser({ depositAmount: 5000, winningAmount: 0 });
+
+    const response = await request('POST', '/withdrawals', { token, body: upi(1000) });
+    assert.equal(response.status, 400);
+    assert.match(response.body.message, /Only winnings can be withdrawn/);
+    assert.equal(await dayTotal(user), 0);
+    assert.equal(await mongoose.model('Withdrawal').countDocuments({ userId: user._id }), 0);
+  });
+
+  test('approve then mark paid completes the pending transaction', async () => {
+    const { user, token } = await createUser({ winningAmount: 1000 });
+    const { body } = await request('POST', '/withdrawals', { token, body: upi(500) });
+    const id = body.withdrawal._id;
+
+    assert.equal((await request('POST', `/admin/withdrawals/${id}/approve`, { token: adminToken, body: {} })).status, 200);
+    const paid = await request('POST', `/admin/withdrawals/${id}/mark-paid`, {
+      token: adminToken,
+      body: { payoutReference: 'UTR123456' }
+    });
+    assert.equal(paid.status, 200);
+
+    const transaction = await mongoose.model('Transaction').findOne({ userId: user._id, reference: id });
+    assert.equal(transaction.status, 'completed');
+    assert.equal(transaction.amount, -500);
+    assert.equal(await winnings(user), 500);
+
+    // A paid withdrawal can't be rejected back into winnings
+    const reject = await request('POST', `/admin/withdrawals/${id}/reject`, { token: adminToken, body: { reason: 'Too late' } });
+    assert.equal(reject.status, 400);
+    assert.equal(await winnings(user), 500);
+  });
+
+  test('malformed withdrawal ids are not found', async () => {
+    for (const action of ['approve', 'reject', 'mark-paid']) {
+      const response = await request('POST', `/admin/withdrawals/not-an-id/${action}`, {
+        token: adminToken,
+        body: { reason: 'x', payoutReference: 'x' }
+      });
+      assert.equal(response.status, 404, action);
+    }
+  });
+});